@@ -0,0 +1,14 @@
+// Copies the dictionary-en Hunspell files into public/ so the offline spell
+// checker can fetch them at runtime. dictionary-en only exports a Node entry
+// point (it reads the files with fs), so webpack cannot bundle them directly.
+const fs = require("fs");
+const path = require("path");
+
+const source = path.join(__dirname, "..", "node_modules", "dictionary-en");
+const target = path.join(__dirname, "..", "public", "dictionaries", "en");
+
+fs.mkdirSync(target, { recursive: true });
+["index.aff", "index.dic"].forEach((file) => {
+  fs.copyFileSync(path.join(source, file), path.join(target, file));
+});
+console.log(`Copied dictionary-en to ${path.relative(process.cwd(), target)}`);
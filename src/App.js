@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import {
   BarChart,
   Bar,
@@ -6,93 +6,144 @@ import {
   YAxis,
   Tooltip,
   CartesianGrid,
-  ResponsiveContainer
+  ResponsiveContainer,
+  ReferenceLine
 } from "recharts";
 import { parseISO, startOfWeek, format, isAfter, isBefore } from "date-fns";
-// GitHub API Authentication Token (Environment variable)
-const GITHUB_TOKEN = process.env.REACT_APP_GITHUB_TOKEN;
-// 1. TECHNICAL TERMS DICTIONARY
-const technicalTerms = [
-  "github", "commit", "merge", "pull", "push", "repo",
-  "npm", "yarn", "node", "js", "ts", "react", "vue",
-  "html", "css", "scss", "json", "md", "git", "cli"
-];
-const getAuthHeaders = () => {
-  const headers = {
-    Accept: "application/vnd.github.v3+json"
-  };
-  // Only add Authorization header if token exists
-  if (GITHUB_TOKEN) {
-    headers.Authorization = `token ${GITHUB_TOKEN}`;
-  }
-  return headers;
+import {
+  GITHUB_TOKEN,
+  githubFetch,
+  githubPaginate,
+  describeGitHubError,
+  mapWithConcurrency,
+  NotFoundError,
+  RateLimitError,
+  BadTokenError
+} from "./api/githubClient";
+import {
+  getCommitDetail,
+  getContributorStats,
+  getLatestCommitDate,
+  getRepoTree,
+  listCommits
+} from "./api/repoData";
+import { isGraphqlAvailable } from "./api/githubGraphql";
+import {
+  loadWorkspace,
+  saveWorkspace,
+  clearWorkspace,
+  DEFAULT_WORKSPACE
+} from "./utils/workspaceStorage";
+import { readUrlState, buildViewUrl, currentUrl } from "./utils/urlState";
+import { downloadAnalysisReport } from "./utils/pdfReport";
+import ExportMenu from "./components/ExportMenu";
+import { checkSpelling, SPELL_CHECK_PROVIDERS } from "./utils/spellCheck";
+import { parseConventionalCommit } from "./utils/conventionalCommits";
+import {
+  OTHER_TYPE,
+  createCommitClassifier,
+  resolveCommitTypes,
+  getCommitTypeColors
+} from "./utils/commitTaxonomy";
+import CommitTypeSettingsModal from "./components/CommitTypeSettingsModal";
+import {
+  RULE_MATCH_KINDS,
+  createFileCategorizer,
+  getCategoryNames,
+  resolveCategoryRules
+} from "./utils/fileCategories";
+import CategoryRulesModal from "./components/CategoryRulesModal";
+import CrossRepoContributorModal from "./components/CrossRepoContributorModal";
+import { createIdentityResolver, aliasOfKey, aliasesOfCommit } from "./utils/identities";
+import IdentityManagerModal from "./components/IdentityManagerModal";
+import { createBotDetector } from "./utils/bots";
+import { fetchPullRequests } from "./api/pullRequests";
+import PullRequestPanel from "./components/PullRequestPanel";
+import { collectReviews } from "./utils/reviewMetrics";
+import ReviewPanel from "./components/ReviewPanel";
+import { fetchIssues } from "./api/issues";
+import IssuesPanel from "./components/IssuesPanel";
+import { fetchReleaseTags } from "./api/releases";
+import ReleasesPanel from "./components/ReleasesPanel";
+import { generateChangelog } from "./utils/changelog";
+import ChangelogModal from "./components/ChangelogModal";
+import RefPicker from "./components/RefPicker";
+import PeriodComparisonModal from "./components/PeriodComparisonModal";
+import { COMMON_TIME_ZONES, isValidTimeZone } from "./utils/activityHeatmap";
+import ActivityHeatmaps from "./components/ActivityHeatmaps";
+import CommitListModal from "./components/CommitListModal";
+import OwnershipPanel from "./components/OwnershipPanel";
+import FileHotspots from "./components/FileHotspots";
+import {
+  LINE_METRICS,
+  commitMetricValue,
+  summarizeLineStats,
+  summarizeLineStatsByCategory,
+  summarizeWeeklyLineStats
+} from "./utils/lineStats";
+const NO_SCOPE = "(no scope)";
+// Ways the weekly commit chart can split its bars
+const WEEKLY_CHART_GROUPINGS = {
+  user: "Contributor",
+  type: "Commit type",
+  scope: "Scope",
+  breaking: "Breaking changes"
 };
-// Commit Types
-const COMMIT_TYPES = [
-  "feat",
-  "fix",
-  "docs",
-  "style",
-  "refactor",
-  "perf",
-  "test",
-  "chore",
-  "other"
+// Groups file changes of detailed commits by top-level directory
+function summarizeCommitsByDirectory(commits) {
+  const summaryData = {};
+  commits.forEach(commit => {
+    // Commit object from GitHub API, detailed info might come from /repos/{owner}/{repo}/commits/{ref} endpoint (for files info).
+    // However, commits directly from /repos/{owner}/{repo}/commits might not have files info.
+    // So process files if available, otherwise skip.
+    if (!commit.files) return; 
+    commit.files.forEach(file => {
+      const pathParts = file.filename.split('/');
+      // Top-level directory or file name
+      const topLevel = pathParts[0] || 'root';
+      if (!summaryData[topLevel]) {
+        summaryData[topLevel] = {
+          name: topLevel,
+          commitCount: 0,
+          newFiles: 0,
+          modifiedFiles: 0,
+          deletedFiles: 0,
+          // We can use a Set to track commits, but a simple counter is sufficient here
+          commits: new Set() 
+        };
+      }
+      summaryData[topLevel].commits.add(commit.sha); // Prevent counting the same commit multiple times
+      if (file.status === 'added') {
+        summaryData[topLevel].newFiles += 1;
+      } else if (file.status === 'modified') {
+        summaryData[topLevel].modifiedFiles += 1;
+      } else if (file.status === 'removed') {
+        summaryData[topLevel].deletedFiles += 1;
+      }
+    });
+  });
+  // Convert Set to count
+  Object.values(summaryData).forEach(item => {
+    item.commitCount = item.commits.size;
+    delete item.commits; // No longer needed
+  });
+  return summaryData;
+}
+const DATE_RANGE_SUMMARY_COLUMNS = [
+  { key: "name", label: "Directory" },
+  { key: "commitCount", label: "Commits" },
+  { key: "newFiles", label: "New Files" },
+  { key: "modifiedFiles", label: "Modified Files" },
+  { key: "deletedFiles", label: "Deleted Files" }
 ];
-// File Categories and Extensions
-const CATEGORY_RULES = {
-  backend: [".js", ".ts", ".py", ".go", ".java", ".rb", ".php", ".cs", ".rs"],
-  frontend: [".jsx", ".tsx", ".vue", ".css", ".scss", ".html", ".svelte"],
-  docs: [".md", ".txt", ".rst"],
-  config: [".json", ".yml", ".yaml", ".toml", ".ini", ".env"],
-};
 // --- NEW: Date Range Changes Summary Component ---
 // New component that summarizes commits for the selected date range
 // No longer dependent on contributor selection
-function DateRangeSummary({ commits, darkMode, theme }) {
+function DateRangeSummary({ commits, darkMode, theme, repo, hiddenBotCommits = 0, onGenerateChangelog }) {
   const [summary, setSummary] = useState({});
   useEffect(() => {
-    const processCommits = () => {
-      const summaryData = {};
-      commits.forEach(commit => {
-        // Commit object from GitHub API, detailed info might come from /repos/{owner}/{repo}/commits/{ref} endpoint (for files info).
-        // However, commits directly from /repos/{owner}/{repo}/commits might not have files info.
-        // So process files if available, otherwise skip.
-        if (!commit.files) return; 
-        commit.files.forEach(file => {
-          const pathParts = file.filename.split('/');
-          // Top-level directory or file name
-          const topLevel = pathParts[0] || 'root';
-          if (!summaryData[topLevel]) {
-            summaryData[topLevel] = {
-              name: topLevel,
-              commitCount: 0,
-              newFiles: 0,
-              modifiedFiles: 0,
-              deletedFiles: 0,
-              // We can use a Set to track commits, but a simple counter is sufficient here
-              commits: new Set() 
-            };
-          }
-          summaryData[topLevel].commits.add(commit.sha); // Prevent counting the same commit multiple times
-          if (file.status === 'added') {
-            summaryData[topLevel].newFiles += 1;
-          } else if (file.status === 'modified') {
-            summaryData[topLevel].modifiedFiles += 1;
-          } else if (file.status === 'removed') {
-            summaryData[topLevel].deletedFiles += 1;
-          }
-        });
-      });
-      // Convert Set to count
-      Object.values(summaryData).forEach(item => {
-        item.commitCount = item.commits.size;
-        delete item.commits; // No longer needed
-      });
-      setSummary(summaryData);
-    };
     if (commits && commits.length > 0) {
-      processCommits();
+      setSummary(summarizeCommitsByDirectory(commits));
     } else {
       setSummary({});
     }
@@ -110,6 +161,7 @@ function DateRangeSummary({ commits, darkMode, theme }) {
         marginBottom: '20px'
       }}>
         <h4 style={{ margin: 0, color: darkMode ? "#ddd" : "#444" }}>No changes found for the selected date range.</h4>
+        <HiddenBotsNote count={hiddenBotCommits} darkMode={darkMode} />
       </div>
     );
   }
@@ -121,9 +173,34 @@ function DateRangeSummary({ commits, darkMode, theme }) {
       border: `1px solid ${borderColor}`,
       marginBottom: '20px'
     }}>
-      <h4 style={{ margin: '0 0 15px 0', color: darkMode ? "#ddd" : "#444" }}>
+      <h4 style={{ margin: '0 0 15px 0', color: darkMode ? "#ddd" : "#444", display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: 10 }}>
         Changes Summary for Selected Date Range (All Contributors)
+        <span style={{ display: 'inline-flex', gap: 10, alignItems: 'center', flexWrap: 'wrap' }}>
+          <button
+            onClick={onGenerateChangelog}
+            style={{
+              padding: '4px 10px',
+              fontSize: 12,
+              fontWeight: 400,
+              background: 'transparent',
+              color: iconColor,
+              border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+              borderRadius: 6,
+              cursor: 'pointer'
+            }}
+            title="Turn the commits in this range into Markdown release notes"
+          >
+            📝 Generate changelog
+          </button>
+          <ExportMenu
+            rows={Object.values(summary)}
+            columns={DATE_RANGE_SUMMARY_COLUMNS}
+            filename={`${repo || "repo"}-changes-summary`}
+            darkMode={darkMode}
+          />
+        </span>
       </h4>
+      <HiddenBotsNote count={hiddenBotCommits} darkMode={darkMode} />
       <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px' }}>
         {Object.values(summary).map(item => (
           <div 
@@ -163,9 +240,18 @@ function DateRangeSummary({ commits, darkMode, theme }) {
   );
 }
 // --- NEW END: Date Range Changes Summary Component ---
+// Tells how many commits the "exclude bots" switch removed from a panel
+function HiddenBotsNote({ count, darkMode }) {
+  if (!count) return null;
+  return (
+    <div style={{ fontSize: 12, color: darkMode ? "#aaa" : "#777", margin: "6px 0 10px" }}>
+      🤖 {count} bot {count === 1 ? "commit" : "commits"} hidden
+    </div>
+  );
+}
 // --- NEW: Recent Commits Modal Component ---
 // RecentCommitsModal with spell check functionality added
-function RecentCommitsModal({ onClose, darkMode, recentCommits, onRepoSelect, onSpellCheck }) {
+function RecentCommitsModal({ onClose, darkMode, recentCommits, onRepoSelect, onSpellCheck, hiddenBotCommits }) {
   const themeBg = darkMode ? "rgba(30, 30, 40, 0.95)" : "rgba(255, 255, 255, 0.95)";
   const themeColor = darkMode ? "#eee" : "#222";
   const borderColor = darkMode ? "#444" : "#ddd";
@@ -222,6 +308,7 @@ function RecentCommitsModal({ onClose, darkMode, recentCommits, onRepoSelect, on
           Recent Commits
         </h2>
         <p style={{ marginBottom: 20 }}>Last 25 commits across all repositories</p>
+        <HiddenBotsNote count={hiddenBotCommits} darkMode={darkMode} />
         {recentCommits.length === 0 ? (
           <p>No recent commits found.</p>
         ) : (
@@ -298,7 +385,7 @@ function RecentCommitsModal({ onClose, darkMode, recentCommits, onRepoSelect, on
 // --- NEW END: Recent Commits Modal Component ---
 // --- NEW: Spell Check Modal Component ---
 // SpellCheckModal's z-index increased
-function SpellCheckModal({ message, onClose, darkMode, spellCheckResult, isChecking }) {
+function SpellCheckModal({ message, onClose, darkMode, spellCheckResult, isChecking, provider, onProviderChange }) {
   const themeBg = darkMode ? "rgba(30, 30, 40, 0.95)" : "rgba(255, 255, 255, 0.95)";
   const themeColor = darkMode ? "#eee" : "#222";
   const borderColor = darkMode ? "#444" : "#ddd";
@@ -353,6 +440,25 @@ function SpellCheckModal({ message, onClose, darkMode, spellCheckResult, isCheck
         <h2 style={{ marginBottom: 20, color: darkMode ? "#64b5f6" : "#1976d2" }}>
           Spell Check for Commit Message
         </h2>
+        <div style={{ marginBottom: 20, fontSize: 14 }}>
+          <label style={{ marginRight: 10, fontWeight: 500 }}>Engine:</label>
+          <select
+            value={provider}
+            onChange={(e) => onProviderChange(e.target.value)}
+            disabled={isChecking}
+            style={{
+              padding: '6px 10px',
+              borderRadius: 6,
+              border: `1px solid ${borderColor}`,
+              background: darkMode ? 'rgba(50,50,60,0.5)' : '#fff',
+              color: themeColor
+            }}
+          >
+            {Object.values(SPELL_CHECK_PROVIDERS).map((p) => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+        </div>
         <div style={{ marginBottom: 20 }}>
           <h3 style={{ color: darkMode ? "#90caf9" : "#1976d2" }}>Original Message:</h3>
           <p style={{ whiteSpace: 'pre-wrap', padding: '10px', border: `1px solid ${borderColor}`, borderRadius: '8px', backgroundColor: darkMode ? 'rgba(50,50,60,0.5)' : 'rgba(240,240,250,0.5)' }}>
@@ -363,7 +469,7 @@ function SpellCheckModal({ message, onClose, darkMode, spellCheckResult, isCheck
           <h3 style={{ color: darkMode ? "#90caf9" : "#1976d2" }}>Spell Check Result:</h3>
           {isChecking ? (
             <p style={{ textAlign: 'center', padding: '20px' }}>🔍 Checking spelling...</p>
-          ) : spellCheckResult ? (
+          ) : spellCheckResult && !spellCheckResult.error ? (
             <div>
               <div style={{ marginBottom: 15 }}>
                 <strong>Language:</strong> {spellCheckResult.language?.name} ({spellCheckResult.language?.code})
@@ -376,6 +482,7 @@ function SpellCheckModal({ message, onClose, darkMode, spellCheckResult, isCheck
                       <li key={index} style={{ marginBottom: '15px' }}>
                         <strong>Word:</strong> "{match.word}" (at position {match.offset})
                         <br />
+                        {match.message && (<><em>{match.message}</em><br /></>)}
                         <strong>Suggestions:</strong> {match.replacements && match.replacements.length > 0 ? match.replacements.map(r => r.value).join(', ') : 'None provided'}
                         <br />
                         <small><em>Context:</em> ...{message.substring(Math.max(0, match.offset - 10), match.offset + match.length + 10)}...</small>
@@ -388,7 +495,7 @@ function SpellCheckModal({ message, onClose, darkMode, spellCheckResult, isCheck
               )}
             </div>
           ) : (
-            <p>❌ Failed to perform spell check. Please try again later.</p>
+            <p>❌ Failed to perform spell check{spellCheckResult?.error ? ` (${spellCheckResult.error})` : ""}. Please try again later.</p>
           )}
         </div>
       </div>
@@ -396,21 +503,24 @@ function SpellCheckModal({ message, onClose, darkMode, spellCheckResult, isCheck
   );
 }
 // --- NEW END: Spell Check Modal Component ---
-function getCommitType(message) {
-  if (!message) return "other";
-  const lower = message.toLowerCase();
-  for (const type of COMMIT_TYPES) {
-    if (lower.startsWith(type + ":")) return type;
-  }
-  return "other";
+// Value of a commit along one of the WEEKLY_CHART_GROUPINGS (except "user").
+// classifyCommit maps a message to a type of the active commit taxonomy.
+function getCommitDimension(message, dimension, classifyCommit) {
+  if (dimension === "type") return classifyCommit(message);
+  const parsed = parseConventionalCommit(message);
+  if (dimension === "scope") return parsed.scope || NO_SCOPE;
+  return parsed.breaking ? "breaking" : "non-breaking";
 }
-function groupCommitsByWeek(commits) {
+function getWeekKey(dateStr) {
+  const weekStart = startOfWeek(parseISO(dateStr), { weekStartsOn: 1 });
+  return format(weekStart, "yyyy-MM-dd");
+}
+// Weekly totals of a LINE_METRICS metric (commit count by default)
+function groupCommitsByWeek(commits, metric = "commits") {
   const weeks = {};
-  commits.forEach(({ commit }) => {
-    const date = parseISO(commit.author.date);
-    const weekStart = startOfWeek(date, { weekStartsOn: 1 });
-    const key = format(weekStart, "yyyy-MM-dd");
-    weeks[key] = (weeks[key] || 0) + 1;
+  commits.forEach((c) => {
+    const key = getWeekKey(c.commit.author.date);
+    weeks[key] = (weeks[key] || 0) + commitMetricValue(c, metric);
   });
   return Object.entries(weeks)
     .map(([week, count]) => ({ week, count }))
@@ -423,19 +533,50 @@ function isInDateRange(dateStr, from, to) {
   if (to && isAfter(d, new Date(to))) return false;
   return true;
 }
-function categorizeFile(path) {
-  const extMatch = path.match(/\.[^/.]+$/);
-  const ext = extMatch ? extMatch[0].toLowerCase() : '';
-  for (const [category, extensions] of Object.entries(CATEGORY_RULES)) {
-    if (extensions.includes(ext)) return category;
-  }
-  return 'other';
+// Fetches the detailed commit object (with 'files' and 'stats') for each commit summary.
+// Details come from the persistent cache when available.
+// Only a few requests run at once (see mapWithConcurrency).
+// Rate limit and token errors abort the whole load; any other failure yields
+// the summary itself (keepSummaryOnError) or null.
+async function fetchCommitDetails(repo, commits, { keepSummaryOnError = false } = {}) {
+  return mapWithConcurrency(commits, async (commit) => {
+    try {
+      return await getCommitDetail(repo, commit.sha);
+    } catch (err) {
+      if (err instanceof RateLimitError || err instanceof BadTokenError) throw err;
+      console.warn(`Failed to fetch details for commit ${commit.sha}`, err);
+      return keepSummaryOnError ? commit : null;
+    }
+  });
+}
+// Commits by any of a person's logins and emails (see utils/identities.js), newest first
+async function listPersonCommits(repo, authors, source, ref) {
+  const lists = await Promise.all(authors.map((author) => listCommits(repo, { source, ref, author })));
+  const bySha = new Map();
+  lists.flat().forEach((c) => bySha.set(c.sha, c));
+  return [...bySha.values()].sort(
+    (a, b) => new Date(b.commit.author.date) - new Date(a.commit.author.date)
+  );
+}
+// Saved commit source, or GraphQL whenever a token makes it available
+function resolveCommitSource(saved) {
+  return isGraphqlAvailable() && saved !== "rest" ? "graphql" : "rest";
+}
+// Key of a repo's per-ref data; the default branch keeps the plain repo name
+function repoRefKey(repo, ref) {
+  return ref ? `${repo}@${ref}` : repo;
 }
 // --- CHANGED: CommitDetails Component ---
 // CommitDetails component with spell check button and functionality added
-function CommitDetails({ username, commits, darkMode, onSpellCheck }) {
+const COMMIT_DETAILS_COLUMNS = [
+  { key: (c) => c.commit.author.date, label: "Date" },
+  { key: "sha", label: "SHA" },
+  { key: (c) => c.commit.message.split('\n')[0], label: "Message" },
+  { key: "html_url", label: "URL" }
+];
+function CommitDetails({ username, displayName = username, commits, darkMode, onSpellCheck, repo, merged }) {
   if (!commits || commits.length === 0)
-    return <p>No commits to show for {username}.</p>;
+    return <p>No commits to show for {displayName}.</p>;
   const bgColor = darkMode ? "rgba(30, 30, 40, 0.5)" : "rgba(245, 245, 250, 0.8)";
   const borderColor = darkMode ? "#444" : "#ddd";
   return (
@@ -457,10 +598,20 @@ function CommitDetails({ username, commits, darkMode, onSpellCheck }) {
       <h4
         style={{
           color: darkMode ? "#ddd" : "#444",
-          marginBottom: 10
+          marginBottom: 10,
+          display: "flex",
+          justifyContent: "space-between",
+          flexWrap: "wrap",
+          gap: 10
         }}
       >
-        Commit Details for {username}
+        Commit Details for {displayName}
+        <ExportMenu
+          rows={commits}
+          columns={COMMIT_DETAILS_COLUMNS}
+          filename={`${repo || "repo"}-${username}-commits`}
+          darkMode={darkMode}
+        />
       </h4>
       <ul style={{ listStyle: "none", paddingLeft: 0, margin: 0 }}>
         {/* New component used for commit rows */}
@@ -471,6 +622,7 @@ function CommitDetails({ username, commits, darkMode, onSpellCheck }) {
             darkMode={darkMode}
             borderColor={borderColor}
             onSpellCheck={onSpellCheck}
+            showAuthor={merged}
           />
         ))}
       </ul>
@@ -480,7 +632,7 @@ function CommitDetails({ username, commits, darkMode, onSpellCheck }) {
 // --- CHANGED END: CommitDetails Component ---
 // --- NEW: CommitDetailItem Component ---
 // New component that shows each commit row and the spell check button
-function CommitDetailItem({ commit, darkMode, borderColor, onSpellCheck }) {
+function CommitDetailItem({ commit, darkMode, borderColor, onSpellCheck, showAuthor }) {
   const handleSpellCheckClick = () => {
     onSpellCheck(commit.commit.message);
   };
@@ -500,6 +652,12 @@ function CommitDetailItem({ commit, darkMode, borderColor, onSpellCheck }) {
         }}
       >
         {new Date(commit.commit.author.date).toLocaleDateString('en-US')} {/* FIXED: 'en-US' added */}
+        {/* Merged identities: which of the person's aliases made the commit */}
+        {showAuthor && (
+          <span style={{ fontWeight: 400 }}>
+            {" "}· as {commit.author?.login || commit.commit.author.email}
+          </span>
+        )}
       </strong>
       <div style={{ position: 'relative' }}>
         <a
@@ -621,17 +779,33 @@ function InfoModal({ onClose, darkMode }) {
           <ol style={{ paddingLeft: 20 }}>
             <li><strong>Multi-Repository Tracking:</strong> Users can add repositories in owner/repo format, search and select from a list, and remove or switch between them.</li>
             <li><strong>Contributor Analysis:</strong> Lists contributors for a selected repository, showing individual commit counts, with options to select and favorite contributors.</li>
-            <li><strong>Commit Statistics:</strong> Filters commits by date range and type (feat, fix, docs, etc.). Includes a weekly commit comparison chart.</li>
-            <li><strong>File Structure Analysis:</strong> Categorizes project files (e.g., frontend, backend, docs, config) and displays file counts per category.</li>
+            <li><strong>Line Metrics:</strong> Lines added, deleted, net and churn per contributor (contributors table), per week (weekly chart "Show" toggle) and per file category (category breakdown).</li>
+            <li><strong>Bot Exclusion:</strong> "🤖 Exclude bots" hides bot accounts ([bot] suffix, Bot account type or a configurable pattern list) from the contributors list, recent commits, date range summary and weekly comparison, and shows how many bot commits were hidden.</li>
+            <li><strong>Contributor Identities:</strong> "🧑‍🤝‍🧑 Identities" merges logins, unlinked commit emails and author names into one person, with automatic suggestions (same email, same name, GitHub noreply email). Merged people are reported together everywhere.</li>
+            <li><strong>Cross-Repository View:</strong> "🌐 All repos" next to a contributor aggregates their commits, file categories and weekly activity over every tracked repository, with a per-repository breakdown.</li>
+            <li><strong>Commit Statistics:</strong> Filters commits by date range, commit type, scope and breaking changes. Commit types, their matching patterns (prefix, regex or keywords) and chart colours are editable under "🏷️ Commit Types", globally or per repository. Includes a weekly commit comparison chart that can be grouped by contributor, type, scope or breaking changes.</li>
+            <li><strong>File Structure Analysis:</strong> Categorizes project files (e.g., test, ci, infra, assets, frontend, backend, docs, config) with ordered path glob, extension and file name rules, and displays file counts per category. Rules can be edited globally or per repository with "✏️ Edit Rules".</li>
             <li><strong>Categorical Commit Analysis:</strong> Analyzes which contributors commit to which categories and visualizes the distribution.</li>
             <li><strong>Date Range Summary:</strong> Summarizes changes in the selected time window, including new, modified, and deleted files.</li>
+            <li><strong>Pull Request Analytics:</strong> Opened, merged and closed pull requests per author, merge rate, time-to-first-review and time-to-merge percentiles and a PR size distribution, following the date range, contributor selection and bot filter.</li>
+            <li><strong>Code Review Metrics:</strong> Approvals, change requests, comments and median review turnaround per reviewer, a reviewer × author matrix of who reviews whom, and a Reviews column in the contributors table.</li>
+            <li><strong>Issue Tracker Analytics:</strong> Issues opened vs closed per week, time to first response, time to close, label breakdown, top reporters and top closers for the date range (pull requests excluded).</li>
+            <li><strong>Release Tracking:</strong> Release timeline and cadence, the commits between any two tags grouped by commit type and contributor with a diff-stat summary, a release overlay for the weekly chart, and a shortcut that sets the date range to two releases.</li>
+            <li><strong>Changelog Generator:</strong> "📝 Generate changelog" in the date range summary turns the commits in the range into Markdown release notes grouped by type, with scopes, PR/issue links and contributor credits, in an editable preview with copy and download.</li>
+            <li><strong>Branch Selection:</strong> A branch/tag picker with search next to the repository name; the file structure, contributor commits, category analysis and date range summary are read from the chosen ref.</li>
+            <li><strong>Period Comparison:</strong> "⚖️ Compare periods" puts two date ranges side by side (commits per contributor, commit types, file categories, directories and lines changed) with changes and percent change.</li>
+            <li><strong>Commit Activity:</strong> a GitHub-style calendar and a weekday × hour punch card for the whole repository or one selected contributor, in a time zone of your choice. They follow the date, commit type and bot filters; click a cell to list its commits.</li>
+            <li><strong>Knowledge Concentration:</strong> bus factor (fewest authors covering half of the changed lines), top owner share and owner inactivity per directory or file category, as a sortable table and a treemap.</li>
+            <li><strong>File Hotspots:</strong> the most frequently changed and highest-churn files in the date range, with change count, distinct authors, lines churned and last touched, filterable by file category.</li>
+            <li><strong>PDF Report Export:</strong> Exports the current analysis (contributors, weekly chart, file structure, category distribution and date range summary) as a multi-page PDF.</li>
+            <li><strong>Data Export:</strong> Each data panel exports the filtered data it shows as CSV, JSON or a Markdown table.</li>
             <li><strong>Latest Commits Modal:</strong> Displays the most recent 25 commits across all repositories. Includes optional spell-checking for commit messages.</li>
-            <li><strong>Spell Check for Commits:</strong> Detects typos in commit messages and suggests corrections.</li>
+            <li><strong>Spell Check for Commits:</strong> Detects typos in commit messages and suggests corrections with an offline English dictionary that skips code, paths, SHAs and identifiers. LanguageTool is available as an opt-in remote engine.</li>
             <li><strong>Theme Support:</strong> Supports both light and dark themes.</li>
             <li><strong>Modals and Info Panels:</strong> Repository addition modal, spell-check modal, and an info panel with app details.</li>
             <li><strong>Responsive Design:</strong> Adapts seamlessly across different screen sizes.</li>
             <li><strong>Error Handling:</strong> Informs users about API errors and loading states.</li>
-            <li><strong>Local Storage:</strong> Stores favorites persistently in local storage.</li>
+            <li><strong>Local Storage:</strong> Stores the whole workspace (repositories, selection, filters, theme and favorites) persistently in local storage, with a reset action.</li>
             <li><strong>API Authentication:</strong> Supports GitHub API authentication via personal access tokens.</li>
           </ol>
         </div>
@@ -657,21 +831,12 @@ function OwnerRepoModal({ owner, onClose, darkMode, onSelectRepos }) {
     setError(null);
     setRepos([]);
     setSelectedRepos([]);
-    const userUrl = `https://api.github.com/users/${owner}/repos?per_page=100`;
-    const orgUrl = `https://api.github.com/orgs/${owner}/repos?per_page=100`;
-    fetch(userUrl, { headers: getAuthHeaders() })
-      .then(async (res) => {
-        if (res.ok) {
-          return await res.json();
-        } else if (res.status === 404) {
-          const orgResponse = await fetch(orgUrl, { headers: getAuthHeaders() });
-          if (orgResponse.ok) {
-            return await orgResponse.json();
-          }
-          throw new Error("Not found as user or organization");
-        } else {
-          throw new Error(`GitHub API error: ${res.status}`);
+    githubPaginate(`/users/${owner}/repos`)
+      .catch((err) => {
+        if (err instanceof NotFoundError) {
+          return githubPaginate(`/orgs/${owner}/repos`);
         }
+        throw err;
       })
       .then((data) => {
         setRepos(data || []);
@@ -679,9 +844,9 @@ function OwnerRepoModal({ owner, onClose, darkMode, onSelectRepos }) {
       })
       .catch((err) => {
         setError(
-          err.message.includes("Not found")
+          err instanceof NotFoundError
             ? "Owner not found as user or organization"
-            : "Failed to load repos for owner"
+            : describeGitHubError(err, "Failed to load repos for owner")
         );
         setLoading(false);
       });
@@ -904,19 +1069,12 @@ function RateLimitInfo({ darkMode, theme }) {
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch('https://api.github.com/rate_limit', {
-        headers: getAuthHeaders()
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch rate limit: ${response.status}`);
-      }
-      
-      const data = await response.json();
+      // No retries: the panel polls every 30 seconds anyway
+      const data = await githubFetch('/rate_limit', { retries: 0 });
       setRateLimit(data.resources.core);
     } catch (err) {
       console.error("Error fetching rate limit:", err);
-      setError("Failed to fetch rate limit information");
+      setError(describeGitHubError(err, "Failed to fetch rate limit information"));
     } finally {
       setLoading(false);
     }
@@ -1045,37 +1203,438 @@ function RateLimitInfo({ darkMode, theme }) {
 }
 // --- NEW END: Rate Limit Component ---
 
+// Workspace to start from: the saved one, overridden by a shared link's view state
+function loadInitialWorkspace() {
+  const workspace = loadWorkspace();
+  const urlState = readUrlState();
+  if (!urlState) return workspace;
+  const repos = urlState.repo && !workspace.repos.includes(urlState.repo)
+    ? [...workspace.repos, urlState.repo].sort((a, b) => a.localeCompare(b))
+    : workspace.repos;
+  // A shared link without a ref shows the default branch
+  const { [urlState.repo]: linkedRepoRef, ...otherRepoRefs } = workspace.repoRefs;
+  return {
+    ...workspace,
+    repos,
+    repoRefs: urlState.repo
+      ? { ...otherRepoRefs, ...(urlState.ref ? { [urlState.repo]: urlState.ref } : {}) }
+      : workspace.repoRefs,
+    selectedRepo: urlState.repo || workspace.selectedRepo,
+    selectedUsers: urlState.users,
+    dateFrom: urlState.from,
+    dateTo: urlState.to,
+    commitFilter: urlState.type,
+    scopeFilter: urlState.scope,
+    breakingOnly: urlState.breaking
+  };
+}
 function App() {
-  const [repos, setRepos] = useState([]);
+  // Saved workspace (or shared link), read once on mount
+  const [savedWorkspace] = useState(loadInitialWorkspace);
+  const [repos, setRepos] = useState(savedWorkspace.repos);
   const [newRepo, setNewRepo] = useState("");
-  const [selectedRepo, setSelectedRepo] = useState(null);
+  const [selectedRepo, setSelectedRepo] = useState(savedWorkspace.selectedRepo);
+  // --- NEW: Branch Selection ---
+  const [repoRefs, setRepoRefs] = useState(savedWorkspace.repoRefs);
+  // null = default branch
+  const selectedRef = (selectedRepo && repoRefs[selectedRepo]) || null;
+  // File trees and category details are stored under this key
+  const selectedRepoKey = repoRefKey(selectedRepo, selectedRef);
+  // Read by async loads when they finish, to drop results for a ref that is no longer shown
+  const selectedRepoKeyRef = useRef(selectedRepoKey);
+  selectedRepoKeyRef.current = selectedRepoKey;
+  // --- NEW END: Branch Selection ---
   const [contributors, setContributors] = useState([]);
   const [selectedRepoIsLoading, setSelectedRepoIsLoading] = useState(false);
   const [repoErrors, setRepoErrors] = useState({});
   const [error, setError] = useState(null);
   const [selectedUsers, setSelectedUsers] = useState([]);
   const [userCommitsMap, setUserCommitsMap] = useState({});
-  const [userCategoryCommitsMap, setUserCategoryCommitsMap] = useState({});
   const [userCategoryDetails, setUserCategoryDetails] = useState({});
   const [loadingUsers, setLoadingUsers] = useState({});
-  const [commitFilter, setCommitFilter] = useState("all");
-  const [dateFrom, setDateFrom] = useState("");
-  const [dateTo, setDateTo] = useState("");
-  const [favorites, setFavorites] = useState(() =>
-    JSON.parse(localStorage.getItem("favorites") || "[]")
+  const [commitFilter, setCommitFilter] = useState(savedWorkspace.commitFilter);
+  const [scopeFilter, setScopeFilter] = useState(savedWorkspace.scopeFilter);
+  const [breakingOnly, setBreakingOnly] = useState(savedWorkspace.breakingOnly);
+  const [chartGroupBy, setChartGroupBy] = useState(savedWorkspace.chartGroupBy);
+  const [chartMetric, setChartMetric] = useState(savedWorkspace.chartMetric);
+  const [showReleaseOverlay, setShowReleaseOverlay] = useState(savedWorkspace.showReleaseOverlay);
+  // --- NEW: Commit Type Taxonomy ---
+  const [commitTypeSettings, setCommitTypeSettings] = useState(savedWorkspace.commitTypes);
+  const [showCommitTypesModal, setShowCommitTypesModal] = useState(false);
+  const commitTypes = useMemo(
+    () => resolveCommitTypes(commitTypeSettings, selectedRepo),
+    [commitTypeSettings, selectedRepo]
+  );
+  const classifyCommit = useMemo(() => createCommitClassifier(commitTypes), [commitTypes]);
+  const commitTypeColors = useMemo(() => getCommitTypeColors(commitTypes), [commitTypes]);
+  // A type filter left over from another taxonomy would hide every commit
+  useEffect(() => {
+    if (commitFilter !== "all" && commitFilter !== OTHER_TYPE && !commitTypes.some((t) => t.id === commitFilter)) {
+      setCommitFilter("all");
+    }
+  }, [commitTypes, commitFilter]);
+  // --- NEW END: Commit Type Taxonomy ---
+  // "graphql" loads commit lists in batches of 100; "rest" needs one call per commit
+  const [commitSource, setCommitSource] = useState(() => resolveCommitSource(savedWorkspace.commitSource));
+  const [dateFrom, setDateFrom] = useState(savedWorkspace.dateFrom);
+  const [dateTo, setDateTo] = useState(savedWorkspace.dateTo);
+  const [favorites, setFavorites] = useState(savedWorkspace.favorites);
+  const [darkMode, setDarkMode] = useState(savedWorkspace.darkMode);
+  // Contributor selection waiting to be restored once the contributors list has loaded
+  const pendingSelectedUsersRef = useRef(
+    savedWorkspace.selectedUsers.length > 0 ? savedWorkspace.selectedUsers : null
   );
-  const [darkMode, setDarkMode] = useState(false);
   const [showInfoModal, setShowInfoModal] = useState(false);
   const [ownerSearch, setOwnerSearch] = useState("");
   const [showOwnerModal, setShowOwnerModal] = useState(false);
   const [ownerForModal, setOwnerForModal] = useState(null);
   const [repoFileTreeMap, setRepoFileTreeMap] = useState({});
-  const [repoFileMap, setRepoFileMap] = useState({});
+  // --- NEW: File Categorization Rules ---
+  const [categoryRuleSettings, setCategoryRuleSettings] = useState(savedWorkspace.fileCategories);
+  const [showCategoryRulesModal, setShowCategoryRulesModal] = useState(false);
+  const categoryRules = useMemo(
+    () => resolveCategoryRules(categoryRuleSettings, selectedRepo),
+    [categoryRuleSettings, selectedRepo]
+  );
+  const categorizeFile = useMemo(() => createFileCategorizer(categoryRules), [categoryRules]);
+  const categoryNames = useMemo(() => getCategoryNames(categoryRules), [categoryRules]);
+  // The tree is stored uncategorized so rule changes re-bucket it without refetching
+  const repoFilesByCategory = useMemo(() => {
+    const files = repoFileTreeMap[selectedRepoKey];
+    if (!files) return null;
+    const grouped = {};
+    files.forEach((file) => {
+      const category = categorizeFile(file.path);
+      (grouped[category] = grouped[category] || []).push(file);
+    });
+    return grouped;
+  }, [repoFileTreeMap, selectedRepoKey, categorizeFile]);
+  // --- NEW END: File Categorization Rules ---
+  // --- NEW: Bot Exclusion ---
+  const [excludeBots, setExcludeBots] = useState(savedWorkspace.excludeBots);
+  const [botPatterns, setBotPatterns] = useState(savedWorkspace.botPatterns);
+  // Edited as text, applied on blur so typing ", " isn't swallowed
+  const [botPatternsInput, setBotPatternsInput] = useState(savedWorkspace.botPatterns.join(", "));
+  const botDetector = useMemo(() => createBotDetector(botPatterns), [botPatterns]);
+  const excludeBotCommits = useCallback(
+    (commits) => (excludeBots ? commits.filter((c) => !botDetector.isBotCommit(c)) : commits),
+    [excludeBots, botDetector]
+  );
+  const applyBotPatternsInput = () => {
+    const patterns = botPatternsInput.split(",").map((p) => p.trim()).filter(Boolean);
+    setBotPatterns(patterns);
+    setBotPatternsInput(patterns.join(", "));
+  };
+  // --- NEW END: Bot Exclusion ---
+  // --- NEW: Contributor Identities ---
+  const [identities, setIdentities] = useState(savedWorkspace.identities);
+  const [showIdentityModal, setShowIdentityModal] = useState(false);
+  const identityResolver = useMemo(() => createIdentityResolver(identities), [identities]);
+  // Contributors table rows with merged identities collapsed into one row per person.
+  // Anonymous contributors (commit emails not linked to an account) are keyed by email.
+  const contributorRows = useMemo(() => {
+    const rows = new Map();
+    contributors.forEach((c) => {
+      if (excludeBots && botDetector.isBotAccount(c)) return;
+      const key = identityResolver.primaryKey(c.login || c.email);
+      const row = rows.get(key) || {
+        id: key,
+        login: key,
+        name: identityResolver.displayName(key),
+        html_url: null,
+        contributions: 0,
+        aliases: []
+      };
+      row.contributions += c.contributions;
+      row.html_url = row.html_url || c.html_url || null;
+      row.aliases.push(c.login || c.email);
+      rows.set(key, row);
+    });
+    return [...rows.values()].sort((a, b) => b.contributions - a.contributions);
+  }, [contributors, identityResolver, excludeBots, botDetector]);
+  const hiddenBotContributors = excludeBots
+    ? contributors.filter((c) => botDetector.isBotAccount(c))
+    : [];
+  // Identity sources for merge suggestions: contributors plus the emails
+  // and names seen in their loaded commits
+  const getIdentitySources = () => {
+    const sources = contributors.map((c) => ({
+      key: c.login || c.email,
+      contributions: c.contributions,
+      aliases: c.login
+        ? [aliasOfKey(c.login)]
+        : [aliasOfKey(c.email), ...(c.name ? [`name:${c.name}`] : [])]
+    }));
+    Object.values(userCommitsMap).flat().forEach((commit) => {
+      const key = commit.author?.login || commit.commit.author.email;
+      if (key) sources.push({ key, contributions: 0, aliases: aliasesOfCommit(commit) });
+    });
+    return sources;
+  };
+  // Loaded commits belong to the old identities: reload the selection under the new ones
+  const saveIdentities = (next) => {
+    const resolver = createIdentityResolver(next);
+    const reselected = [...new Set(selectedUsers.map(resolver.primaryKey))];
+    setIdentities(next);
+    setShowIdentityModal(false);
+    setUserCommitsMap({});
+    setUserCategoryDetails({});
+    setSelectedUsers(reselected);
+    reselected.forEach((key) => fetchUserCommits(key, resolver));
+  };
+  // --- NEW END: Contributor Identities ---
+  // --- NEW: Cross-Repository Contributor View ---
+  const [crossRepoUser, setCrossRepoUser] = useState(null);
+  // Detailed commits of one contributor in any tracked repo (details are cached)
+  const loadContributorRepoCommits = useCallback(async (repo, login) => {
+    const data = await listPersonCommits(repo, identityResolver.authorsFor(login), commitSource, repoRefs[repo]);
+    const detailedCommits = await fetchCommitDetails(repo, data);
+    return detailedCommits.filter((c) => c !== null);
+  }, [commitSource, identityResolver, repoRefs]);
+  const getRepoFileCategorizer = useCallback(
+    (repo) => createFileCategorizer(resolveCategoryRules(categoryRuleSettings, repo)),
+    [categoryRuleSettings]
+  );
+  // --- NEW END: Cross-Repository Contributor View ---
+  // Weekly line stats per author for the contributors table (see getContributorStats);
+  // null while loading or when GitHub hasn't computed them yet
+  const [contributorStats, setContributorStats] = useState(null);
+  useEffect(() => {
+    setContributorStats(null);
+    if (!selectedRepo) return;
+    let cancelled = false;
+    getContributorStats(selectedRepo)
+      .then((stats) => {
+        if (!cancelled) setContributorStats(stats);
+      })
+      .catch((err) => console.warn("Failed to load contributor statistics:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedRepo]);
+  // --- NEW: Pull Request Analytics ---
+  const [pullRequests, setPullRequests] = useState([]);
+  // More PRs were updated in the range than fetchPullRequests pages through
+  const [pullRequestsTruncated, setPullRequestsTruncated] = useState(false);
+  const [isLoadingPullRequests, setIsLoadingPullRequests] = useState(false);
+  const [pullRequestError, setPullRequestError] = useState(null);
+  // PRs updated since the start of the range are fetched; the rest of the
+  // filtering happens below so selection changes don't refetch
+  useEffect(() => {
+    if (!selectedRepo) return;
+    let cancelled = false;
+    setIsLoadingPullRequests(true);
+    setPullRequestError(null);
+    fetchPullRequests(selectedRepo, { since: dateFrom })
+      .then((result) => {
+        if (!cancelled) {
+          setPullRequests(result.pullRequests);
+          setPullRequestsTruncated(result.truncated);
+        }
+      })
+      .catch((err) => {
+        console.error("Error fetching pull requests:", err);
+        if (!cancelled) {
+          setPullRequests([]);
+          setPullRequestsTruncated(false);
+          setPullRequestError(describeGitHubError(err, "Failed to load pull requests."));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingPullRequests(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedRepo, dateFrom]);
+  const pullRequestAuthorKey = useCallback(
+    (pr) => (pr.author ? identityResolver.primaryKey(pr.author) : "(deleted user)"),
+    [identityResolver]
+  );
+  // Same contributor selection and bot switch as Commit Analysis; the panel
+  // counts each PR by the date that matters (opened, merged or closed in range)
+  const visiblePullRequests = useMemo(
+    () =>
+      pullRequests.filter((pr) => {
+        if (excludeBots && (pr.authorIsBot || botDetector.isBotAccount({ login: pr.author }))) return false;
+        if (selectedUsers.length > 0 && !selectedUsers.includes(pullRequestAuthorKey(pr))) return false;
+        return true;
+      }),
+    [pullRequests, excludeBots, botDetector, selectedUsers, pullRequestAuthorKey]
+  );
+  // --- NEW END: Pull Request Analytics ---
+  // --- NEW: Code Review Metrics ---
+  const reviewerKey = useCallback(
+    (review) => identityResolver.primaryKey(review.reviewer),
+    [identityResolver]
+  );
+  const reviewAuthorKey = useCallback((review) => pullRequestAuthorKey(review.pr), [pullRequestAuthorKey]);
+  // Reviews submitted in the date range, on any pull request updated since its start
+  const rangeReviews = useMemo(
+    () =>
+      collectReviews(pullRequests, (date) => isInDateRange(date, dateFrom, dateTo)).filter(
+        (review) =>
+          !excludeBots || !(review.reviewerIsBot || botDetector.isBotAccount({ login: review.reviewer }))
+      ),
+    [pullRequests, dateFrom, dateTo, excludeBots, botDetector]
+  );
+  const visibleReviews =
+    selectedUsers.length > 0
+      ? rangeReviews.filter((review) => selectedUsers.includes(reviewerKey(review)))
+      : rangeReviews;
+  // Reviews given per contributor key, for the contributors table
+  const reviewCounts = useMemo(() => {
+    const counts = {};
+    rangeReviews.forEach((review) => {
+      const key = reviewerKey(review);
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+  }, [rangeReviews, reviewerKey]);
+  const hasReviewData = isGraphqlAvailable();
+  // --- NEW END: Code Review Metrics ---
+  // --- NEW: Issue Tracker Analytics ---
+  const [issues, setIssues] = useState([]);
+  // More issues were updated in the range than fetchIssues pages through
+  const [issuesTruncated, setIssuesTruncated] = useState(false);
+  const [isLoadingIssues, setIsLoadingIssues] = useState(false);
+  const [issueError, setIssueError] = useState(null);
+  // Everything updated since the start of the range; opened/closed dates are checked in the panel
+  useEffect(() => {
+    if (!selectedRepo) return;
+    let cancelled = false;
+    setIsLoadingIssues(true);
+    setIssueError(null);
+    fetchIssues(selectedRepo, { since: dateFrom })
+      .then((result) => {
+        if (!cancelled) {
+          setIssues(result.issues);
+          setIssuesTruncated(result.truncated);
+        }
+      })
+      .catch((err) => {
+        console.error("Error fetching issues:", err);
+        if (!cancelled) {
+          setIssues([]);
+          setIssuesTruncated(false);
+          setIssueError(describeGitHubError(err, "Failed to load issues."));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingIssues(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedRepo, dateFrom]);
+  const isInSelectedRange = useCallback((date) => isInDateRange(date, dateFrom, dateTo), [dateFrom, dateTo]);
+  const isBotLogin = useCallback((login) => botDetector.isBotAccount({ login }), [botDetector]);
+  const visibleIssues = excludeBots
+    ? issues.filter((issue) => !issue.authorIsBot && !isBotLogin(issue.author))
+    : issues;
+  // --- NEW END: Issue Tracker Analytics ---
+  // --- NEW: Release Tracking ---
+  const [releaseTags, setReleaseTags] = useState([]);
+  const [isLoadingReleases, setIsLoadingReleases] = useState(false);
+  const [releaseError, setReleaseError] = useState(null);
+  useEffect(() => {
+    if (!selectedRepo) return;
+    let cancelled = false;
+    setIsLoadingReleases(true);
+    setReleaseError(null);
+    fetchReleaseTags(selectedRepo)
+      .then((tags) => {
+        if (!cancelled) setReleaseTags(tags);
+      })
+      .catch((err) => {
+        console.error("Error fetching tags:", err);
+        if (!cancelled) {
+          setReleaseTags([]);
+          setReleaseError(describeGitHubError(err, "Failed to load tags and releases."));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingReleases(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedRepo]);
+  // Person key of any commit, whether or not its author is in the contributors list
+  const commitPersonKey = useCallback(
+    (commit) =>
+      identityResolver.keyForCommit(commit) ||
+      identityResolver.primaryKey(commit.author?.login || commit.commit.author.email),
+    [identityResolver]
+  );
+  // Date of a person's newest commit on the selected ref under any of their
+  // logins or emails, whatever the date range and filters
+  const loadOwnerLastActive = useCallback(
+    async (key) => {
+      const dates = await Promise.all(
+        identityResolver.authorsFor(key).map((author) => getLatestCommitDate(selectedRepo, author, selectedRef))
+      );
+      return dates.filter(Boolean).sort().pop() || null;
+    },
+    [identityResolver, selectedRepo, selectedRef]
+  );
+  const applyReleaseDateRange = (from, to) => {
+    setDateFrom(from.substring(0, 10));
+    setDateTo(to.substring(0, 10));
+  };
+  // Tag names per week, for the weekly chart overlay
+  const releasesByWeek = {};
+  releaseTags
+    .filter((tag) => tag.date)
+    .forEach((tag) => {
+      const week = getWeekKey(tag.date);
+      releasesByWeek[week] = [...(releasesByWeek[week] || []), tag.name];
+    });
+  // --- NEW END: Release Tracking ---
+  // --- NEW: Period Comparison ---
+  const [showPeriodComparison, setShowPeriodComparison] = useState(false);
+  // Commits in any of `periods` ([{ from, to }]) with file details; commits
+  // between or after the periods are listed but not detailed.
+  // Like the date range summary, at most the latest 2000 commits are listed.
+  const loadPeriodCommits = useCallback(async (periods) => {
+    const maxPages = 20;
+    const earliest = periods.map((period) => period.from).sort()[0];
+    const summaries = await listCommits(selectedRepo, { source: commitSource, ref: selectedRef, maxPages });
+    const inPeriods = excludeBotCommits(
+      summaries.filter((c) => periods.some((period) => isInDateRange(c.commit.author.date, period.from, period.to)))
+    );
+    const commits = await fetchCommitDetails(selectedRepo, inPeriods, { keepSummaryOnError: true });
+    const oldest = summaries[summaries.length - 1];
+    return {
+      commits,
+      truncated: summaries.length >= maxPages * 100 && oldest.commit.author.date > earliest
+    };
+  }, [selectedRepo, selectedRef, commitSource, excludeBotCommits]);
+  // --- NEW END: Period Comparison ---
+  // --- NEW: Commit Activity Heatmaps ---
+  // "" is the browser's own time zone
+  const [heatmapTimeZone, setHeatmapTimeZone] = useState(savedWorkspace.heatmapTimeZone);
+  const [heatmapTimeZoneInput, setHeatmapTimeZoneInput] = useState(savedWorkspace.heatmapTimeZone);
+  // "repo" for every commit in the date range, otherwise a selected contributor
+  const [heatmapSubject, setHeatmapSubject] = useState("repo");
+  // { title, commits } of the clicked cell
+  const [heatmapCommitList, setHeatmapCommitList] = useState(null);
+  const applyHeatmapTimeZone = (value) => {
+    const timeZone = value.trim();
+    setHeatmapTimeZoneInput(timeZone);
+    if (isValidTimeZone(timeZone)) setHeatmapTimeZone(timeZone);
+  };
+  // --- NEW END: Commit Activity Heatmaps ---
+  // --- NEW: Changelog Generator ---
+  // Markdown built when the modal opens; null while it is closed
+  const [changelogMarkdown, setChangelogMarkdown] = useState(null);
+  // --- NEW END: Changelog Generator ---
   // --- NEW: Spell Check States ---
   const [showSpellCheckModal, setShowSpellCheckModal] = useState(false);
   const [currentSpellCheckMessage, setCurrentSpellCheckMessage] = useState("");
   const [spellCheckResult, setSpellCheckResult] = useState(null);
   const [isSpellCheckLoading, setIsSpellCheckLoading] = useState(false);
+  const [spellCheckProvider, setSpellCheckProvider] = useState(savedWorkspace.spellCheckProvider);
   // --- NEW END: Spell Check States --
   // --- NEW: Recent Commits States ---
   const [showRecentCommitsModal, setShowRecentCommitsModal] = useState(false);
@@ -1083,9 +1642,14 @@ function App() {
   const [recentCommitsLoading, setRecentCommitsLoading] = useState(false);
   // --- NEW END: Recent Commits States ---
   // --- NEW: All Filtered Commits State ---
-  const [allFilteredCommits, setAllFilteredCommits] = useState([]);
+  // Every commit in the date range; the type/scope filters are applied on top
+  const [rangeCommits, setRangeCommits] = useState([]);
   const [isFetchingAllCommits, setIsFetchingAllCommits] = useState(false);
   // --- NEW END: All Filtered Commits State ---
+  // --- NEW: PDF Report State ---
+  const [isExportingReport, setIsExportingReport] = useState(false);
+  const weeklyChartRef = useRef(null);
+  // --- NEW END: PDF Report State ---
   const lightTheme = {
     backgroundColor: "#f8f9fa",
     color: "#333",
@@ -1116,29 +1680,15 @@ function App() {
     document.body.style.color = darkMode ? "#eee" : "#333";
   }, [darkMode]);
   // --- NEW: Spell Check Function ---
-  // Language parameter fixed to 'en-US'
-  const performSpellCheck = useCallback(async (message) => {
+  // Runs the selected provider (offline dictionary by default, English only)
+  const performSpellCheck = useCallback(async (message, provider = spellCheckProvider) => {
     if (!message) return;
     setCurrentSpellCheckMessage(message);
     setShowSpellCheckModal(true);
     setIsSpellCheckLoading(true);
     setSpellCheckResult(null);
     try {
-      // POST request to LanguageTool API
-      const response = await fetch('https://api.languagetool.org/v2/check', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          text: message,
-          language: 'en-US' // English only
-        })
-      });
-      if (!response.ok) {
-        throw new Error(`Spell check API error: ${response.status}`);
-      }
-      const data = await response.json();
+      const data = await checkSpelling(message, provider);
       setSpellCheckResult(data);
     } catch (err) {
       console.error("Spell check failed:", err);
@@ -1146,7 +1696,11 @@ function App() {
     } finally {
       setIsSpellCheckLoading(false);
     }
-  }, []);
+  }, [spellCheckProvider]);
+  const changeSpellCheckProvider = (provider) => {
+    setSpellCheckProvider(provider);
+    performSpellCheck(currentSpellCheckMessage, provider);
+  };
   // --- NEW END: Spell Check Function ---
   // --- NEW: Fetch Recent Commits Function ---
   const fetchRecentCommits = async () => {
@@ -1156,17 +1710,13 @@ function App() {
     try {
       // Fetch recent commits for all repositories in parallel
       const promises = repos.map(repo =>
-        fetch(`https://api.github.com/repos/${repo}/commits?per_page=5`, { 
-          headers: getAuthHeaders() 
-        }).then(res => {
-          if (!res.ok) throw new Error(`Failed to fetch commits for ${repo}`);
-          return res.json();
-        }).then(commits => 
-          commits.map(commit => ({
-            ...commit,
-            repository: { full_name: repo }
-          }))
-        )
+        githubFetch(`/repos/${repo}/commits`, { params: { per_page: 5 } })
+          .then(commits =>
+            commits.map(commit => ({
+              ...commit,
+              repository: { full_name: repo }
+            }))
+          )
       );
       const results = await Promise.all(promises);
       // Put all commits into a single array and sort by date
@@ -1179,7 +1729,7 @@ function App() {
       setShowRecentCommitsModal(true);
     } catch (err) {
       console.error("Error fetching recent commits:", err);
-      setError("Failed to load recent commits.");
+      setError(describeGitHubError(err, "Failed to load recent commits."));
     } finally {
       setRecentCommitsLoading(false);
     }
@@ -1187,14 +1737,17 @@ function App() {
   // --- NEW END: Fetch Recent Commits Function ---
   const clearRepoData = (repo) => {
     setContributors([]);
+    setPullRequests([]);
+    setPullRequestsTruncated(false);
+    setIssues([]);
+    setIssuesTruncated(false);
+    setReleaseTags([]);
     setSelectedUsers([]);
     setUserCommitsMap({});
-    setUserCategoryCommitsMap({});
     setUserCategoryDetails({});
-    setRepoFileMap({});
     setRepoFileTreeMap({});
     setRepoErrors({});
-    setAllFilteredCommits([]); // Clear this list when repo changes
+    setRangeCommits([]); // Clear this list when repo changes
   };
   const addRepo = (repoFullName) => {
     if (!repoFullName || repos.includes(repoFullName)) {
@@ -1221,138 +1774,73 @@ function App() {
   };
   const removeRepo = (repoName) => {
     setRepos((prev) => prev.filter((r) => r !== repoName));
+    setRepoRefs(({ [repoName]: removed, ...rest }) => rest);
     if (selectedRepo === repoName) {
       setSelectedRepo(null);
       setContributors([]);
+      setPullRequests([]);
+      setPullRequestsTruncated(false);
+      setIssues([]);
+      setIssuesTruncated(false);
+      setReleaseTags([]);
       setSelectedUsers([]);
       setUserCommitsMap({});
-      setUserCategoryCommitsMap({});
       setUserCategoryDetails({});
-      setRepoFileMap({});
       setRepoFileTreeMap({});
-      setAllFilteredCommits([]); // Clear this list when repo is removed
+      setRangeCommits([]); // Clear this list when repo is removed
     }
   };
-  const fetchRepoFileTree = async (repoName) => {
+  const fetchRepoFileTree = async (repoName, ref = selectedRef) => {
+    const key = repoRefKey(repoName, ref);
     setSelectedRepoIsLoading(true);
+    setRepoErrors((prev) => ({ ...prev, [key]: null }));
     try {
-      const repoExists = Object.keys(repoFileTreeMap).includes(repoName);
+      const repoExists = Object.keys(repoFileTreeMap).includes(key);
       if (repoExists) {
         setSelectedRepoIsLoading(false);
         return;
       }
-      const repoDetailsRes = await fetch(
-        `https://api.github.com/repos/${repoName}`,
-        { headers: getAuthHeaders() }
-      );
-      if (!repoDetailsRes.ok) return;
-      const repoDetails = await repoDetailsRes.json();
-      const res = await fetch(
-        `https://api.github.com/repos/${repoName}/git/trees/${repoDetails.default_branch}?recursive=1`,
-        { headers: getAuthHeaders() }
-      );
-      if (!res.ok) {
-        setRepoErrors((prev) => ({ ...prev, [repoName]: "Error fetching file structure" }));
-        setSelectedRepoIsLoading(false);
-        return;
-      }
-      const data = await res.json();
+      const treeRef = ref || (await githubFetch(`/repos/${repoName}`)).default_branch;
+      const data = await getRepoTree(repoName, treeRef);
       if (!data || !data.tree) {
-        setRepoErrors((prev) => ({ ...prev, [repoName]: "Empty or invalid tree structure" }));
+        setRepoErrors((prev) => ({ ...prev, [key]: "Empty or invalid tree structure" }));
         setSelectedRepoIsLoading(false);
         return;
       }
       const files = data.tree.filter((item) => item.type === "blob");
-      const categorizedFiles = {};
-      const fileMap = {};
-      files.forEach((file) => {
-        const category = categorizeFile(file.path);
-        if (!categorizedFiles[category]) {
-          categorizedFiles[category] = [];
-        }
-        categorizedFiles[category].push(file);
-        fileMap[file.path] = category;
-      });
       setRepoFileTreeMap((prev) => ({
         ...prev,
-        [repoName]: categorizedFiles
-      }));
-      setRepoFileMap((prev) => ({
-        ...prev,
-        [repoName]: fileMap
+        [key]: files
       }));
       setSelectedRepoIsLoading(false);
     } catch (error) {
-      setRepoErrors((prev) => ({ ...prev, [repoName]: "Error loading file structure" }));
+      setRepoErrors((prev) => ({
+        ...prev,
+        [key]: describeGitHubError(error, "Error loading file structure")
+      }));
       setSelectedRepoIsLoading(false);
     }
   };
-  const fetchRepoCommitCategories = async (repoName, username) => {
-    if (!username || !repoName || !repoFileMap[repoName]) return;
+  // Loads a contributor's detailed commits; categories are derived from them on render
+  const fetchRepoCommitCategories = async (repoName, username, ref = selectedRef) => {
+    if (!username || !repoName) return;
     setLoadingUsers((prev) => ({ ...prev, [username]: true }));
     setError(null);
     try {
-      let page = 1;
-      let allDetails = [];
-      const totalCategorizedCommits = {
-        backend: 0,
-        frontend: 0,
-        docs: 0,
-        config: 0,
-        other: 0,
-      };
-      while (true) {
-        const res = await fetch(
-          `https://api.github.com/repos/${repoName}/commits?author=${username}&per_page=100&page=${page}`,
-          { headers: getAuthHeaders() }
-        );
-        if (!res.ok) {
-          if (res.status === 403) {
-            throw new Error("Rate limit exceeded");
-          }
-          break;
-        }
-        const data = await res.json();
-        if (data.length === 0) break;
-        // Fetch commit details to get 'files'
-        const detailedCommits = await Promise.all(
-          data.map(async (commit) => {
-            const detailRes = await fetch(commit.url, { headers: getAuthHeaders() });
-            if (!detailRes.ok) return null;
-            return await detailRes.json();
-          })
-        );
-        // Filter out any failed fetches
-        const validCommits = detailedCommits.filter(c => c !== null);
-        allDetails = allDetails.concat(validCommits);
-        // Process file categories
-        validCommits.forEach((commit) => {
-          if (!commit.files || !commit.files.length) return;
-          commit.files.forEach((file) => {
-            const category = repoFileMap[repoName][file.filename] || "other";
-            totalCategorizedCommits[category] =
-              (totalCategorizedCommits[category] || 0) + 1;
-          });
-        });
-        if (data.length < 100) break; // No more pages
-        page++;
-      }
-      setUserCategoryCommitsMap((prev) => ({
-        ...prev,
-        [repoName]: {
-          ...(prev[repoName] || {}),
-          [username]: totalCategorizedCommits
-        }
-      }));
+      const data = await listPersonCommits(repoName, identityResolver.authorsFor(username), commitSource, ref);
+      // Fetch commit details to get 'files'
+      const detailedCommits = await fetchCommitDetails(repoName, data);
+      // Filter out any failed fetches
+      const validCommits = detailedCommits.filter(c => c !== null);
       setUserCategoryDetails((prev) => ({
         ...prev,
         [username]: {
           ...(prev[username] || {}),
-          [repoName]: allDetails
+          [repoRefKey(repoName, ref)]: validCommits
         }
       }));
     } catch (error) {
-      setError(error.message || "Error loading commit data for user");
+      setError(describeGitHubError(error, "Error loading commit data for user"));
     } finally {
       setLoadingUsers((prev) => ({ ...prev, [username]: false }));
     }
@@ -1361,61 +1849,65 @@ function App() {
     setError(null);
     setSelectedUsers([]);
     setUserCommitsMap({});
-    setUserCategoryCommitsMap({});
     setUserCategoryDetails({});
     setContributors([]);
     try {
-      const contributorsUrl = `https://api.github.com/repos/${repo}/contributors`;
-      const res = await fetch(contributorsUrl, { headers: getAuthHeaders() });
-      if (!res.ok) {
-        setError("Error fetching contributors.");
-        return;
-      }
-      const contributorsData = await res.json();
+      // anon=1 adds commit emails that are not linked to a GitHub account
+      const contributorsData = await githubPaginate(`/repos/${repo}/contributors`, {
+        params: { anon: 1 }
+      });
       setContributors(contributorsData);
+      restorePendingSelectedUsers(contributorsData);
       await fetchRepoFileTree(repo);
     } catch (error) {
-      setError("Error fetching contributors or file structure.");
+      setError(describeGitHubError(error, "Error fetching contributors or file structure."));
     }
   };
-  const fetchUserCommits = async (username) => {
+  const restorePendingSelectedUsers = (contributorsData) => {
+    const pending = pendingSelectedUsersRef.current;
+    if (!pending) return;
+    pendingSelectedUsersRef.current = null;
+    const keys = contributorsData.map((c) => identityResolver.primaryKey(c.login || c.email));
+    const restored = [...new Set(pending.map(identityResolver.primaryKey))].filter((u) => keys.includes(u));
+    setSelectedUsers(restored);
+    restored.forEach((u) => fetchUserCommits(u));
+  };
+  // Latest fetchUserCommits call per user; an older call finishing late is ignored
+  const userCommitLoadsRef = useRef({});
+  // username is a user key: a login, an unlinked email or a merged person
+  const fetchUserCommits = async (username, resolver = identityResolver, ref = selectedRef) => {
+    const load = {};
+    userCommitLoadsRef.current[username] = load;
+    const isCurrent = () => userCommitLoadsRef.current[username] === load;
+    const repoKey = repoRefKey(selectedRepo, ref);
     setLoadingUsers((prev) => ({ ...prev, [username]: true }));
     setError(null);
     let allCommits = [];
-    let page = 1;
-    const per_page = 100;
     try {
-      while (true) {
-        const res = await fetch(
-          `https://api.github.com/repos/${selectedRepo}/commits?author=${username}&per_page=${per_page}&page=${page}`,
-          { headers: getAuthHeaders() }
-        );
-        if (!res.ok) {
-          if (res.status === 403) {
-            throw new Error("Rate limit exceeded");
-          }
-          break;
-        }
-        const data = await res.json();
-        if (data.length === 0) break;
+      const data = await listPersonCommits(selectedRepo, resolver.authorsFor(username), commitSource, ref);
+      if (commitSource === "graphql") {
+        // GraphQL history already carries message, date and stats;
+        // file paths are only fetched by the panels that need them.
+        allCommits = data;
+      } else {
         // Fetch commit details to get 'files'
-        const detailedCommits = await Promise.all(
-          data.map(async (commit) => {
-            const detailRes = await fetch(commit.url, { headers: getAuthHeaders() });
-            if (!detailRes.ok) return null;
-            return await detailRes.json();
-          })
-        );
+        const detailedCommits = await fetchCommitDetails(selectedRepo, data);
         // Filter out any failed fetches
-        const validCommits = detailedCommits.filter(c => c !== null);
-        allCommits = allCommits.concat(validCommits);
-        page++;
+        allCommits = detailedCommits.filter(c => c !== null);
+        // Same commits the category breakdown needs, so it doesn't fetch them again
+        setUserCategoryDetails((prev) => ({
+          ...prev,
+          [username]: { ...(prev[username] || {}), [repoKey]: allCommits }
+        }));
+      }
+      // userCommitsMap only holds the shown ref, so answers for another one are dropped
+      if (isCurrent() && selectedRepoKeyRef.current === repoKey) {
+        setUserCommitsMap((prev) => ({ ...prev, [username]: allCommits }));
       }
-      setUserCommitsMap((prev) => ({ ...prev, [username]: allCommits }));
     } catch (error) {
-      setError(error.message || "Error fetching user commits.");
+      if (isCurrent()) setError(describeGitHubError(error, "Error fetching user commits."));
     } finally {
-      setLoadingUsers((prev) => ({ ...prev, [username]: false }));
+      if (isCurrent()) setLoadingUsers((prev) => ({ ...prev, [username]: false }));
     }
   };
   useEffect(() => {
@@ -1423,6 +1915,18 @@ function App() {
       fetchContributors(selectedRepo);
     }
   }, [selectedRepo]);
+  // Reloads the selected contributors' commits and the file tree from another ref.
+  // Category details and trees already loaded for a ref are kept under its key.
+  const changeSelectedRef = (ref, users = selectedUsers) => {
+    if (!selectedRepo || ref === selectedRef) return;
+    setRepoRefs((prev) => {
+      const { [selectedRepo]: previous, ...rest } = prev;
+      return ref ? { ...rest, [selectedRepo]: ref } : rest;
+    });
+    setUserCommitsMap({});
+    users.forEach((user) => fetchUserCommits(user, identityResolver, ref));
+    fetchRepoFileTree(selectedRepo, ref);
+  };
   const toggleUserSelection = (username) => {
     setSelectedUsers((prev) => {
       if (prev.includes(username)) return prev.filter((u) => u !== username);
@@ -1430,58 +1934,259 @@ function App() {
       return [...prev, username];
     });
   };
+  // File details cost one request per commit, so with the GraphQL source they
+  // are only loaded once the Code Category Breakdown has been scrolled into view
+  const categorySectionRef = useRef(null);
+  const [categorySectionSeen, setCategorySectionSeen] = useState(false);
+  const hasSelectedUsers = selectedUsers.length > 0;
+  useEffect(() => {
+    const node = categorySectionRef.current;
+    if (!node || categorySectionSeen) return;
+    if (typeof IntersectionObserver === "undefined") {
+      setCategorySectionSeen(true);
+      return;
+    }
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) setCategorySectionSeen(true);
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasSelectedUsers, categorySectionSeen]);
   useEffect(() => {
-    if (selectedRepo && repoFileMap[selectedRepo]) {
+    if (selectedRepo && categorySectionSeen) {
       selectedUsers.forEach((user) => {
         if (
-          !userCategoryCommitsMap[selectedRepo]?.[user] &&
+          !userCategoryDetails[user]?.[selectedRepoKey] &&
           !loadingUsers[user]
         ) {
           fetchRepoCommitCategories(selectedRepo, user);
         }
       });
     }
-  }, [selectedRepo, selectedUsers, repoFileMap, userCategoryCommitsMap, loadingUsers]);
+  }, [selectedRepo, selectedRepoKey, selectedUsers, userCategoryDetails, loadingUsers, categorySectionSeen]);
+  // Changed files per category, following the current categorization rules
   const getCategoryDistributionForUser = (username) => {
-    return (
-      userCategoryCommitsMap[selectedRepo]?.[username] || {
-        backend: 0,
-        frontend: 0,
-        docs: 0,
-        config: 0,
-        other: 0,
-      }
-    );
+    const distribution = Object.fromEntries(categoryNames.map((category) => [category, 0]));
+    (userCategoryDetails[username]?.[selectedRepoKey] || []).forEach((commit) => {
+      (commit.files || []).forEach((file) => {
+        distribution[categorizeFile(file.filename)] += 1;
+      });
+    });
+    return distribution;
+  };
+  // Lines added / deleted per category, from the same detailed commits
+  const getCategoryLineStatsForUser = (username) =>
+    summarizeLineStatsByCategory(userCategoryDetails[username]?.[selectedRepoKey] || [], categorizeFile);
+  // Line totals of a contributor's loaded commits under the current filters. Contributors
+  // who aren't loaded fall back to GitHub's weekly stats for the date range
+  // (`fromWeeklyStats`); null when neither is available.
+  const getContributorLineStats = (key) => {
+    if (userCommitsMap[key]) return summarizeLineStats(excludeBotCommits(filterCommits(userCommitsMap[key])));
+    const logins = identityResolver.authorsFor(key).map((author) => author.toLowerCase());
+    const weeks = (contributorStats || [])
+      .filter((stats) => logins.includes(stats.author.toLowerCase()))
+      .flatMap((stats) => stats.weeks);
+    if (weeks.length === 0) return null;
+    return { ...summarizeWeeklyLineStats(weeks, { from: dateFrom, to: dateTo }), fromWeeklyStats: true };
   };
   const toggleFavorite = (username) => {
     const updated = favorites.includes(username)
       ? favorites.filter((u) => u !== username)
       : [...favorites, username];
     setFavorites(updated);
-    localStorage.setItem("favorites", JSON.stringify(updated));
   };
+  // --- NEW: Workspace Persistence ---
+  useEffect(() => {
+    saveWorkspace({
+      repos,
+      selectedRepo,
+      repoRefs,
+      // Keep the saved selection until it has actually been restored
+      selectedUsers: pendingSelectedUsersRef.current || selectedUsers,
+      commitFilter,
+      scopeFilter,
+      breakingOnly,
+      chartGroupBy,
+      chartMetric,
+      showReleaseOverlay,
+      heatmapTimeZone,
+      dateFrom,
+      dateTo,
+      commitSource,
+      spellCheckProvider,
+      commitTypes: commitTypeSettings,
+      fileCategories: categoryRuleSettings,
+      identities,
+      excludeBots,
+      botPatterns,
+      darkMode,
+      favorites
+    });
+  }, [repos, selectedRepo, repoRefs, selectedUsers, commitFilter, scopeFilter, breakingOnly, chartGroupBy, chartMetric, showReleaseOverlay, heatmapTimeZone, dateFrom, dateTo, commitSource, spellCheckProvider, commitTypeSettings, categoryRuleSettings, identities, excludeBots, botPatterns, darkMode, favorites]);
+  const resetWorkspace = () => {
+    if (!window.confirm("Reset workspace? This removes all tracked repositories, filters and favorites.")) return;
+    clearWorkspace();
+    pendingSelectedUsersRef.current = null;
+    clearRepoData();
+    setRepos(DEFAULT_WORKSPACE.repos);
+    setSelectedRepo(DEFAULT_WORKSPACE.selectedRepo);
+    setRepoRefs(DEFAULT_WORKSPACE.repoRefs);
+    setCommitFilter(DEFAULT_WORKSPACE.commitFilter);
+    setScopeFilter(DEFAULT_WORKSPACE.scopeFilter);
+    setBreakingOnly(DEFAULT_WORKSPACE.breakingOnly);
+    setChartGroupBy(DEFAULT_WORKSPACE.chartGroupBy);
+    setChartMetric(DEFAULT_WORKSPACE.chartMetric);
+    setShowReleaseOverlay(DEFAULT_WORKSPACE.showReleaseOverlay);
+    setHeatmapTimeZone(DEFAULT_WORKSPACE.heatmapTimeZone);
+    setHeatmapTimeZoneInput(DEFAULT_WORKSPACE.heatmapTimeZone);
+    setCommitTypeSettings(DEFAULT_WORKSPACE.commitTypes);
+    setCategoryRuleSettings(DEFAULT_WORKSPACE.fileCategories);
+    setIdentities(DEFAULT_WORKSPACE.identities);
+    setExcludeBots(DEFAULT_WORKSPACE.excludeBots);
+    setBotPatterns(DEFAULT_WORKSPACE.botPatterns);
+    setBotPatternsInput(DEFAULT_WORKSPACE.botPatterns.join(", "));
+    setDateFrom(DEFAULT_WORKSPACE.dateFrom);
+    setDateTo(DEFAULT_WORKSPACE.dateTo);
+    setCommitSource(resolveCommitSource(DEFAULT_WORKSPACE.commitSource));
+    setSpellCheckProvider(DEFAULT_WORKSPACE.spellCheckProvider);
+    setFavorites(DEFAULT_WORKSPACE.favorites);
+    setDarkMode(DEFAULT_WORKSPACE.darkMode);
+    setError(null);
+  };
+  // --- NEW END: Workspace Persistence ---
+  // --- NEW: Shareable URL State ---
+  const isFirstUrlSyncRef = useRef(true);
+  useEffect(() => {
+    const url = buildViewUrl({
+      repo: selectedRepo,
+      ref: selectedRef,
+      users: pendingSelectedUsersRef.current || selectedUsers,
+      from: dateFrom,
+      to: dateTo,
+      type: commitFilter,
+      scope: scopeFilter,
+      breaking: breakingOnly,
+      section: window.location.hash.replace(/^#/, "")
+    });
+    const isFirstSync = isFirstUrlSyncRef.current;
+    isFirstUrlSyncRef.current = false;
+    if (url === currentUrl()) return;
+    // The first sync only mirrors the restored state; it is not a new view
+    if (isFirstSync) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+  }, [selectedRepo, selectedRef, selectedUsers, dateFrom, dateTo, commitFilter, scopeFilter, breakingOnly]);
+  // Back/forward: re-apply the view encoded in the URL.
+  // Kept in a ref so the listener always sees the latest state.
+  const handlePopStateRef = useRef(null);
+  handlePopStateRef.current = () => {
+    const urlState = readUrlState() || {
+      repo: null, ref: null, users: [], from: "", to: "", type: "all", scope: "all", breaking: false
+    };
+    setDateFrom(urlState.from);
+    setDateTo(urlState.to);
+    setCommitFilter(urlState.type);
+    setScopeFilter(urlState.scope);
+    setBreakingOnly(urlState.breaking);
+    if (urlState.repo !== selectedRepo) {
+      if (urlState.repo && !repos.includes(urlState.repo)) {
+        setRepos([...repos, urlState.repo].sort((a, b) => a.localeCompare(b)));
+      }
+      pendingSelectedUsersRef.current = urlState.users.length > 0 ? urlState.users : null;
+      if (urlState.repo) {
+        setRepoRefs(({ [urlState.repo]: previous, ...rest }) =>
+          urlState.ref ? { ...rest, [urlState.repo]: urlState.ref } : rest
+        );
+      }
+      setSelectedRepo(urlState.repo);
+      if (!urlState.repo) clearRepoData();
+    } else if (urlState.ref !== selectedRef) {
+      setSelectedUsers(urlState.users);
+      changeSelectedRef(urlState.ref, urlState.users);
+    } else {
+      setSelectedUsers(urlState.users);
+      urlState.users
+        .filter((u) => !userCommitsMap[u])
+        .forEach((u) => fetchUserCommits(u));
+    }
+  };
+  useEffect(() => {
+    const handlePopState = () => handlePopStateRef.current();
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+  // Scroll a shared link's #section into view once its panel has rendered
+  const scrolledToSectionRef = useRef(false);
+  useEffect(() => {
+    const section = window.location.hash.replace(/^#/, "");
+    if (scrolledToSectionRef.current || !section) return;
+    const element = document.getElementById(section);
+    if (element) {
+      element.scrollIntoView({ behavior: "smooth" });
+      scrolledToSectionRef.current = true;
+    }
+  });
+  // "copied" or "failed" for a moment after clicking Copy Link
+  const [linkCopyStatus, setLinkCopyStatus] = useState(null);
+  const copyViewLink = () => {
+    // navigator.clipboard is missing outright on plain-HTTP origins
+    const written = navigator.clipboard?.writeText
+      ? navigator.clipboard.writeText(window.location.href)
+      : Promise.reject(new Error("Clipboard API unavailable"));
+    written
+      .then(() => setLinkCopyStatus("copied"))
+      .catch((err) => {
+        // Clipboard access needs a secure origin and the user's permission
+        console.warn("Failed to copy link:", err);
+        setLinkCopyStatus("failed");
+      })
+      .finally(() => setTimeout(() => setLinkCopyStatus(null), 2000));
+  };
+  // --- NEW END: Shareable URL State ---
   // --- CHANGED: filterCommits function ---
   // Wrapped with useCallback and dependencies added
   const filterCommits = useCallback((commits) =>
     commits.filter((c) => {
       // c.commit.message or c.message, depending on API call
       const message = c.commit?.message || c.message || ""; 
-      if (commitFilter !== "all" && getCommitType(message) !== commitFilter)
+      if (commitFilter !== "all" && classifyCommit(message) !== commitFilter)
         return false;
+      if (scopeFilter !== "all" || breakingOnly) {
+        const parsed = parseConventionalCommit(message);
+        if (scopeFilter !== "all" && (parsed.scope || NO_SCOPE) !== scopeFilter) return false;
+        if (breakingOnly && !parsed.breaking) return false;
+      }
       // c.commit.author.date or c.author?.date
       const date = c.commit?.author?.date || c.author?.date || "";
       if (!isInDateRange(date, dateFrom, dateTo)) return false;
       return true;
-    }), [commitFilter, dateFrom, dateTo] // Dependencies added
+    }), [commitFilter, classifyCommit, scopeFilter, breakingOnly, dateFrom, dateTo] // Dependencies added
   );
   // --- CHANGED END: filterCommits function ---
+  // Date range commits narrowed by the type, scope and breaking filters
+  const allFilteredCommits = useMemo(() => filterCommits(rangeCommits), [filterCommits, rangeCommits]);
+  // Scopes seen in any loaded commit, for the scope filter
+  const getAvailableScopes = () => {
+    const scopes = new Set();
+    [...Object.values(userCommitsMap).flat(), ...rangeCommits].forEach((c) => {
+      const scope = parseConventionalCommit(c.commit?.message || "").scope;
+      if (scope) scopes.add(scope);
+    });
+    if (scopeFilter !== "all" && scopeFilter !== NO_SCOPE) scopes.add(scopeFilter);
+    return Array.from(scopes).sort((a, b) => a.localeCompare(b));
+  };
   const getWeeklyCommitData = () => {
     const allWeeks = new Set();
     const userWeeklyMap = {};
     selectedUsers.forEach((user) => {
       const commits = userCommitsMap[user] || [];
-      const filtered = filterCommits(commits);
-      const grouped = groupCommitsByWeek(filtered);
+      const filtered = excludeBotCommits(filterCommits(commits));
+      const grouped = groupCommitsByWeek(filtered, chartMetric);
       userWeeklyMap[user] = grouped;
       grouped.forEach((g) => allWeeks.add(g.week));
     });
@@ -1498,6 +2203,48 @@ function App() {
       return entry;
     });
   };
+  // Weekly chart rows and bar series for the selected grouping.
+  // Groupings other than "user" pool the selected contributors' commits.
+  const getWeeklyChart = () => {
+    const seenForBots = new Set();
+    let hiddenBotCommits = 0;
+    selectedUsers.forEach((user) => {
+      const filtered = filterCommits(userCommitsMap[user] || []);
+      const withoutBots = new Set(excludeBotCommits(filtered));
+      filtered.forEach((c) => {
+        if (withoutBots.has(c) || seenForBots.has(c.sha)) return;
+        seenForBots.add(c.sha);
+        hiddenBotCommits += 1;
+      });
+    });
+    if (chartGroupBy === "user") {
+      return { data: getWeeklyCommitData(), series: selectedUsers, hiddenBotCommits };
+    }
+    const seen = new Set();
+    const weeks = {};
+    const seriesSet = new Set();
+    selectedUsers.forEach((user) => {
+      excludeBotCommits(filterCommits(userCommitsMap[user] || [])).forEach((c) => {
+        if (seen.has(c.sha)) return;
+        seen.add(c.sha);
+        const week = getWeekKey(c.commit.author.date);
+        const key = getCommitDimension(c.commit.message, chartGroupBy, classifyCommit);
+        seriesSet.add(key);
+        weeks[week] = weeks[week] || { week };
+        weeks[week][key] = (weeks[week][key] || 0) + commitMetricValue(c, chartMetric);
+      });
+    });
+    const series = Array.from(seriesSet).sort((a, b) => a.localeCompare(b));
+    const data = Object.values(weeks)
+      .sort((a, b) => new Date(a.week) - new Date(b.week))
+      .map((entry) => {
+        series.forEach((key) => {
+          entry[key] = entry[key] || 0;
+        });
+        return entry;
+      });
+    return { data, series, hiddenBotCommits };
+  };
   const openOwnerModal = () => {
     const trimmed = ownerSearch.trim();
     if (!trimmed) return setError("Owner name cannot be empty.");
@@ -1571,6 +2318,60 @@ function App() {
         >
           ℹ️ Info
         </button>
+        <button
+          onClick={resetWorkspace}
+          title="Remove all tracked repositories, filters and favorites"
+          style={{
+            padding: "8px 16px",
+            borderRadius: 50,
+            border: "none",
+            background: "rgba(255,255,255,0.15)",
+            color: "#fff",
+            cursor: "pointer",
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            fontWeight: 500,
+            transition: "background 0.3s"
+          }}
+          onMouseOver={(e) =>
+            (e.target.style.background = "rgba(255,255,255,0.25)")
+          }
+          onMouseOut={(e) =>
+            (e.target.style.background = "rgba(255,255,255,0.15)")
+          }
+        >
+          ♻️ Reset Workspace
+        </button>
+        <button
+          onClick={copyViewLink}
+          title="Copy a link that opens this repository, selection and filters"
+          style={{
+            padding: "8px 16px",
+            borderRadius: 50,
+            border: "none",
+            background: "rgba(255,255,255,0.15)",
+            color: "#fff",
+            cursor: "pointer",
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            fontWeight: 500,
+            transition: "background 0.3s"
+          }}
+          onMouseOver={(e) =>
+            (e.target.style.background = "rgba(255,255,255,0.25)")
+          }
+          onMouseOut={(e) =>
+            (e.target.style.background = "rgba(255,255,255,0.15)")
+          }
+        >
+          {linkCopyStatus === "copied"
+            ? "✅ Link Copied"
+            : linkCopyStatus === "failed"
+              ? "⚠️ Copy Failed"
+              : "🔗 Copy Link"}
+        </button>
         <label
           style={{
             cursor: "pointer",
@@ -1631,9 +2432,12 @@ function App() {
       <CommitDetails
         key={user}
         username={user}
+        displayName={identityResolver.displayName(user)}
+        merged={Boolean(identityResolver.personOf(user))}
         commits={filterCommits(userCommitsMap[user] || [])}
         darkMode={darkMode}
         onSpellCheck={performSpellCheck} // New prop
+        repo={selectedRepo}
       />
     ))
   );
@@ -1646,74 +2450,95 @@ function App() {
     setIsFetchingAllCommits(true);
     setError(null);
     try {
-      let allCommits = []; // This will contain detailed commit objects
-      let page = 1;
-      const per_page = 100;
       // NOTE: since/until query parameters have been removed.
       // Because GitHub API applies these to committer-date.
       // We want to filter by author-date (using filterCommits).
-      while (true) {
-        // Note: This call fetches commits for the entire repo, not contributor-specific.
-        // Date filter is NOT applied at the API level, but in JS (filterCommits).
-        const res = await fetch(
-          `https://api.github.com/repos/${selectedRepo}/commits?per_page=${per_page}&page=${page}`, // <-- since/until removed
-          { headers: getAuthHeaders() }
-        );
-        if (!res.ok) {
-          if (res.status === 403) {
-            throw new Error("Rate limit exceeded");
-          }
-          // Break loop for other errors
-          console.warn(`Failed to fetch commits page ${page}`, res.status);
-          break;
-        }
-        const data = await res.json();
-        if (data.length === 0) break;
-        // Fetch details for each commit (for files info)
-        const detailedCommits = await Promise.all(
-          data.map(async (commit) => {
-            // Fetch detailed info using commit SHA
-            const detailRes = await fetch(commit.url, { headers: getAuthHeaders() });
-            if (!detailRes.ok) {
-              console.warn(`Failed to fetch details for commit ${commit.sha}`);
-              // If details can't be fetched, try to use basic info
-              return commit; 
-            }
-            return await detailRes.json();
-          })
-        );
-        allCommits = allCommits.concat(detailedCommits);
-        page++;
-        // Safety measure: Prevent infinite loop if there are too many pages
-        if (page > 10) { // For example, max 1000 commits
-            console.warn("Max page limit reached for all commits fetch.");
-            break;
-        }
-      }
-      // Apply date and commit type filter COMPLETELY here (using filterCommits)
-      // filterCommits function already works with author.date.
-      const finalFilteredCommits = filterCommits(allCommits);
-      setAllFilteredCommits(finalFilteredCommits);
+      // Note: This call fetches commits for the entire repo, not contributor-specific.
+      // Date filter is NOT applied at the API level, but in JS (filterCommits).
+      // Safety measure: max 1000 commits
+      const summaries = await listCommits(selectedRepo, { source: commitSource, ref: selectedRef, maxPages: 10 });
+      // Only the date range is applied here (by author.date) so the type filter
+      // can change without a refetch; ownership needs every type anyway.
+      // Filtering before fetching details means only commits in range cost a call.
+      const filteredSummaries = summaries.filter((c) =>
+        isInDateRange(c.commit.author.date, dateFrom, dateTo)
+      );
+      // Fetch details for each commit (for files info)
+      // If details can't be fetched, fall back to the basic info
+      const finalFilteredCommits = await fetchCommitDetails(selectedRepo, filteredSummaries, {
+        keepSummaryOnError: true
+      });
+      setRangeCommits(finalFilteredCommits);
       setIsFetchingAllCommits(false); // <-- Moved here
     } catch (error) {
       console.error("Error fetching all filtered commits:", error);
-      setError(error.message || "Error fetching commits for date range.");
-      setAllFilteredCommits([]); // Clear list on error
+      setError(describeGitHubError(error, "Error fetching commits for date range."));
+      setRangeCommits([]); // Clear list on error
       setIsFetchingAllCommits(false); // <-- Also moved here
     }
     // finally block removed
-  }, [selectedRepo, dateFrom, dateTo, commitFilter, filterCommits]); // filterCommits dependency added
+  }, [selectedRepo, selectedRef, commitSource, dateFrom, dateTo]);
   // --- NEW END: Fetch All Filtered Commits Function ---
   // --- NEW: Trigger on Date or Commit Type Change ---
   useEffect(() => {
     if (selectedRepo) { // Only run if a repo is selected
         fetchAllFilteredCommits();
     } else {
-        setAllFilteredCommits([]); // Clear list if no repo is selected
+        setRangeCommits([]); // Clear list if no repo is selected
         setIsFetchingAllCommits(false); // Set loading state to false
     }
-  }, [selectedRepo, dateFrom, dateTo, commitFilter, fetchAllFilteredCommits]); // fetchAllFilteredCommits dependency added
+  }, [selectedRepo, dateFrom, dateTo, commitSource, fetchAllFilteredCommits]); // fetchAllFilteredCommits dependency added
   // --- NEW END: Trigger on Date or Commit Type Change ---
+  // --- NEW: PDF Report Export ---
+  const exportReport = async () => {
+    if (!selectedRepo) return;
+    setIsExportingReport(true);
+    try {
+      const fileBreakdown = {};
+      categoryNames.forEach((category) => {
+        fileBreakdown[category] = (repoFilesByCategory?.[category] || []).length;
+      });
+      const categoryDistribution = {};
+      selectedUsers.forEach((user) => {
+        categoryDistribution[user] = getCategoryDistributionForUser(user);
+      });
+      await downloadAnalysisReport({
+        repo: selectedRepo,
+        dateFrom,
+        dateTo,
+        commitFilter,
+        contributors: contributorRows.map((c) => ({ ...c, login: c.name })),
+        weeklyChartSvg: weeklyChartRef.current?.querySelector("svg.recharts-surface") || null,
+        fileBreakdown,
+        categoryDistribution,
+        dateRangeSummary: Object.values(summarizeCommitsByDirectory(excludeBotCommits(allFilteredCommits)))
+      });
+    } catch (err) {
+      console.error("Error exporting report:", err);
+      setError("Failed to export PDF report.");
+    } finally {
+      setIsExportingReport(false);
+    }
+  };
+  // --- NEW END: PDF Report Export ---
+  const weeklyChart = selectedUsers.length > 0 ? getWeeklyChart() : { data: [], series: [], hiddenBotCommits: 0 };
+  const visibleFilteredCommits = excludeBotCommits(allFilteredCommits);
+  const heatmapUser = selectedUsers.includes(heatmapSubject) ? heatmapSubject : null;
+  const heatmapCommits = heatmapUser
+    ? excludeBotCommits(filterCommits(userCommitsMap[heatmapUser] || []))
+    : visibleFilteredCommits;
+  const openChangelog = () =>
+    setChangelogMarkdown(
+      generateChangelog(visibleFilteredCommits, {
+        repo: selectedRepo,
+        title: `${selectedRepo} — Release Notes`,
+        from: dateFrom,
+        to: dateTo,
+        classify: classifyCommit,
+        personKey: commitPersonKey,
+        displayName: identityResolver.displayName
+      })
+    );
   return (
     <div
       style={{
@@ -1740,6 +2565,8 @@ function App() {
           darkMode={darkMode}
           spellCheckResult={spellCheckResult}
           isChecking={isSpellCheckLoading}
+          provider={spellCheckProvider}
+          onProviderChange={changeSpellCheckProvider}
         />
       )}
       {/* --- NEW END: SpellCheckModal Render --- */}
@@ -1749,7 +2576,8 @@ function App() {
         <RecentCommitsModal
           onClose={() => setShowRecentCommitsModal(false)}
           darkMode={darkMode}
-          recentCommits={recentCommits}
+          recentCommits={excludeBotCommits(recentCommits)}
+          hiddenBotCommits={recentCommits.length - excludeBotCommits(recentCommits).length}
           onRepoSelect={(repoName) => {
             setSelectedRepo(repoName);
             setShowRecentCommitsModal(false);
@@ -1983,6 +2811,7 @@ function App() {
       )}
       {selectedRepo && contributors.length > 0 && (
         <div
+          id="repository-analysis"
           style={{
             background: theme.cardBg,
             padding: 25,
@@ -2005,6 +2834,13 @@ function App() {
             <span style={{ fontWeight: 500 }}>
               <Capitalized text={selectedRepo} />
             </span>
+            <RefPicker
+              repo={selectedRepo}
+              value={selectedRef}
+              darkMode={darkMode}
+              theme={theme}
+              onChange={changeSelectedRef}
+            />
           </h3>
           <div
             style={{
@@ -2051,7 +2887,7 @@ function App() {
                       color: theme.color
                     }}
                   >
-                    {contributors.reduce(
+                    {contributorRows.reduce(
                       (sum, c) => sum + c.contributions,
                       0
                     )}
@@ -2083,7 +2919,7 @@ function App() {
                       color: theme.color
                     }}
                   >
-                    {contributors.length}
+                    {contributorRows.length}
                   </div>
                 </div>
               </div>
@@ -2096,10 +2932,10 @@ function App() {
                 <BarChart
                   width={500}
                   height={200}
-                  data={contributors
+                  data={contributorRows
                     .slice(0, 5)
                     .map((c) => ({
-                      name: c.login,
+                      name: c.name,
                       commits: c.contributions
                     }))}
                   margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
@@ -2129,8 +2965,24 @@ function App() {
           </div>
         </div>
       )}
+      {selectedRepo && (
+        <IssuesPanel
+          repo={selectedRepo}
+          issues={visibleIssues}
+          truncated={issuesTruncated}
+          isLoading={isLoadingIssues}
+          error={issueError}
+          inRange={isInSelectedRange}
+          isBot={excludeBots ? isBotLogin : undefined}
+          personKey={identityResolver.primaryKey}
+          displayName={identityResolver.displayName}
+          darkMode={darkMode}
+          theme={theme}
+        />
+      )}
       {selectedRepo && (
         <div
+          id="file-structure"
           style={{
             background: theme.cardBg,
             padding: 25,
@@ -2151,8 +3003,10 @@ function App() {
           >
             📁 File Structure Breakdown
           </h3>
-          {selectedRepoIsLoading && !repoFileTreeMap[selectedRepo] ? (
+          {selectedRepoIsLoading && !repoFileTreeMap[selectedRepoKey] ? (
             <div>Loading file structure... ⏳</div>
+          ) : repoErrors[selectedRepoKey] ? (
+            <div style={{ color: "#e53935" }}>⚠️ {repoErrors[selectedRepoKey]}</div>
           ) : (
             <div
               style={{
@@ -2170,8 +3024,8 @@ function App() {
                   justifyContent: "space-between"
                 }}
               >
-                {Object.entries(CATEGORY_RULES).map(([category]) => {
-                  const count = (repoFileTreeMap[selectedRepo]?.[category] || [])
+                {categoryNames.map((category) => {
+                  const count = (repoFilesByCategory?.[category] || [])
                     .length;
                   return (
                     <div
@@ -2216,8 +3070,24 @@ function App() {
                   borderRadius: 8
                 }}
               >
-                <h4 style={{ marginBottom: 15 }}>
+                <h4 style={{ marginBottom: 15, display: "flex", alignItems: "center", gap: 10 }}>
                   🔍 File Categorization
+                  <button
+                    onClick={() => setShowCategoryRulesModal(true)}
+                    style={{
+                      marginLeft: "auto",
+                      padding: "6px 12px",
+                      fontSize: 13,
+                      fontWeight: 400,
+                      background: "transparent",
+                      color: darkMode ? "#90caf9" : "#1976d2",
+                      border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+                      borderRadius: 8,
+                      cursor: "pointer"
+                    }}
+                  >
+                    ✏️ Edit Rules
+                  </button>
                 </h4>
                 <div
                   style={{
@@ -2231,8 +3101,8 @@ function App() {
                     borderRadius: 8
                   }}
                 >
-                  {Object.entries(CATEGORY_RULES).map(
-                    ([category, extensions]) => (
+                  {categoryNames.filter((category) => categoryRules.some((rule) => rule.category === category)).map(
+                    (category) => (
                       <div
                         key={category}
                         style={{
@@ -2262,7 +3132,13 @@ function App() {
                             color: darkMode ? "#bbb" : "#666"
                           }}
                         >
-                          File extensions: {extensions.join(", ")}
+                          {categoryRules
+                            .filter((rule) => rule.category === category)
+                            .map((rule, idx) => (
+                              <div key={idx}>
+                                {RULE_MATCH_KINDS[rule.match]}: {rule.pattern}
+                              </div>
+                            ))}
                         </div>
                       </div>
                     )
@@ -2273,8 +3149,22 @@ function App() {
           )}
         </div>
       )}
+      {selectedRepo && (
+        <OwnershipPanel
+          repo={selectedRepo}
+          commits={excludeBotCommits(rangeCommits)}
+          isLoading={isFetchingAllCommits}
+          categorizeFile={categorizeFile}
+          personKey={commitPersonKey}
+          displayName={identityResolver.displayName}
+          loadLastActive={loadOwnerLastActive}
+          darkMode={darkMode}
+          theme={theme}
+        />
+      )}
       {contributors.length > 0 && (
         <div
+          id="contributors"
           style={{
             background: theme.cardBg,
             padding: 25,
@@ -2294,7 +3184,49 @@ function App() {
             }}
           >
             👥 Contributors
+            <button
+              onClick={() => setShowIdentityModal(true)}
+              style={{
+                padding: "6px 12px",
+                fontSize: 13,
+                fontWeight: 400,
+                background: "transparent",
+                color: darkMode ? "#90caf9" : "#1976d2",
+                border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+                borderRadius: 8,
+                cursor: "pointer"
+              }}
+              title="Merge logins, commit emails and names of the same person"
+            >
+              🧑‍🤝‍🧑 Identities
+            </button>
+            <span style={{ marginLeft: "auto", fontSize: 14 }}>
+              <ExportMenu
+                rows={contributorRows}
+                columns={[
+                  { key: "name", label: "User" },
+                  { key: (c) => c.aliases.join(" "), label: "Aliases" },
+                  { key: "contributions", label: "Commits" },
+                  ...["additions", "deletions", "net", "churn"].map((metric) => ({
+                    key: (c) => getContributorLineStats(c.login)?.[metric] ?? "",
+                    label: LINE_METRICS[metric]
+                  })),
+                  { key: (c) => (hasReviewData ? reviewCounts[c.login] || 0 : ""), label: "Reviews" },
+                  { key: "html_url", label: "Profile" }
+                ]}
+                filename={`${selectedRepo}-contributors`}
+                darkMode={darkMode}
+              />
+            </span>
           </h3>
+          {hiddenBotContributors.length > 0 && (
+            <div style={{ fontSize: 12, color: darkMode ? "#aaa" : "#777", marginBottom: 10 }}>
+              🤖 {hiddenBotContributors.length} bot{" "}
+              {hiddenBotContributors.length === 1 ? "account" : "accounts"} hidden (
+              {hiddenBotContributors.reduce((sum, c) => sum + c.contributions, 0)} commits):{" "}
+              {hiddenBotContributors.map((c) => c.login || c.email).join(", ")}
+            </div>
+          )}
           <div style={{ overflowX: "auto" }}>
             <table style={{ width: "100%", borderCollapse: "collapse" }}>
               <thead
@@ -2323,6 +3255,29 @@ function App() {
                   >
                     Commits
                   </th>
+                  {["Added", "Deleted", "Net", "Churn"].map((label) => (
+                    <th
+                      key={label}
+                      style={{
+                        textAlign: "right",
+                        padding: "12px 15px",
+                        color: darkMode ? "#bb86fc" : "#1976d2"
+                      }}
+                      title="Lines in a selected contributor's loaded commits (current filters). For the others, GitHub's weekly statistics for the default branch in the date range, whole weeks and all commit types."
+                    >
+                      {label}
+                    </th>
+                  ))}
+                  <th
+                    style={{
+                      textAlign: "right",
+                      padding: "12px 15px",
+                      color: darkMode ? "#bb86fc" : "#1976d2"
+                    }}
+                    title="Pull request reviews submitted in the date range (needs a token)"
+                  >
+                    Reviews
+                  </th>
                   <th
                     style={{
                       textAlign: "center",
@@ -2344,7 +3299,7 @@ function App() {
                 </tr>
               </thead>
               <tbody>
-                {contributors.map((c, index) => (
+                {contributorRows.map((c, index) => (
                   <tr
                     key={c.id}
                     style={{
@@ -2359,7 +3314,7 @@ function App() {
                   >
                     <td style={{ padding: "12px 15px" }}>
                       <a
-                        href={c.html_url}
+                        href={c.html_url || undefined}
                         target="_blank"
                         rel="noreferrer"
                         style={{
@@ -2384,9 +3339,32 @@ function App() {
                           👤
                         </span>
                         <span style={{ fontWeight: 500 }}>
-                          {c.login}
+                          {c.name}
                         </span>
                       </a>
+                      {(c.aliases.length > 1 || c.name !== c.login) && (
+                        <div style={{ fontSize: 12, color: darkMode ? "#aaa" : "#777", marginLeft: 42 }}>
+                          {c.aliases.join(", ")}
+                        </div>
+                      )}
+                      {repos.length > 1 && (
+                        <button
+                          onClick={() => setCrossRepoUser(c.login)}
+                          style={{
+                            marginTop: 4,
+                            padding: "2px 8px",
+                            fontSize: 12,
+                            background: "transparent",
+                            color: darkMode ? "#90caf9" : "#1976d2",
+                            border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+                            borderRadius: 6,
+                            cursor: "pointer"
+                          }}
+                          title={`Show ${c.login}'s activity in all ${repos.length} tracked repositories`}
+                        >
+                          🌐 All repos
+                        </button>
+                      )}
                     </td>
                     <td
                       style={{
@@ -2397,6 +3375,41 @@ function App() {
                     >
                       {c.contributions}
                     </td>
+                    {(() => {
+                      const stats = getContributorLineStats(c.login);
+                      return [
+                        ["additions", "#43a047", "+"],
+                        ["deletions", "#e53935", "−"],
+                        ["net", null, ""],
+                        ["churn", null, ""]
+                      ].map(([metric, color, sign]) => (
+                        <td
+                          key={metric}
+                          style={{
+                            textAlign: "right",
+                            padding: "12px 15px",
+                            color: stats && color ? color : darkMode ? "#aaa" : "#777",
+                            fontStyle: stats?.fromWeeklyStats ? "italic" : "normal"
+                          }}
+                          title={
+                            stats?.fromWeeklyStats
+                              ? "From GitHub's weekly statistics (default branch, whole weeks, all commit types). Select the contributor for exact figures."
+                              : undefined
+                          }
+                        >
+                          {stats ? `${sign}${stats[metric].toLocaleString("en-US")}` : "—"}
+                        </td>
+                      ));
+                    })()}
+                    <td
+                      style={{
+                        textAlign: "right",
+                        padding: "12px 15px",
+                        color: hasReviewData ? theme.color : darkMode ? "#aaa" : "#777"
+                      }}
+                    >
+                      {hasReviewData ? reviewCounts[c.login] || 0 : "—"}
+                    </td>
                     <td
                       style={{
                         textAlign: "center",
@@ -2456,9 +3469,26 @@ function App() {
           </div>
         </div>
       )}
+      {selectedRepo && (
+        <ReleasesPanel
+          repo={selectedRepo}
+          tags={releaseTags}
+          isLoading={isLoadingReleases}
+          error={releaseError}
+          darkMode={darkMode}
+          theme={theme}
+          classifyCommit={classifyCommit}
+          commitTypeColors={commitTypeColors}
+          personKey={commitPersonKey}
+          displayName={identityResolver.displayName}
+          excludeBotCommits={excludeBotCommits}
+          onUseAsDateRange={applyReleaseDateRange}
+        />
+      )}
       {/* --- CHANGED: selectedUsers.length > 0 check removed --- */}
       {/* Will now work without contributor selection */}
       <div
+        id="commit-analysis"
         style={{
           background: theme.cardBg,
           padding: 25,
@@ -2478,6 +3508,24 @@ function App() {
           }}
         >
           🔍 Commit Analysis
+          <button
+            onClick={exportReport}
+            disabled={!selectedRepo || isExportingReport}
+            style={{
+              marginLeft: "auto",
+              padding: "8px 16px",
+              background: theme.buttonBg,
+              color: "#fff",
+              border: "none",
+              borderRadius: 8,
+              cursor: !selectedRepo || isExportingReport ? "not-allowed" : "pointer",
+              opacity: !selectedRepo || isExportingReport ? 0.6 : 1,
+              fontSize: 14,
+              fontWeight: 500
+            }}
+          >
+            {isExportingReport ? "⏳ Exporting..." : "📄 Export Report"}
+          </button>
         </h3>
         <div
           style={{
@@ -2498,6 +3546,23 @@ function App() {
             }}
           >
             ⚙️ Filter Settings
+            <button
+              onClick={() => setShowCommitTypesModal(true)}
+              style={{
+                marginLeft: "auto",
+                padding: "6px 12px",
+                fontSize: 13,
+                fontWeight: 400,
+                background: "transparent",
+                color: darkMode ? "#90caf9" : "#1976d2",
+                border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+                borderRadius: 8,
+                cursor: "pointer"
+              }}
+              title="Define commit types, their patterns and chart colours"
+            >
+              🏷️ Commit Types
+            </button>
           </h4>
           <div style={{ display: "flex", gap: 20, flexWrap: "wrap" }}>
             <div style={{ flex: 1, minWidth: 200 }}>
@@ -2520,13 +3585,52 @@ function App() {
                 }}
               >
                 <option value="all">All Types</option>
-                {COMMIT_TYPES.map((t) => (
+                {[...commitTypes.map((t) => t.id), OTHER_TYPE].map((t) => (
                   <option key={t} value={t}>
                     {t}
                   </option>
                 ))}
               </select>
             </div>
+            <div style={{ flex: 1, minWidth: 200 }}>
+              <label
+                style={{ display: "block", marginBottom: 8, fontWeight: 500 }}
+              >
+                Scope:
+              </label>
+              <select
+                value={scopeFilter}
+                onChange={(e) => setScopeFilter(e.target.value)}
+                style={{
+                  width: "100%",
+                  padding: "10px 15px",
+                  borderRadius: 8,
+                  border: `1px solid ${theme.borderColor}`,
+                  background: theme.inputBg,
+                  color: theme.color,
+                  fontSize: 15
+                }}
+              >
+                <option value="all">All Scopes</option>
+                <option value={NO_SCOPE}>{NO_SCOPE}</option>
+                {getAvailableScopes().map((scope) => (
+                  <option key={scope} value={scope}>
+                    {scope}
+                  </option>
+                ))}
+              </select>
+              <label
+                style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 10, cursor: "pointer" }}
+              >
+                <input
+                  type="checkbox"
+                  checked={breakingOnly}
+                  onChange={(e) => setBreakingOnly(e.target.checked)}
+                  style={{ accentColor: darkMode ? "#3949ab" : "#1976d2" }}
+                />
+                Breaking changes only
+              </label>
+            </div>
             <div style={{ flex: 1, minWidth: 200 }}>
               <label
                 style={{ display: "block", marginBottom: 8, fontWeight: 500 }}
@@ -2561,16 +3665,102 @@ function App() {
                   }}
                 />
               </div>
+              <button
+                onClick={() => setShowPeriodComparison(true)}
+                disabled={!selectedRepo}
+                style={{
+                  marginTop: 10,
+                  padding: "6px 12px",
+                  fontSize: 13,
+                  background: "transparent",
+                  color: darkMode ? "#90caf9" : "#1976d2",
+                  border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+                  borderRadius: 8,
+                  cursor: selectedRepo ? "pointer" : "not-allowed"
+                }}
+                title="Compare this date range with another one side by side"
+              >
+                ⚖️ Compare periods
+              </button>
+            </div>
+            <div style={{ flex: 1, minWidth: 200 }}>
+              <label
+                style={{ display: "block", marginBottom: 8, fontWeight: 500 }}
+              >
+                Data Source:
+              </label>
+              <select
+                value={commitSource}
+                onChange={(e) => setCommitSource(e.target.value)}
+                style={{
+                  width: "100%",
+                  padding: "10px 15px",
+                  borderRadius: 8,
+                  border: `1px solid ${theme.borderColor}`,
+                  background: theme.inputBg,
+                  color: theme.color,
+                  fontSize: 15
+                }}
+              >
+                <option value="graphql" disabled={!isGraphqlAvailable()}>
+                  GraphQL (batched{isGraphqlAvailable() ? "" : ", needs token"})
+                </option>
+                <option value="rest">REST (per-commit details)</option>
+              </select>
+            </div>
+            <div style={{ flex: 1, minWidth: 200 }}>
+              <label
+                style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, fontWeight: 500, cursor: "pointer" }}
+              >
+                <input
+                  type="checkbox"
+                  checked={excludeBots}
+                  onChange={(e) => setExcludeBots(e.target.checked)}
+                  style={{ accentColor: darkMode ? "#3949ab" : "#1976d2" }}
+                />
+                🤖 Exclude bots
+              </label>
+              <input
+                value={botPatternsInput}
+                onChange={(e) => setBotPatternsInput(e.target.value)}
+                onBlur={applyBotPatternsInput}
+                onKeyDown={(e) => e.key === "Enter" && applyBotPatternsInput()}
+                placeholder="dependabot*, *-bot"
+                title="Extra bot patterns (comma-separated, * is a wildcard). [bot] accounts are always detected."
+                style={{
+                  width: "100%",
+                  boxSizing: "border-box",
+                  padding: "10px 15px",
+                  borderRadius: 8,
+                  border: `1px solid ${theme.borderColor}`,
+                  background: theme.inputBg,
+                  color: theme.color,
+                  fontSize: 13
+                }}
+              />
             </div>
           </div>
         </div>
         {/* --- CHANGED: DateRangeSummary now uses all commits --- */}
         <DateRangeSummary 
-          commits={allFilteredCommits} 
+          commits={visibleFilteredCommits} 
+          hiddenBotCommits={allFilteredCommits.length - visibleFilteredCommits.length}
           darkMode={darkMode} 
           theme={theme} 
+          repo={selectedRepo}
+          onGenerateChangelog={openChangelog}
         />
         {/* --- CHANGED END: DateRangeSummary now uses all commits --- */}
+        {/* --- NEW: File Hotspots --- */}
+        <FileHotspots
+          commits={visibleFilteredCommits}
+          repo={selectedRepo}
+          categorizeFile={categorizeFile}
+          personKey={commitPersonKey}
+          darkMode={darkMode}
+          theme={theme}
+        />
+        {/* --- NEW END: File Hotspots --- */}
         {/* --- NEW: Loading State --- */}
         {isFetchingAllCommits && (
           <div style={{ textAlign: 'center', padding: '20px', color: darkMode ? "#bbb" : "#666" }}>
@@ -2578,6 +3768,76 @@ function App() {
           </div>
         )}
         {/* --- NEW END: Loading State --- */}
+        {/* --- NEW: Commit Activity Heatmaps --- */}
+        <div style={{ marginBottom: 30 }}>
+          <h4
+            style={{
+              marginBottom: 15,
+              display: "flex",
+              alignItems: "center",
+              gap: 10,
+              flexWrap: "wrap"
+            }}
+          >
+            🔥 Commit Activity
+            <label style={{ fontSize: 14, fontWeight: 400 }}>
+              Show:{" "}
+              <select
+                value={heatmapUser || "repo"}
+                onChange={(e) => setHeatmapSubject(e.target.value)}
+                style={{
+                  padding: "4px 8px",
+                  borderRadius: 6,
+                  border: `1px solid ${theme.borderColor}`,
+                  background: theme.inputBg,
+                  color: theme.color
+                }}
+              >
+                <option value="repo">Whole repository</option>
+                {selectedUsers.map((user) => (
+                  <option key={user} value={user}>{identityResolver.displayName(user)}</option>
+                ))}
+              </select>
+            </label>
+            <label style={{ fontSize: 14, fontWeight: 400 }}>
+              Time zone:{" "}
+              <input
+                list="heatmap-time-zones"
+                value={heatmapTimeZoneInput}
+                onChange={(e) => applyHeatmapTimeZone(e.target.value)}
+                placeholder="Browser time"
+                title="Any IANA time zone, e.g. Europe/Berlin; empty for your browser's"
+                style={{
+                  padding: "4px 8px",
+                  borderRadius: 6,
+                  border: `1px solid ${isValidTimeZone(heatmapTimeZoneInput.trim()) ? theme.borderColor : "#e53935"}`,
+                  background: theme.inputBg,
+                  color: theme.color,
+                  width: 170
+                }}
+              />
+              <datalist id="heatmap-time-zones">
+                {COMMON_TIME_ZONES.map((timeZone) => (
+                  <option key={timeZone} value={timeZone} />
+                ))}
+              </datalist>
+            </label>
+          </h4>
+          {heatmapUser && loadingUsers[heatmapUser] ? (
+            <p style={{ color: darkMode ? "#bbb" : "#666" }}>Loading commits...</p>
+          ) : (
+            <ActivityHeatmaps
+              commits={heatmapCommits}
+              timeZone={heatmapTimeZone}
+              from={dateFrom}
+              to={dateTo}
+              darkMode={darkMode}
+              theme={theme}
+              onSelect={(title, commits) => setHeatmapCommitList({ title, commits })}
+            />
+          )}
+        </div>
+        {/* --- NEW END: Commit Activity Heatmaps --- */}
         {/* --- CONDITIONAL: Sections shown if contributors are selected --- */}
         {selectedUsers.length > 0 && (
           <>
@@ -2591,10 +3851,69 @@ function App() {
                 }}
               >
                 📈 Weekly Commit Comparison
+                <label style={{ fontSize: 14, fontWeight: 400 }}>
+                  Group by:{" "}
+                  <select
+                    value={chartGroupBy}
+                    onChange={(e) => setChartGroupBy(e.target.value)}
+                    style={{
+                      padding: "4px 8px",
+                      borderRadius: 6,
+                      border: `1px solid ${theme.borderColor}`,
+                      background: theme.inputBg,
+                      color: theme.color
+                    }}
+                  >
+                    {Object.entries(WEEKLY_CHART_GROUPINGS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ fontSize: 14, fontWeight: 400 }}>
+                  Show:{" "}
+                  <select
+                    value={chartMetric}
+                    onChange={(e) => setChartMetric(e.target.value)}
+                    style={{
+                      padding: "4px 8px",
+                      borderRadius: 6,
+                      border: `1px solid ${theme.borderColor}`,
+                      background: theme.inputBg,
+                      color: theme.color
+                    }}
+                  >
+                    {Object.entries(LINE_METRICS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ fontSize: 14, fontWeight: 400, cursor: "pointer" }}>
+                  <input
+                    type="checkbox"
+                    checked={showReleaseOverlay}
+                    onChange={(e) => setShowReleaseOverlay(e.target.checked)}
+                  />{" "}
+                  🚀 Releases
+                </label>
+                <span style={{ marginLeft: "auto", fontSize: 14 }}>
+                  <ExportMenu
+                    rows={weeklyChart.data}
+                    columns={[
+                      { key: "week", label: "Week" },
+                      ...weeklyChart.series.map((key) => ({
+                        key,
+                        label: chartGroupBy === "user" ? identityResolver.displayName(key) : key
+                      }))
+                    ]}
+                    filename={`${selectedRepo}-weekly-commits`}
+                    darkMode={darkMode}
+                  />
+                </span>
               </h4>
-              <div style={{ height: 300 }}>
+              <HiddenBotsNote count={weeklyChart.hiddenBotCommits} darkMode={darkMode} />
+              <div ref={weeklyChartRef} style={{ height: 300 }}>
                 <ResponsiveContainer width="100%" height="100%">
-                  <BarChart data={getWeeklyCommitData()}>
+                  <BarChart data={weeklyChart.data}>
                     <CartesianGrid
                       strokeDasharray="3 3"
                       stroke={darkMode ? "#444" : "#eee"}
@@ -2609,19 +3928,43 @@ function App() {
                       }}
                       itemStyle={{ color: theme.color }}
                     />
-                    {selectedUsers.map((user, idx) => (
+                    {weeklyChart.series.map((key, idx) => (
                       <Bar
-                        key={user}
-                        dataKey={user}
-                        fill={`hsl(${(idx * 60) % 360}, 70%, 50%)`}
-                        radius={[5, 5, 0, 0]}
+                        key={key}
+                        dataKey={key}
+                        name={chartGroupBy === "user" ? identityResolver.displayName(key) : key}
+                        // Pooled groupings stack into one bar per week
+                        stackId={chartGroupBy === "user" ? undefined : "weekly"}
+                        fill={
+                          chartGroupBy === "type"
+                            ? commitTypeColors[key]
+                            : key === "breaking" ? "#e53935" : `hsl(${(idx * 60) % 360}, 70%, 50%)`
+                        }
+                        radius={chartGroupBy === "user" ? [5, 5, 0, 0] : undefined}
                       />
                     ))}
+                    {showReleaseOverlay &&
+                      weeklyChart.data
+                        .filter((entry) => releasesByWeek[entry.week])
+                        .map((entry) => (
+                          <ReferenceLine
+                            key={entry.week}
+                            x={entry.week}
+                            stroke={darkMode ? "#ffb74d" : "#ef6c00"}
+                            strokeDasharray="4 2"
+                            label={{
+                              value: releasesByWeek[entry.week].join(", "),
+                              position: "top",
+                              fill: darkMode ? "#ffb74d" : "#ef6c00",
+                              fontSize: 11
+                            }}
+                          />
+                        ))}
                   </BarChart>
                 </ResponsiveContainer>
               </div>
             </div>
-            <div style={{ marginBottom: 30 }}>
+            <div ref={categorySectionRef} style={{ marginBottom: 30 }}>
               <h4
                 style={{
                   marginBottom: 15,
@@ -2631,6 +3974,22 @@ function App() {
                 }}
               >
                 📁 Code Category Breakdown
+                <span style={{ marginLeft: "auto", fontSize: 14 }}>
+                  <ExportMenu
+                    rows={selectedUsers.map((user) => ({
+                      user,
+                      ...getCategoryDistributionForUser(user)
+                    }))}
+                    columns={[
+                      { key: "user", label: "User" },
+                      ...Object.keys(getCategoryDistributionForUser(selectedUsers[0])).map(
+                        (category) => ({ key: category, label: category })
+                      )
+                    ]}
+                    filename={`${selectedRepo}-category-counts`}
+                    darkMode={darkMode}
+                  />
+                </span>
               </h4>
               <div
                 style={{
@@ -2643,6 +4002,7 @@ function App() {
                 {selectedUsers.map((user, idx) => {
                   const dist = getCategoryDistributionForUser(user);
                   if (!dist) return null;
+                  const lineStats = getCategoryLineStatsForUser(user);
                   return (
                     <div
                       key={user}
@@ -2662,7 +4022,7 @@ function App() {
                           fontWeight: 600
                         }}
                       >
-                        {user} - Code Contribution
+                        {identityResolver.displayName(user)} - Code Contribution
                       </h5>
                       {Object.entries(dist).map(([category, count]) => (
                         <div key={category} style={{ marginBottom: 12 }}>
@@ -2710,6 +4070,13 @@ function App() {
                               }}
                             ></div>
                           </div>
+                          {lineStats[category] && (
+                            <div style={{ fontSize: 12, marginTop: 4, color: darkMode ? "#aaa" : "#777" }}>
+                              <span style={{ color: "#43a047" }}>+{lineStats[category].additions}</span>{" "}
+                              <span style={{ color: "#e53935" }}>−{lineStats[category].deletions}</span>{" "}
+                              lines · churn {lineStats[category].churn}
+                            </div>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -2723,6 +4090,113 @@ function App() {
         {/* --- CONDITIONAL END: Sections shown if contributors are selected --- */}
       </div>
       {/* --- CHANGED END: selectedUsers.length > 0 check removed --- */}
+      {selectedRepo && (
+        <PullRequestPanel
+          repo={selectedRepo}
+          pullRequests={visiblePullRequests}
+          inRange={isInSelectedRange}
+          truncated={pullRequestsTruncated}
+          isLoading={isLoadingPullRequests}
+          error={pullRequestError}
+          darkMode={darkMode}
+          theme={theme}
+          authorKey={pullRequestAuthorKey}
+          displayName={identityResolver.displayName}
+        />
+      )}
+      {selectedRepo && (
+        <ReviewPanel
+          repo={selectedRepo}
+          reviews={visibleReviews}
+          truncatedPullRequests={pullRequests.filter((pr) => pr.reviewsTruncated).length}
+          pullRequestsTruncated={pullRequestsTruncated}
+          hasReviewData={hasReviewData}
+          isLoading={isLoadingPullRequests}
+          error={pullRequestError}
+          darkMode={darkMode}
+          theme={theme}
+          reviewerKey={reviewerKey}
+          authorKey={reviewAuthorKey}
+          displayName={identityResolver.displayName}
+        />
+      )}
+      {heatmapCommitList && (
+        <CommitListModal
+          title={heatmapCommitList.title}
+          commits={heatmapCommitList.commits}
+          displayName={(commit) => identityResolver.displayName(commitPersonKey(commit))}
+          darkMode={darkMode}
+          onClose={() => setHeatmapCommitList(null)}
+        />
+      )}
+      {showPeriodComparison && (
+        <PeriodComparisonModal
+          repo={selectedRepo}
+          defaultFrom={dateFrom}
+          defaultTo={dateTo}
+          darkMode={darkMode}
+          loadCommits={loadPeriodCommits}
+          inRange={isInDateRange}
+          classifyCommit={classifyCommit}
+          categorizeFile={categorizeFile}
+          personKey={commitPersonKey}
+          displayName={identityResolver.displayName}
+          summarizeDirectories={summarizeCommitsByDirectory}
+          onClose={() => setShowPeriodComparison(false)}
+        />
+      )}
+      {changelogMarkdown !== null && (
+        <ChangelogModal
+          generated={changelogMarkdown}
+          repo={selectedRepo}
+          darkMode={darkMode}
+          onClose={() => setChangelogMarkdown(null)}
+        />
+      )}
+      {showCommitTypesModal && (
+        <CommitTypeSettingsModal
+          settings={commitTypeSettings}
+          repo={selectedRepo}
+          darkMode={darkMode}
+          onSave={(settings) => {
+            setCommitTypeSettings(settings);
+            setShowCommitTypesModal(false);
+          }}
+          onClose={() => setShowCommitTypesModal(false)}
+        />
+      )}
+      {showCategoryRulesModal && (
+        <CategoryRulesModal
+          settings={categoryRuleSettings}
+          repo={selectedRepo}
+          darkMode={darkMode}
+          onSave={(settings) => {
+            setCategoryRuleSettings(settings);
+            setShowCategoryRulesModal(false);
+          }}
+          onClose={() => setShowCategoryRulesModal(false)}
+        />
+      )}
+      {showIdentityModal && (
+        <IdentityManagerModal
+          identities={identities}
+          sources={getIdentitySources()}
+          darkMode={darkMode}
+          onSave={saveIdentities}
+          onClose={() => setShowIdentityModal(false)}
+        />
+      )}
+      {crossRepoUser && (
+        <CrossRepoContributorModal
+          login={crossRepoUser}
+          repos={repos}
+          darkMode={darkMode}
+          loadRepoCommits={loadContributorRepoCommits}
+          filterCommits={filterCommits}
+          getFileCategorizer={getRepoFileCategorizer}
+          onClose={() => setCrossRepoUser(null)}
+        />
+      )}
       {showOwnerModal && (
         <OwnerRepoModal
           owner={ownerForModal}
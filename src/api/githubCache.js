@@ -0,0 +1,68 @@
+// Persistent IndexedDB cache for immutable GitHub data.
+// Commit details and git trees are addressed by SHA, so once fetched they
+// never need to be requested again — not even after a reload.
+const DB_NAME = "github-tracker-cache";
+const DB_VERSION = 1;
+export const COMMIT_DETAILS_STORE = "commitDetails";
+export const TREES_STORE = "trees";
+
+let dbPromise = null;
+
+// Resolves with null when IndexedDB is unavailable (private mode, tests),
+// in which case every lookup is a miss and writes are dropped.
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") {
+      resolve(null);
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      [COMMIT_DETAILS_STORE, TREES_STORE].forEach((store) => {
+        if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn("IndexedDB unavailable, caching disabled", request.error);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+}
+
+function runRequest(store, mode, createRequest) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve) => {
+        if (!db) {
+          resolve(undefined);
+          return;
+        }
+        try {
+          const request = createRequest(db.transaction(store, mode).objectStore(store));
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => resolve(undefined);
+        } catch (err) {
+          console.warn(`IndexedDB ${mode} on ${store} failed`, err);
+          resolve(undefined);
+        }
+      })
+  );
+}
+
+export const cacheKey = (repo, sha) => `${repo}@${sha}`;
+
+export function getCached(store, key) {
+  return runRequest(store, "readonly", (s) => s.get(key));
+}
+
+export function putCached(store, key, value) {
+  return runRequest(store, "readwrite", (s) => s.put(value, key));
+}
+
+export function clearCachedStore(store) {
+  return runRequest(store, "readwrite", (s) => s.clear());
+}
@@ -0,0 +1,227 @@
+// Shared GitHub API client.
+// Every request in the app goes through here so pagination, retries and
+// error reporting behave the same way in every panel.
+export const GITHUB_API_URL = "https://api.github.com";
+// GitHub API Authentication Token (Environment variable)
+export const GITHUB_TOKEN = process.env.REACT_APP_GITHUB_TOKEN;
+const DEFAULT_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// --- Typed errors ---
+export class GitHubApiError extends Error {
+  constructor(message, { status = null, url = null } = {}) {
+    super(message);
+    this.name = "GitHubApiError";
+    this.status = status;
+    this.url = url;
+  }
+}
+// 401: token missing scopes, expired or revoked
+export class BadTokenError extends GitHubApiError {
+  constructor(message = "GitHub token is invalid or expired", details) {
+    super(message, details);
+    this.name = "BadTokenError";
+  }
+}
+// 404: GitHub answers 404 for private repositories the token can't see, too
+export class NotFoundError extends GitHubApiError {
+  constructor(message = "Repository not found or private", details) {
+    super(message, details);
+    this.name = "NotFoundError";
+  }
+}
+// Primary rate limit exhausted (or secondary limit still hit after retries)
+export class RateLimitError extends GitHubApiError {
+  constructor(message = "Rate limit exceeded", { resetAt = null, ...details } = {}) {
+    super(message, details);
+    this.name = "RateLimitError";
+    this.resetAt = resetAt;
+  }
+}
+// 409: the repository has no commits yet
+export class EmptyRepositoryError extends GitHubApiError {
+  constructor(message = "Repository is empty", details) {
+    super(message, details);
+    this.name = "EmptyRepositoryError";
+  }
+}
+
+export const getAuthHeaders = () => {
+  const headers = {
+    Accept: "application/vnd.github.v3+json"
+  };
+  // Only add Authorization header if token exists
+  if (GITHUB_TOKEN) {
+    headers.Authorization = `token ${GITHUB_TOKEN}`;
+  }
+  return headers;
+};
+
+// Parses `Link: <url>; rel="next", <url>; rel="last"` into { next, last, ... }
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+  header.split(",").forEach((part) => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) links[match[2]] = match[1];
+  });
+  return links;
+}
+
+export function buildUrl(path, params = {}) {
+  const url = new URL(path, GITHUB_API_URL);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const backoffDelay = (attempt) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+
+async function readErrorMessage(res) {
+  try {
+    const body = await res.clone().json();
+    return body?.message || "";
+  } catch {
+    return "";
+  }
+}
+
+// Decides whether a failed response is worth retrying and how long to wait.
+// Returns null when the failure should be reported straight away.
+async function getRetryDelay(res, attempt) {
+  if (res.status >= 500) return backoffDelay(attempt);
+  if (res.status !== 403 && res.status !== 429) return null;
+  const retryAfter = Number(res.headers.get("retry-after"));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  // Primary limit exhausted: retrying before the reset only burns time
+  if (res.headers.get("x-ratelimit-remaining") === "0") return null;
+  const message = await readErrorMessage(res);
+  if (/secondary rate limit|abuse/i.test(message)) return backoffDelay(attempt);
+  return null;
+}
+
+async function toApiError(res, url) {
+  const message = await readErrorMessage(res);
+  const details = { status: res.status, url };
+  if (res.status === 401) return new BadTokenError(undefined, details);
+  if (res.status === 404) return new NotFoundError(undefined, details);
+  if (res.status === 409) return new EmptyRepositoryError(undefined, details);
+  if (
+    res.status === 429 ||
+    (res.status === 403 &&
+      (res.headers.get("x-ratelimit-remaining") === "0" ||
+        /rate limit/i.test(message)))
+  ) {
+    const reset = Number(res.headers.get("x-ratelimit-reset"));
+    return new RateLimitError(undefined, {
+      ...details,
+      resetAt: reset ? new Date(reset * 1000) : null
+    });
+  }
+  return new GitHubApiError(
+    message ? `GitHub API error ${res.status}: ${message}` : `GitHub API error: ${res.status}`,
+    details
+  );
+}
+
+// Low-level request. `path` may be an API path ("/repos/x/y") or an absolute
+// URL such as the `url` field of a commit. Resolves with the raw Response.
+export async function githubRequest(path, { params, retries = DEFAULT_RETRIES, ...init } = {}) {
+  const url = buildUrl(path, params);
+  const headers = { ...getAuthHeaders(), ...(init.headers || {}) };
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, { ...init, headers });
+    } catch (networkError) {
+      if (attempt >= retries) {
+        throw new GitHubApiError(`Network error: ${networkError.message}`, { url });
+      }
+      await sleep(backoffDelay(attempt));
+      continue;
+    }
+    if (res.ok) return res;
+    const delay = attempt < retries ? await getRetryDelay(res, attempt) : null;
+    if (delay === null) throw await toApiError(res, url);
+    await sleep(delay);
+  }
+}
+
+// Fetches one resource and parses the JSON body.
+export async function githubFetch(path, options) {
+  const res = await githubRequest(path, options);
+  if (res.status === 204) return null;
+  return res.json();
+}
+
+// Fetches a list endpoint page by page following the `Link` header.
+// `onPage(items, pageNumber)` may return false to stop early.
+export async function githubPaginate(path, { params = {}, maxPages = Infinity, onPage, ...options } = {}) {
+  const items = [];
+  let nextUrl = buildUrl(path, { per_page: 100, ...params });
+  let pageNumber = 0;
+  while (nextUrl && pageNumber < maxPages) {
+    pageNumber++;
+    const res = await githubRequest(nextUrl, options);
+    // No body, e.g. /contributors of an empty repository
+    if (res.status === 204) break;
+    const data = await res.json();
+    const pageItems = Array.isArray(data) ? data : [];
+    items.push(...pageItems);
+    if (onPage && (await onPage(pageItems, pageNumber)) === false) break;
+    nextUrl = parseLinkHeader(res.headers.get("link")).next;
+  }
+  return items;
+}
+
+// Requests fanned out per item (e.g. one per commit) run at most this many at a
+// time; firing them all at once trips GitHub's secondary rate limit.
+export const DEFAULT_CONCURRENCY = 6;
+
+// Like Promise.all(items.map(fn)) with at most `limit` calls in flight.
+// The first rejection stops handing out new items and rejects the whole call.
+export async function mapWithConcurrency(items, fn, limit = DEFAULT_CONCURRENCY) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Turns any error thrown by this module into a message suitable for the UI.
+export function describeGitHubError(err, fallback = "GitHub request failed.") {
+  if (err instanceof RateLimitError) {
+    return err.resetAt
+      ? `GitHub rate limit exceeded. Resets at ${err.resetAt.toLocaleTimeString("en-US")}.`
+      : "GitHub rate limit exceeded. Please wait a moment and try again.";
+  }
+  if (err instanceof BadTokenError) {
+    return "GitHub token is invalid or expired. Check REACT_APP_GITHUB_TOKEN.";
+  }
+  if (err instanceof NotFoundError) {
+    return "Repository not found, or it is private and the token has no access.";
+  }
+  if (err instanceof EmptyRepositoryError) {
+    return "This repository is empty.";
+  }
+  if (err instanceof GitHubApiError) return err.message;
+  return fallback;
+}
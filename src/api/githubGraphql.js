@@ -0,0 +1,123 @@
+// GitHub GraphQL v4 access.
+// The `history` connection returns 100 commits per request including
+// additions/deletions, so commit lists no longer need one REST call per commit.
+// GraphQL has no anonymous access; callers should check isGraphqlAvailable().
+import {
+  GITHUB_TOKEN,
+  githubRequest,
+  GitHubApiError,
+  NotFoundError,
+  RateLimitError,
+  EmptyRepositoryError
+} from "./githubClient";
+
+export const isGraphqlAvailable = () => Boolean(GITHUB_TOKEN);
+
+export async function githubGraphql(query, variables = {}) {
+  const res = await githubRequest("/graphql", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query, variables })
+  });
+  const { data, errors } = await res.json();
+  if (errors && errors.length) {
+    const [first] = errors;
+    if (first.type === "NOT_FOUND") throw new NotFoundError(undefined, { url: "/graphql" });
+    if (first.type === "RATE_LIMITED") throw new RateLimitError(undefined, { url: "/graphql" });
+    throw new GitHubApiError(`GraphQL error: ${first.message}`, { url: "/graphql" });
+  }
+  return data;
+}
+
+const USER_ID_QUERY = `
+  query($login: String!) {
+    user(login: $login) { id }
+  }
+`;
+
+// `$ref` is a branch, tag or SHA; "HEAD" is the default branch.
+// Annotated tags resolve to a Tag object pointing at the commit.
+const HISTORY_FIELDS = `
+  history(first: 100, after: $cursor, author: $author) {
+    pageInfo { hasNextPage endCursor }
+    nodes {
+      oid
+      url
+      message
+      authoredDate
+      additions
+      deletions
+      changedFilesIfAvailable
+      author { name email user { login } }
+    }
+  }
+`;
+
+const HISTORY_QUERY = `
+  query($owner: String!, $name: String!, $ref: String!, $cursor: String, $author: CommitAuthor) {
+    repository(owner: $owner, name: $name) {
+      object(expression: $ref) {
+        ... on Commit { ${HISTORY_FIELDS} }
+        ... on Tag { target { ... on Commit { ${HISTORY_FIELDS} } } }
+      }
+    }
+  }
+`;
+
+// Resolves a login or commit email to the CommitAuthor filter GraphQL expects
+async function resolveAuthorFilter(author) {
+  if (!author) return null;
+  if (author.includes("@")) return { emails: [author] };
+  const data = await githubGraphql(USER_ID_QUERY, { login: author });
+  if (!data.user) throw new NotFoundError(`GitHub user ${author} not found`);
+  return { id: data.user.id };
+}
+
+// Maps a history node onto the REST commit shape the panels already read.
+// `files` is left undefined: callers that need paths fetch the REST detail.
+const toRestShape = (node) => ({
+  sha: node.oid,
+  html_url: node.url,
+  commit: {
+    message: node.message,
+    author: {
+      name: node.author?.name,
+      email: node.author?.email,
+      date: node.authoredDate
+    }
+  },
+  author: node.author?.user ? { login: node.author.user.login } : null,
+  stats: {
+    additions: node.additions,
+    deletions: node.deletions,
+    total: node.additions + node.deletions
+  },
+  changedFiles: node.changedFilesIfAvailable
+});
+
+// Loads the history of a ref (the default branch when not set), optionally
+// limited to one author, 100 commits per request.
+export async function fetchCommitHistory(repo, { ref, author, maxCommits = Infinity } = {}) {
+  const [owner, name] = repo.split("/");
+  const authorFilter = await resolveAuthorFilter(author);
+  const commits = [];
+  let cursor = null;
+  while (commits.length < maxCommits) {
+    const data = await githubGraphql(HISTORY_QUERY, {
+      owner,
+      name,
+      ref: ref || "HEAD",
+      cursor,
+      author: authorFilter
+    });
+    if (!data.repository) throw new NotFoundError();
+    const target = data.repository.object;
+    if (!target && ref) throw new NotFoundError(`Ref ${ref} not found`);
+    const history = target?.history || target?.target?.history;
+    if (!history) throw new EmptyRepositoryError();
+    commits.push(...history.nodes.map(toRestShape));
+    if (!history.pageInfo.hasNextPage) break;
+    cursor = history.pageInfo.endCursor;
+  }
+  return commits.slice(0, maxCommits);
+}
@@ -0,0 +1,154 @@
+// Issues of a repository (pull requests excluded), most recently updated first.
+// With a token the GraphQL API also returns who closed each issue and the
+// first comments, for time to first response; without one the REST list is
+// used and `closedBy` and `comments` are null.
+//
+// Normalized shape:
+//   { number, title, url, author, authorIsBot, state: "open" | "closed",
+//     createdAt, closedAt, labels: [name], closedBy,
+//     comments: [{ author, authorIsBot, createdAt }] | null, commentsTruncated }
+// Comments are loaded until one is by someone other than the reporter;
+// `commentsTruncated` is set when MAX_COMMENT_PAGES ran out before that.
+// fetchIssues resolves with { issues, truncated }, where `truncated` means
+// maxPages ran out before the oldest issue updated since `since`.
+import { githubPaginate, mapWithConcurrency, NotFoundError } from "./githubClient";
+import { githubGraphql, isGraphqlAvailable } from "./githubGraphql";
+
+// Comments after the first page are loaded per issue, up to this many more pages
+const MAX_COMMENT_PAGES = 5;
+
+const COMMENT_PAGE_FIELDS = `
+  pageInfo { hasNextPage endCursor }
+  nodes { createdAt author { login __typename } }
+`;
+
+const ISSUES_QUERY = `
+  query($owner: String!, $name: String!, $cursor: String, $since: DateTime) {
+    repository(owner: $owner, name: $name) {
+      issues(first: 50, after: $cursor, filterBy: { since: $since }, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          url
+          state
+          createdAt
+          closedAt
+          author { login __typename }
+          labels(first: 20) { nodes { name } }
+          comments(first: 10) { ${COMMENT_PAGE_FIELDS} }
+          timelineItems(itemTypes: [CLOSED_EVENT], last: 1) {
+            nodes { ... on ClosedEvent { actor { login } } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const COMMENTS_QUERY = `
+  query($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      issue(number: $number) {
+        comments(first: 100, after: $cursor) { ${COMMENT_PAGE_FIELDS} }
+      }
+    }
+  }
+`;
+
+const fromGraphqlComments = (nodes) =>
+  nodes.map((comment) => ({
+    author: comment.author?.login || null,
+    authorIsBot: comment.author?.__typename === "Bot",
+    createdAt: comment.createdAt
+  }));
+
+// Whether a comment by someone other than the reporter (and not a bot) is loaded
+const hasResponse = (issue) =>
+  issue.comments.some((comment) => comment.author && comment.author !== issue.author && !comment.authorIsBot);
+
+const fromGraphql = (node) => ({
+  number: node.number,
+  title: node.title,
+  url: node.url,
+  author: node.author?.login || null,
+  authorIsBot: node.author?.__typename === "Bot",
+  state: node.state.toLowerCase(),
+  createdAt: node.createdAt,
+  closedAt: node.closedAt,
+  labels: node.labels.nodes.map((label) => label.name),
+  closedBy: node.timelineItems.nodes[0]?.actor?.login || null,
+  comments: fromGraphqlComments(node.comments.nodes),
+  commentsTruncated: false
+});
+
+// Appends comment pages to an issue loaded with ISSUES_QUERY until a response shows up
+async function loadResponse(owner, name, issue, pageInfo) {
+  let { hasNextPage, endCursor: cursor } = pageInfo;
+  for (let page = 0; hasNextPage && page < MAX_COMMENT_PAGES && !hasResponse(issue); page++) {
+    const data = await githubGraphql(COMMENTS_QUERY, { owner, name, number: issue.number, cursor });
+    const comments = data.repository.issue.comments;
+    issue.comments.push(...fromGraphqlComments(comments.nodes));
+    ({ hasNextPage, endCursor: cursor } = comments.pageInfo);
+  }
+  issue.commentsTruncated = hasNextPage && !hasResponse(issue);
+}
+
+const fromRest = (issue) => ({
+  number: issue.number,
+  title: issue.title,
+  url: issue.html_url,
+  author: issue.user?.login || null,
+  authorIsBot: issue.user?.type === "Bot",
+  state: issue.state,
+  createdAt: issue.created_at,
+  closedAt: issue.closed_at,
+  labels: issue.labels.map((label) => (typeof label === "string" ? label : label.name)),
+  closedBy: null,
+  comments: null,
+  commentsTruncated: false
+});
+
+// Loads issues updated at or after `since` (all issues up to maxPages when not set).
+// Anything opened or closed since then is among them.
+export async function fetchIssues(repo, { since, maxPages = 20 } = {}) {
+  const sinceIso = since ? new Date(since).toISOString() : null;
+
+  if (!isGraphqlAvailable()) {
+    const items = await githubPaginate(`/repos/${repo}/issues`, {
+      params: { state: "all", sort: "updated", direction: "desc", ...(sinceIso ? { since: sinceIso } : {}) },
+      maxPages
+    });
+    return {
+      // The REST issues list also contains pull requests
+      issues: items.filter((issue) => !issue.pull_request).map(fromRest),
+      // Fewer than maxPages full pages means the list ended on its own
+      truncated: items.length >= maxPages * 100
+    };
+  }
+
+  const [owner, name] = repo.split("/");
+  const issues = [];
+  // [issue, comments.pageInfo] of issues whose first comments hold no response
+  const moreComments = [];
+  let cursor = null;
+  let reachedEnd = false;
+  for (let page = 0; page < maxPages && !reachedEnd; page++) {
+    const data = await githubGraphql(ISSUES_QUERY, { owner, name, cursor, since: sinceIso });
+    if (!data.repository) throw new NotFoundError();
+    const { nodes, pageInfo } = data.repository.issues;
+    nodes.forEach((node) => {
+      const issue = fromGraphql(node);
+      issues.push(issue);
+      // Only issues opened in the range are timed, so older ones aren't followed up
+      const openedSince = !sinceIso || new Date(issue.createdAt) >= new Date(sinceIso);
+      if (openedSince && node.comments.pageInfo.hasNextPage && !hasResponse(issue)) {
+        moreComments.push([issue, node.comments.pageInfo]);
+      }
+    });
+    reachedEnd = !pageInfo.hasNextPage;
+    cursor = pageInfo.endCursor;
+  }
+  await mapWithConcurrency(moreComments, ([issue, pageInfo]) => loadResponse(owner, name, issue, pageInfo));
+  return { issues, truncated: !reachedEnd };
+}
@@ -0,0 +1,171 @@
+// Pull requests of a repository, most recently updated first.
+// With a token the GraphQL API returns sizes and reviews in the same request;
+// without one the REST list is used and `additions`, `deletions`,
+// `changedFiles` and `reviews` are null.
+//
+// Normalized shape:
+//   { number, title, url, author, authorIsBot, state: "open" | "merged" | "closed",
+//     isDraft, createdAt, updatedAt, mergedAt, closedAt, additions, deletions, changedFiles,
+//     reviews: [{ author, authorIsBot, state, submittedAt, comments }] | null,
+//     reviewsTruncated }
+// `comments` is the number of inline comments left with the review.
+// `reviewsTruncated` is set when a PR has more than MAX_REVIEW_PAGES pages of reviews.
+// fetchPullRequests resolves with { pullRequests, truncated }, where `truncated`
+// means maxPages ran out before reaching `since` (or the oldest PR).
+import { githubPaginate, mapWithConcurrency, NotFoundError } from "./githubClient";
+import { githubGraphql, isGraphqlAvailable } from "./githubGraphql";
+
+// Reviews after the first page are loaded per PR, up to this many more pages
+const MAX_REVIEW_PAGES = 10;
+
+const REVIEW_PAGE_FIELDS = `
+  pageInfo { hasNextPage endCursor }
+  nodes { state submittedAt author { login __typename } comments { totalCount } }
+`;
+
+const PULL_REQUESTS_QUERY = `
+  query($owner: String!, $name: String!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequests(first: 50, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          url
+          state
+          isDraft
+          createdAt
+          updatedAt
+          mergedAt
+          closedAt
+          additions
+          deletions
+          changedFiles
+          author { login __typename }
+          reviews(first: 50) { ${REVIEW_PAGE_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+const REVIEWS_QUERY = `
+  query($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequest(number: $number) {
+        reviews(first: 100, after: $cursor) { ${REVIEW_PAGE_FIELDS} }
+      }
+    }
+  }
+`;
+
+const fromGraphqlReviews = (nodes) =>
+  nodes
+    .filter((review) => review.submittedAt)
+    .map((review) => ({
+      author: review.author?.login || null,
+      authorIsBot: review.author?.__typename === "Bot",
+      state: review.state,
+      submittedAt: review.submittedAt,
+      comments: review.comments.totalCount
+    }));
+
+const fromGraphql = (node) => ({
+  number: node.number,
+  title: node.title,
+  url: node.url,
+  author: node.author?.login || null,
+  authorIsBot: node.author?.__typename === "Bot",
+  state: node.state.toLowerCase(),
+  isDraft: node.isDraft,
+  createdAt: node.createdAt,
+  updatedAt: node.updatedAt,
+  mergedAt: node.mergedAt,
+  closedAt: node.closedAt,
+  additions: node.additions,
+  deletions: node.deletions,
+  changedFiles: node.changedFiles,
+  reviews: fromGraphqlReviews(node.reviews.nodes),
+  reviewsTruncated: false
+});
+
+// Appends the reviews past the first page to a PR loaded with PULL_REQUESTS_QUERY
+async function loadRemainingReviews(owner, name, pr, pageInfo) {
+  let { hasNextPage, endCursor: cursor } = pageInfo;
+  for (let page = 0; hasNextPage && page < MAX_REVIEW_PAGES; page++) {
+    const data = await githubGraphql(REVIEWS_QUERY, { owner, name, number: pr.number, cursor });
+    const reviews = data.repository.pullRequest.reviews;
+    pr.reviews.push(...fromGraphqlReviews(reviews.nodes));
+    ({ hasNextPage, endCursor: cursor } = reviews.pageInfo);
+  }
+  pr.reviewsTruncated = hasNextPage;
+}
+
+const fromRest = (pr) => ({
+  number: pr.number,
+  title: pr.title,
+  url: pr.html_url,
+  author: pr.user?.login || null,
+  authorIsBot: pr.user?.type === "Bot",
+  state: pr.merged_at ? "merged" : pr.state,
+  isDraft: Boolean(pr.draft),
+  createdAt: pr.created_at,
+  updatedAt: pr.updated_at,
+  mergedAt: pr.merged_at,
+  closedAt: pr.closed_at,
+  additions: null,
+  deletions: null,
+  changedFiles: null,
+  reviews: null,
+  reviewsTruncated: false
+});
+
+// Loads PRs updated at or after `since` (all PRs up to maxPages when not set).
+// Opening, merging, closing and reviewing all update a PR, so this covers every
+// PR with activity since then, including ones opened earlier.
+export async function fetchPullRequests(repo, { since, maxPages = 20 } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : -Infinity;
+  const isOlder = (updatedAt) => new Date(updatedAt).getTime() < sinceTime;
+
+  if (!isGraphqlAvailable()) {
+    let reachedSince = false;
+    const items = await githubPaginate(`/repos/${repo}/pulls`, {
+      params: { state: "all", sort: "updated", direction: "desc" },
+      maxPages,
+      onPage: (page) => {
+        reachedSince = page.length > 0 && isOlder(page[page.length - 1].updated_at);
+        return !reachedSince;
+      }
+    });
+    return {
+      pullRequests: items.map(fromRest).filter((pr) => !isOlder(pr.updatedAt)),
+      // Fewer than maxPages full pages means the list ended on its own
+      truncated: !reachedSince && items.length >= maxPages * 100
+    };
+  }
+
+  const [owner, name] = repo.split("/");
+  const pullRequests = [];
+  // [pr, reviews.pageInfo] of PRs with more than one page of reviews
+  const moreReviews = [];
+  let cursor = null;
+  let reachedEnd = false;
+  for (let page = 0; page < maxPages && !reachedEnd; page++) {
+    const data = await githubGraphql(PULL_REQUESTS_QUERY, { owner, name, cursor });
+    if (!data.repository) throw new NotFoundError();
+    const { nodes, pageInfo } = data.repository.pullRequests;
+    nodes.forEach((node) => {
+      const pr = fromGraphql(node);
+      pullRequests.push(pr);
+      if (node.reviews.pageInfo.hasNextPage) moreReviews.push([pr, node.reviews.pageInfo]);
+    });
+    reachedEnd = !pageInfo.hasNextPage || (nodes.length > 0 && isOlder(nodes[nodes.length - 1].updatedAt));
+    cursor = pageInfo.endCursor;
+  }
+  const recent = pullRequests.filter((pr) => !isOlder(pr.updatedAt));
+  await mapWithConcurrency(
+    moreReviews.filter(([pr]) => recent.includes(pr)),
+    ([pr, pageInfo]) => loadRemainingReviews(owner, name, pr, pageInfo)
+  );
+  return { pullRequests: recent, truncated: !reachedEnd };
+}
@@ -0,0 +1,94 @@
+// Tags, releases and the commits between two refs.
+// Tag dates come from the tagged commit. The REST tag list has no dates, so
+// without a token only tags that have a published release are dated.
+//
+// Normalized tag shape:
+//   { name, sha, date, release: { name, url, prerelease } | null }
+import { githubFetch, githubPaginate, NotFoundError } from "./githubClient";
+import { githubGraphql, isGraphqlAvailable } from "./githubGraphql";
+
+const TAGS_QUERY = `
+  query($owner: String!, $name: String!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      refs(refPrefix: "refs/tags/", first: 100, after: $cursor, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          name
+          target {
+            oid
+            ... on Commit { committedDate }
+            ... on Tag { target { oid ... on Commit { committedDate } } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+async function fetchTagsGraphql(repo, maxPages) {
+  const [owner, name] = repo.split("/");
+  const tags = [];
+  let cursor = null;
+  for (let page = 0; page < maxPages; page++) {
+    const data = await githubGraphql(TAGS_QUERY, { owner, name, cursor });
+    if (!data.repository) throw new NotFoundError();
+    const { nodes, pageInfo } = data.repository.refs;
+    nodes.forEach(({ name: tagName, target }) => {
+      // Annotated tags point at a Tag object that points at the commit
+      const commit = target.target || target;
+      tags.push({ name: tagName, sha: commit.oid, date: commit.committedDate || null });
+    });
+    if (!pageInfo.hasNextPage) break;
+    cursor = pageInfo.endCursor;
+  }
+  return tags;
+}
+
+async function fetchTagsRest(repo, maxPages) {
+  const items = await githubPaginate(`/repos/${repo}/tags`, { maxPages });
+  return items.map((tag) => ({ name: tag.name, sha: tag.commit.sha, date: null }));
+}
+
+// All tags with their releases, newest first (undated tags last)
+export async function fetchReleaseTags(repo, { maxPages = 3 } = {}) {
+  const [tags, releases] = await Promise.all([
+    isGraphqlAvailable() ? fetchTagsGraphql(repo, maxPages) : fetchTagsRest(repo, maxPages),
+    githubPaginate(`/repos/${repo}/releases`, { maxPages })
+  ]);
+  const releaseByTag = new Map(
+    releases.filter((release) => !release.draft).map((release) => [release.tag_name, release])
+  );
+  return tags
+    .map((tag) => {
+      const release = releaseByTag.get(tag.name);
+      return {
+        ...tag,
+        date: tag.date || release?.published_at || null,
+        release: release
+          ? { name: release.name || release.tag_name, url: release.html_url, prerelease: release.prerelease }
+          : null
+      };
+    })
+    .sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+}
+
+// The compare endpoint lists at most this many files and can't page them
+const MAX_COMPARE_FILES = 300;
+
+// Commits reachable from `head` but not from `base`, oldest first, and the
+// combined file changes. GitHub returns at most 250 commits and 300 files;
+// `totalCommits` and `filesTruncated` tell whether a list was cut off.
+export async function compareRefs(repo, base, head) {
+  // Tag names may contain "#", "?" or "%"
+  const data = await githubFetch(
+    `/repos/${repo}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`
+  );
+  const files = data.files || [];
+  return {
+    commits: data.commits || [],
+    files,
+    filesTruncated: files.length >= MAX_COMPARE_FILES,
+    totalCommits: data.total_commits,
+    url: data.html_url
+  };
+}
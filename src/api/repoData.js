@@ -0,0 +1,139 @@
+// Loaders for repository data. Anything addressed by SHA is cached persistently.
+import { githubFetch, githubPaginate, githubRequest } from "./githubClient";
+import { fetchCommitHistory } from "./githubGraphql";
+import {
+  cacheKey,
+  getCached,
+  putCached,
+  COMMIT_DETAILS_STORE,
+  TREES_STORE
+} from "./githubCache";
+
+// Requests currently on the wire, so panels asking for the same commit at
+// the same time share one API call.
+const inFlight = new Map();
+
+function once(key, load) {
+  if (inFlight.has(key)) return inFlight.get(key);
+  const promise = load().finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+// Patches are never rendered and make up most of a commit's size
+const stripPatches = (commit) => ({
+  ...commit,
+  files: (commit.files || []).map(({ patch, ...file }) => file)
+});
+
+// Detailed commit (with 'files' and 'stats'), fetched at most once ever.
+export function getCommitDetail(repo, sha) {
+  const key = cacheKey(repo, sha);
+  return once(`commit:${key}`, async () => {
+    const cached = await getCached(COMMIT_DETAILS_STORE, key);
+    if (cached) return cached;
+    const detail = stripPatches(await githubFetch(`/repos/${repo}/commits/${sha}`));
+    await putCached(COMMIT_DETAILS_STORE, key, detail);
+    return detail;
+  });
+}
+
+// Recursive tree for a branch, tag or SHA. The ref is resolved on every
+// call, but the tree itself is cached by its SHA.
+export async function getRepoTree(repo, ref) {
+  // per_page=1 keeps the changed-files list of the resolved commit short
+  const commit = await githubFetch(`/repos/${repo}/commits/${encodeURIComponent(ref)}`, {
+    params: { per_page: 1 }
+  });
+  const treeSha = commit.commit.tree.sha;
+  const key = cacheKey(repo, treeSha);
+  return once(`tree:${key}`, async () => {
+    const cached = await getCached(TREES_STORE, key);
+    if (cached) return cached;
+    const data = await githubFetch(`/repos/${repo}/git/trees/${treeSha}`, {
+      params: { recursive: 1 }
+    });
+    const tree = {
+      sha: data.sha,
+      truncated: data.truncated,
+      tree: (data.tree || []).map(({ path, type, size, sha }) => ({ path, type, size, sha }))
+    };
+    await putCached(TREES_STORE, key, tree);
+    return tree;
+  });
+}
+
+// Commit summaries for a repo, optionally by one author, from `ref` (a
+// branch, tag or SHA; the default branch when not set).
+// "graphql" returns message/author/stats in batches of 100; "rest" returns
+// the plain commits list. Neither includes 'files' — use getCommitDetail.
+export function listCommits(repo, { source = "rest", ref, author, maxPages = Infinity } = {}) {
+  if (source === "graphql") {
+    return fetchCommitHistory(repo, { ref, author, maxCommits: maxPages * 100 });
+  }
+  return githubPaginate(`/repos/${repo}/commits`, {
+    params: { author, sha: ref },
+    maxPages
+  });
+}
+
+// Branch and tag names for the ref picker: [{ name, kind: "branch" | "tag" }]
+export async function listRefs(repo, { maxPages = 5 } = {}) {
+  const [branches, tags] = await Promise.all([
+    githubPaginate(`/repos/${repo}/branches`, { maxPages }),
+    githubPaginate(`/repos/${repo}/tags`, { maxPages })
+  ]);
+  return [
+    ...branches.map((branch) => ({ name: branch.name, kind: "branch" })),
+    ...tags.map((tag) => ({ name: tag.name, kind: "tag" }))
+  ];
+}
+
+// Newest commit on `ref` by `author` (a login or email), as an ISO date or
+// null. Kept for the session only, since it changes with every new commit.
+const latestCommitDates = new Map();
+
+export function getLatestCommitDate(repo, author, ref) {
+  const key = `${repo}@${ref || ""}:${author}`;
+  if (!latestCommitDates.has(key)) {
+    const promise = githubFetch(`/repos/${repo}/commits`, {
+      params: { author, sha: ref, per_page: 1 }
+    }).then((commits) => commits?.[0]?.commit.author.date || null);
+    // Let a failed lookup be retried next time
+    promise.catch(() => latestCommitDates.delete(key));
+    latestCommitDates.set(key, promise);
+  }
+  return latestCommitDates.get(key);
+}
+
+// GitHub computes contributor statistics in the background and answers 202
+// until they are ready
+const STATS_ATTEMPTS = 5;
+const STATS_RETRY_DELAY_MS = 3000;
+
+// Weekly lines added/deleted per author on the default branch:
+// [{ author: login, weeks: [{ week: "yyyy-MM-dd", additions, deletions, commits }] }],
+// or null when GitHub is still computing them. Covers the top 100 authors.
+export async function getContributorStats(repo) {
+  for (let attempt = 0; attempt < STATS_ATTEMPTS; attempt++) {
+    const res = await githubRequest(`/repos/${repo}/stats/contributors`);
+    if (res.status === 204) return [];
+    if (res.status !== 202) {
+      const data = await res.json();
+      return (Array.isArray(data) ? data : [])
+        .filter((entry) => entry.author)
+        .map((entry) => ({
+          author: entry.author.login,
+          // `w` is the Sunday starting the week, in Unix seconds
+          weeks: entry.weeks.map((week) => ({
+            week: new Date(week.w * 1000).toISOString().substring(0, 10),
+            additions: week.a,
+            deletions: week.d,
+            commits: week.c
+          }))
+        }));
+    }
+    await new Promise((resolve) => setTimeout(resolve, STATS_RETRY_DELAY_MS));
+  }
+  return null;
+}
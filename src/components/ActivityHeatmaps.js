@@ -0,0 +1,110 @@
+import React from "react";
+import { format, parseISO } from "date-fns";
+import { WEEKDAYS, buildCalendar, buildPunchCard } from "../utils/activityHeatmap";
+
+const CELL = 13;
+const GAP = 3;
+
+// GitHub-style calendar and weekday × hour punch card for a list of commits.
+// `onSelect(title, commits)` is called when a non-empty cell is clicked.
+const ActivityHeatmaps = ({ commits, timeZone, from, to, darkMode, theme, onSelect }) => {
+  const calendar = buildCalendar(commits, timeZone, { from, to });
+  const punchCard = buildPunchCard(commits, timeZone);
+  const muted = darkMode ? "#aaa" : "#777";
+  const zoneLabel = timeZone || "browser time";
+
+  // Four shades above empty, like GitHub's contribution graph
+  const shade = (count, max) => {
+    if (!count) return darkMode ? "rgba(255,255,255,0.06)" : "#ebedf0";
+    const level = Math.ceil((count / max) * 4);
+    return darkMode
+      ? ["#0e4429", "#006d32", "#26a641", "#39d353"][level - 1]
+      : ["#9be9a8", "#40c463", "#30a14e", "#216e39"][level - 1];
+  };
+  const cellStyle = (count, max) => ({
+    width: CELL,
+    height: CELL,
+    borderRadius: 3,
+    background: shade(count, max),
+    cursor: count ? "pointer" : "default"
+  });
+
+  if (commits.length === 0) {
+    return <p style={{ color: muted }}>No commits match the current filters.</p>;
+  }
+
+  return (
+    <div>
+      <div style={{ fontSize: 13, color: muted, marginBottom: 8 }}>
+        📅 Calendar ({zoneLabel}) — click a day to see its commits
+      </div>
+      <div style={{ overflowX: "auto", paddingBottom: 6, marginBottom: 20 }}>
+        <div style={{ display: "flex", gap: GAP }}>
+          <div style={{ display: "flex", flexDirection: "column", gap: GAP, marginRight: 4 }}>
+            {WEEKDAYS.map((day, index) => (
+              <div key={day} style={{ height: CELL, fontSize: 10, lineHeight: `${CELL}px`, color: muted }}>
+                {index % 2 === 0 ? day : ""}
+              </div>
+            ))}
+          </div>
+          {calendar.weeks.map((week) => (
+            <div key={week[0].day} style={{ display: "flex", flexDirection: "column", gap: GAP }}>
+              {week.map(({ day, commits: dayCommits }) => (
+                <div
+                  key={day}
+                  title={`${dayCommits.length} ${dayCommits.length === 1 ? "commit" : "commits"} on ${day}`}
+                  onClick={() =>
+                    dayCommits.length &&
+                    onSelect(`Commits on ${format(parseISO(day), "EEE, MMM d, yyyy")}`, dayCommits)
+                  }
+                  style={cellStyle(dayCommits.length, calendar.max)}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ fontSize: 13, color: muted, marginBottom: 8 }}>
+        🕒 Day of week × hour ({zoneLabel})
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "separate", borderSpacing: GAP, fontSize: 10, color: muted }}>
+          <thead>
+            <tr>
+              <th />
+              {punchCard.grid[0].map((_, hour) => (
+                <th key={hour} style={{ fontWeight: 400, width: CELL }}>
+                  {hour % 3 === 0 ? hour : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {punchCard.grid.map((hours, weekday) => (
+              <tr key={WEEKDAYS[weekday]}>
+                <td style={{ paddingRight: 4 }}>{WEEKDAYS[weekday]}</td>
+                {hours.map((cellCommits, hour) => (
+                  <td
+                    key={hour}
+                    title={`${WEEKDAYS[weekday]} ${hour}:00–${hour + 1}:00 · ${cellCommits.length} commits`}
+                    onClick={() =>
+                      cellCommits.length &&
+                      onSelect(`Commits on ${WEEKDAYS[weekday]} between ${hour}:00 and ${hour + 1}:00`, cellCommits)
+                    }
+                    style={{ ...cellStyle(cellCommits.length, punchCard.max), width: CELL * 1.4 }}
+                  />
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize: 11, color: theme.color, opacity: 0.6, marginTop: 6 }}>
+        Busiest day: {calendar.max} commits · busiest hour slot: {punchCard.max} commits
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmaps;
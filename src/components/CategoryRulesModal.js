@@ -0,0 +1,249 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_CATEGORY_RULES,
+  RULE_MATCH_KINDS,
+  OTHER_CATEGORY,
+  createFileCategorizer,
+  validateCategoryRule
+} from "../utils/fileCategories";
+
+const PATTERN_PLACEHOLDERS = {
+  glob: "src/components/**, **/__tests__/**",
+  extension: ".jsx, .tsx",
+  filename: "*.test.*, Dockerfile"
+};
+
+// Editor for the ordered file categorisation rules,
+// either globally or as an override for the selected repository.
+const CategoryRulesModal = ({ settings, repo, darkMode, onSave, onClose }) => {
+  const [scope, setScope] = useState(repo && settings.repos[repo] ? "repo" : "global");
+  const rulesForScope = (target) =>
+    (target === "repo" && settings.repos[repo]) || settings.global || DEFAULT_CATEGORY_RULES;
+  const [draft, setDraft] = useState(() => rulesForScope(scope));
+  const [samplePath, setSamplePath] = useState("");
+
+  const themeBg = darkMode ? "rgba(30, 30, 40, 0.95)" : "rgba(255, 255, 255, 0.95)";
+  const themeColor = darkMode ? "#eee" : "#222";
+  const borderColor = darkMode ? "#444" : "#ddd";
+  const inputStyle = {
+    padding: "6px 8px",
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: darkMode ? "rgba(50,50,60,0.5)" : "#fff",
+    color: themeColor,
+    fontSize: 14
+  };
+  const buttonStyle = {
+    padding: "8px 14px",
+    borderRadius: 8,
+    border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+    background: "transparent",
+    color: darkMode ? "#90caf9" : "#1976d2",
+    cursor: "pointer"
+  };
+
+  const errors = draft.map(validateCategoryRule);
+  const hasErrors = errors.some(Boolean);
+  const sampleCategory = samplePath.trim()
+    ? createFileCategorizer(draft.filter((rule, i) => !errors[i]))(samplePath.trim())
+    : null;
+
+  const changeScope = (next) => {
+    setScope(next);
+    setDraft(rulesForScope(next));
+  };
+  const updateRule = (index, changes) => {
+    setDraft((prev) => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+  const moveRule = (index, delta) => {
+    setDraft((prev) => {
+      const next = [...prev];
+      const [rule] = next.splice(index, 1);
+      next.splice(index + delta, 0, rule);
+      return next;
+    });
+  };
+  const addRule = () => {
+    setDraft((prev) => [...prev, { category: "", match: "glob", pattern: "" }]);
+  };
+  const removeRule = (index) => {
+    setDraft((prev) => prev.filter((_, i) => i !== index));
+  };
+  const save = () => {
+    const cleaned = draft.map((rule) => ({
+      ...rule,
+      category: rule.category.trim().toLowerCase(),
+      pattern: rule.pattern.trim()
+    }));
+    if (scope === "repo") {
+      onSave({ ...settings, repos: { ...settings.repos, [repo]: cleaned } });
+    } else {
+      onSave({ ...settings, global: cleaned });
+    }
+  };
+  // Drops the repo override so the repo follows the global rules again
+  const useGlobalForRepo = () => {
+    const { [repo]: removed, ...repos } = settings.repos;
+    onSave({ ...settings, repos });
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0,0,0,0.7)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 99999
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: themeBg,
+          color: themeColor,
+          maxWidth: 950,
+          width: "95%",
+          maxHeight: "85vh",
+          overflowY: "auto",
+          borderRadius: 16,
+          padding: 30,
+          boxShadow: "0 10px 30px rgba(0,0,0,0.3)",
+          backdropFilter: "blur(12px)",
+          border: darkMode ? "1px solid #333" : "1px solid #e0e0e0"
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          style={{
+            float: "right",
+            background: "transparent",
+            border: "none",
+            fontSize: 28,
+            color: themeColor,
+            opacity: 0.7,
+            cursor: "pointer"
+          }}
+        >
+          &times;
+        </button>
+        <h2 style={{ marginBottom: 10, color: darkMode ? "#64b5f6" : "#1976d2" }}>
+          🗂️ File Categorization Rules
+        </h2>
+        <p style={{ marginTop: 0, fontSize: 14, opacity: 0.8 }}>
+          Rules are tried from top to bottom; the first match decides the category.
+          Files that match no rule are counted as "{OTHER_CATEGORY}".
+        </p>
+        <div style={{ marginBottom: 20, fontSize: 14 }}>
+          <label style={{ marginRight: 10, fontWeight: 500 }}>Apply to:</label>
+          <select value={scope} onChange={(e) => changeScope(e.target.value)} style={inputStyle}>
+            <option value="global">All repositories</option>
+            {repo && <option value="repo">Only {repo}</option>}
+          </select>
+          {scope === "repo" && settings.repos[repo] && (
+            <button onClick={useGlobalForRepo} style={{ ...buttonStyle, marginLeft: 10, padding: "5px 10px" }}>
+              Use global rules for this repo
+            </button>
+          )}
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", borderBottom: `1px solid ${borderColor}` }}>
+              <th style={{ padding: 6 }}>Category</th>
+              <th style={{ padding: 6 }}>Match by</th>
+              <th style={{ padding: 6 }}>Patterns</th>
+              <th style={{ padding: 6 }} />
+            </tr>
+          </thead>
+          <tbody>
+            {draft.map((rule, index) => (
+              <React.Fragment key={index}>
+                <tr>
+                  <td style={{ padding: 6 }}>
+                    <input
+                      value={rule.category}
+                      onChange={(e) => updateRule(index, { category: e.target.value })}
+                      placeholder="e.g. test"
+                      style={{ ...inputStyle, width: 120 }}
+                    />
+                  </td>
+                  <td style={{ padding: 6 }}>
+                    <select
+                      value={rule.match}
+                      onChange={(e) => updateRule(index, { match: e.target.value })}
+                      style={inputStyle}
+                    >
+                      {Object.entries(RULE_MATCH_KINDS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={{ padding: 6, width: "100%" }}>
+                    <input
+                      value={rule.pattern}
+                      onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                      placeholder={PATTERN_PLACEHOLDERS[rule.match]}
+                      style={{ ...inputStyle, width: "100%", boxSizing: "border-box", fontFamily: "monospace" }}
+                    />
+                  </td>
+                  <td style={{ padding: 6, whiteSpace: "nowrap" }}>
+                    <button onClick={() => moveRule(index, -1)} disabled={index === 0} style={{ ...buttonStyle, padding: "4px 8px" }} title="Move up">↑</button>{" "}
+                    <button onClick={() => moveRule(index, 1)} disabled={index === draft.length - 1} style={{ ...buttonStyle, padding: "4px 8px" }} title="Move down">↓</button>{" "}
+                    <button onClick={() => removeRule(index)} style={{ ...buttonStyle, padding: "4px 8px", color: "#e53935", borderColor: "#e57373" }} title="Remove">✕</button>
+                  </td>
+                </tr>
+                {errors[index] && (
+                  <tr>
+                    <td colSpan={4} style={{ padding: "0 6px 6px", color: "#e53935", fontSize: 12 }}>
+                      {errors[index]}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+        <div style={{ marginTop: 20, fontSize: 14 }}>
+          <label style={{ marginRight: 10, fontWeight: 500 }}>Try a path:</label>
+          <input
+            value={samplePath}
+            onChange={(e) => setSamplePath(e.target.value)}
+            placeholder="src/components/Button.test.js"
+            style={{ ...inputStyle, width: 320, fontFamily: "monospace" }}
+          />
+          {sampleCategory && (
+            <span style={{ marginLeft: 10 }}>
+              → <strong>{sampleCategory}</strong>
+            </span>
+          )}
+        </div>
+        <div style={{ display: "flex", gap: 10, marginTop: 20, flexWrap: "wrap" }}>
+          <button onClick={addRule} style={buttonStyle}>➕ Add Rule</button>
+          <button onClick={() => setDraft(DEFAULT_CATEGORY_RULES)} style={buttonStyle}>Restore Defaults</button>
+          <button
+            onClick={save}
+            disabled={hasErrors}
+            style={{
+              ...buttonStyle,
+              marginLeft: "auto",
+              background: darkMode ? "#3949ab" : "#1976d2",
+              color: "#fff",
+              border: "none",
+              cursor: hasErrors ? "not-allowed" : "pointer",
+              opacity: hasErrors ? 0.6 : 1
+            }}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryRulesModal;
@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from "react";
+import { downloadFile } from "../utils/tableExport";
+
+// Editable Markdown release notes with copy and download actions.
+// `generated` is the changelog built from the current date range.
+const ChangelogModal = ({ generated, repo, darkMode, onClose }) => {
+  const [markdown, setMarkdown] = useState(generated);
+  // "copied" or "failed" for a moment after clicking Copy
+  const [copyStatus, setCopyStatus] = useState(null);
+  const copyResetRef = useRef(null);
+  // Closing right after Copy must not reset the status of an unmounted modal
+  useEffect(() => () => clearTimeout(copyResetRef.current), []);
+
+  const themeBg = darkMode ? "rgba(30, 30, 40, 0.95)" : "rgba(255, 255, 255, 0.95)";
+  const themeColor = darkMode ? "#eee" : "#222";
+  const borderColor = darkMode ? "#444" : "#ddd";
+  const buttonStyle = {
+    padding: "8px 14px",
+    borderRadius: 8,
+    border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+    background: "transparent",
+    color: darkMode ? "#90caf9" : "#1976d2",
+    cursor: "pointer"
+  };
+
+  const copy = () => {
+    // navigator.clipboard is missing outright on plain-HTTP origins
+    const written = navigator.clipboard?.writeText
+      ? navigator.clipboard.writeText(markdown)
+      : Promise.reject(new Error("Clipboard API unavailable"));
+    written
+      .then(() => setCopyStatus("copied"))
+      .catch((err) => {
+        console.warn("Failed to copy changelog:", err);
+        setCopyStatus("failed");
+      })
+      .finally(() => {
+        clearTimeout(copyResetRef.current);
+        copyResetRef.current = setTimeout(() => setCopyStatus(null), 2000);
+      });
+  };
+  const download = () => {
+    downloadFile(markdown, `${repo.replace("/", "-")}-CHANGELOG.md`, "text/markdown");
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0,0,0,0.7)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 99999
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: themeBg,
+          color: themeColor,
+          maxWidth: 900,
+          width: "95%",
+          maxHeight: "85vh",
+          overflowY: "auto",
+          borderRadius: 16,
+          padding: 30,
+          boxShadow: "0 10px 30px rgba(0,0,0,0.3)",
+          backdropFilter: "blur(12px)",
+          border: darkMode ? "1px solid #333" : "1px solid #e0e0e0"
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          style={{
+            float: "right",
+            background: "transparent",
+            border: "none",
+            fontSize: 28,
+            color: themeColor,
+            opacity: 0.7,
+            cursor: "pointer"
+          }}
+        >
+          &times;
+        </button>
+        <h2 style={{ marginBottom: 10, color: darkMode ? "#64b5f6" : "#1976d2" }}>📝 Changelog</h2>
+        <p style={{ marginTop: 0, fontSize: 14, opacity: 0.8 }}>
+          Generated from the commits in the selected date range. Edit the Markdown before copying or
+          downloading it.
+        </p>
+        <textarea
+          value={markdown}
+          onChange={(e) => setMarkdown(e.target.value)}
+          spellCheck={false}
+          style={{
+            width: "100%",
+            minHeight: 400,
+            boxSizing: "border-box",
+            padding: 12,
+            borderRadius: 8,
+            border: `1px solid ${borderColor}`,
+            background: darkMode ? "rgba(50,50,60,0.5)" : "#fff",
+            color: themeColor,
+            fontFamily: "monospace",
+            fontSize: 13,
+            lineHeight: 1.5
+          }}
+        />
+        <div style={{ display: "flex", gap: 10, marginTop: 15, flexWrap: "wrap" }}>
+          <button onClick={copy} style={buttonStyle}>
+            {copyStatus === "copied" ? "✅ Copied" : copyStatus === "failed" ? "⚠️ Copy failed" : "📋 Copy"}
+          </button>
+          <button onClick={download} style={buttonStyle}>
+            ⬇️ Download .md
+          </button>
+          <button
+            onClick={() => setMarkdown(generated)}
+            disabled={markdown === generated}
+            style={{ ...buttonStyle, marginLeft: "auto", opacity: markdown === generated ? 0.5 : 1 }}
+            title="Discard edits and start from the generated notes again"
+          >
+            ↺ Reset edits
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChangelogModal;
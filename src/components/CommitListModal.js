@@ -0,0 +1,82 @@
+import React from "react";
+
+// Read-only list of commits, e.g. the ones behind a heatmap cell.
+const CommitListModal = ({ title, commits, displayName, darkMode, onClose }) => {
+  const themeBg = darkMode ? "rgba(30, 30, 40, 0.95)" : "rgba(255, 255, 255, 0.95)";
+  const themeColor = darkMode ? "#eee" : "#222";
+  const borderColor = darkMode ? "#444" : "#ddd";
+  const sorted = [...commits].sort(
+    (a, b) => new Date(b.commit.author.date) - new Date(a.commit.author.date)
+  );
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0,0,0,0.7)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 99999
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: themeBg,
+          color: themeColor,
+          maxWidth: 800,
+          width: "95%",
+          maxHeight: "80vh",
+          overflowY: "auto",
+          borderRadius: 16,
+          padding: 30,
+          boxShadow: "0 10px 30px rgba(0,0,0,0.3)",
+          backdropFilter: "blur(12px)",
+          border: darkMode ? "1px solid #333" : "1px solid #e0e0e0"
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          style={{
+            float: "right",
+            background: "transparent",
+            border: "none",
+            fontSize: 28,
+            color: themeColor,
+            opacity: 0.7,
+            cursor: "pointer"
+          }}
+        >
+          &times;
+        </button>
+        <h2 style={{ marginBottom: 15, color: darkMode ? "#64b5f6" : "#1976d2" }}>{title}</h2>
+        <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+          {sorted.map((c) => (
+            <li key={c.sha} style={{ padding: "10px 0", borderBottom: `1px solid ${borderColor}` }}>
+              <div style={{ fontSize: 12, opacity: 0.7, marginBottom: 4 }}>
+                {new Date(c.commit.author.date).toLocaleString("en-US")} ·{" "}
+                {displayName(c)} ·{" "}
+                <a
+                  href={c.html_url}
+                  target="_blank"
+                  rel="noreferrer"
+                  style={{ color: darkMode ? "#90caf9" : "#1976d2" }}
+                >
+                  {c.sha.substring(0, 7)}
+                </a>
+              </div>
+              <div style={{ fontSize: 14 }}>{c.commit.message.split("\n")[0]}</div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommitListModal;
@@ -0,0 +1,261 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_COMMIT_TYPES,
+  MATCH_KINDS,
+  OTHER_TYPE,
+  OTHER_TYPE_COLOR,
+  validateCommitType
+} from "../utils/commitTaxonomy";
+
+const PATTERN_PLACEHOLDERS = {
+  prefix: "feat, feature",
+  regex: "^(hotfix|urgent)\\b",
+  keywords: "security, CVE"
+};
+
+// Hex colour for the nth new type, spread around the hue circle.
+// Hex rather than hsl() so the <input type="color"> swatch shows it.
+function newTypeColor(index) {
+  const hue = (index * 47) % 360;
+  const saturation = 0.65;
+  const lightness = 0.5;
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const value = lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// Editor for the commit types used by the filters and charts,
+// either globally or as an override for the selected repository.
+const CommitTypeSettingsModal = ({ settings, repo, darkMode, onSave, onClose }) => {
+  const [scope, setScope] = useState(repo && settings.repos[repo] ? "repo" : "global");
+  const typesForScope = (target) =>
+    (target === "repo" && settings.repos[repo]) || settings.global || DEFAULT_COMMIT_TYPES;
+  const [draft, setDraft] = useState(() => typesForScope(scope));
+
+  const themeBg = darkMode ? "rgba(30, 30, 40, 0.95)" : "rgba(255, 255, 255, 0.95)";
+  const themeColor = darkMode ? "#eee" : "#222";
+  const borderColor = darkMode ? "#444" : "#ddd";
+  const inputStyle = {
+    padding: "6px 8px",
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: darkMode ? "rgba(50,50,60,0.5)" : "#fff",
+    color: themeColor,
+    fontSize: 14
+  };
+  const buttonStyle = {
+    padding: "8px 14px",
+    borderRadius: 8,
+    border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+    background: "transparent",
+    color: darkMode ? "#90caf9" : "#1976d2",
+    cursor: "pointer"
+  };
+
+  const errors = draft.map((type) => validateCommitType(type, draft));
+  const hasErrors = errors.some(Boolean);
+
+  const changeScope = (next) => {
+    setScope(next);
+    setDraft(typesForScope(next));
+  };
+  const updateType = (index, changes) => {
+    setDraft((prev) => prev.map((type, i) => (i === index ? { ...type, ...changes } : type)));
+  };
+  const moveType = (index, delta) => {
+    setDraft((prev) => {
+      const next = [...prev];
+      const [type] = next.splice(index, 1);
+      next.splice(index + delta, 0, type);
+      return next;
+    });
+  };
+  const addType = () => {
+    setDraft((prev) => [
+      ...prev,
+      { id: "", color: newTypeColor(prev.length), match: "prefix", pattern: "" }
+    ]);
+  };
+  const removeType = (index) => {
+    setDraft((prev) => prev.filter((_, i) => i !== index));
+  };
+  const save = () => {
+    const cleaned = draft.map((type) => ({ ...type, id: type.id.trim(), pattern: type.pattern.trim() }));
+    if (scope === "repo") {
+      onSave({ ...settings, repos: { ...settings.repos, [repo]: cleaned } });
+    } else {
+      onSave({ ...settings, global: cleaned });
+    }
+  };
+  // Drops the repo override so the repo follows the global list again
+  const useGlobalForRepo = () => {
+    const { [repo]: removed, ...repos } = settings.repos;
+    onSave({ ...settings, repos });
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0,0,0,0.7)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 99999
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: themeBg,
+          color: themeColor,
+          maxWidth: 900,
+          width: "95%",
+          maxHeight: "85vh",
+          overflowY: "auto",
+          borderRadius: 16,
+          padding: 30,
+          boxShadow: "0 10px 30px rgba(0,0,0,0.3)",
+          backdropFilter: "blur(12px)",
+          border: darkMode ? "1px solid #333" : "1px solid #e0e0e0"
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          style={{
+            float: "right",
+            background: "transparent",
+            border: "none",
+            fontSize: 28,
+            color: themeColor,
+            opacity: 0.7,
+            cursor: "pointer"
+          }}
+        >
+          &times;
+        </button>
+        <h2 style={{ marginBottom: 10, color: darkMode ? "#64b5f6" : "#1976d2" }}>
+          🏷️ Commit Types
+        </h2>
+        <p style={{ marginTop: 0, fontSize: 14, opacity: 0.8 }}>
+          Types are tried from top to bottom; the first match wins. Commits that match
+          nothing are counted as "{OTHER_TYPE}".
+        </p>
+        <div style={{ marginBottom: 20, fontSize: 14 }}>
+          <label style={{ marginRight: 10, fontWeight: 500 }}>Apply to:</label>
+          <select value={scope} onChange={(e) => changeScope(e.target.value)} style={inputStyle}>
+            <option value="global">All repositories</option>
+            {repo && <option value="repo">Only {repo}</option>}
+          </select>
+          {scope === "repo" && settings.repos[repo] && (
+            <button onClick={useGlobalForRepo} style={{ ...buttonStyle, marginLeft: 10, padding: "5px 10px" }}>
+              Use global types for this repo
+            </button>
+          )}
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", borderBottom: `1px solid ${borderColor}` }}>
+              <th style={{ padding: 6 }}>Type</th>
+              <th style={{ padding: 6 }}>Color</th>
+              <th style={{ padding: 6 }}>Match by</th>
+              <th style={{ padding: 6 }}>Pattern</th>
+              <th style={{ padding: 6 }} />
+            </tr>
+          </thead>
+          <tbody>
+            {draft.map((type, index) => (
+              <React.Fragment key={index}>
+                <tr>
+                  <td style={{ padding: 6 }}>
+                    <input
+                      value={type.id}
+                      onChange={(e) => updateType(index, { id: e.target.value })}
+                      placeholder="e.g. security"
+                      style={{ ...inputStyle, width: 110 }}
+                    />
+                  </td>
+                  <td style={{ padding: 6 }}>
+                    <input
+                      type="color"
+                      value={type.color.startsWith("#") ? type.color : "#888888"}
+                      onChange={(e) => updateType(index, { color: e.target.value })}
+                      style={{ width: 40, height: 30, border: "none", background: "transparent" }}
+                    />
+                  </td>
+                  <td style={{ padding: 6 }}>
+                    <select
+                      value={type.match}
+                      onChange={(e) => updateType(index, { match: e.target.value })}
+                      style={inputStyle}
+                    >
+                      {Object.entries(MATCH_KINDS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={{ padding: 6, width: "100%" }}>
+                    <input
+                      value={type.pattern}
+                      onChange={(e) => updateType(index, { pattern: e.target.value })}
+                      placeholder={PATTERN_PLACEHOLDERS[type.match]}
+                      style={{ ...inputStyle, width: "100%", boxSizing: "border-box", fontFamily: type.match === "regex" ? "monospace" : "inherit" }}
+                    />
+                  </td>
+                  <td style={{ padding: 6, whiteSpace: "nowrap" }}>
+                    <button onClick={() => moveType(index, -1)} disabled={index === 0} style={{ ...buttonStyle, padding: "4px 8px" }} title="Move up">↑</button>{" "}
+                    <button onClick={() => moveType(index, 1)} disabled={index === draft.length - 1} style={{ ...buttonStyle, padding: "4px 8px" }} title="Move down">↓</button>{" "}
+                    <button onClick={() => removeType(index)} style={{ ...buttonStyle, padding: "4px 8px", color: "#e53935", borderColor: "#e57373" }} title="Remove">✕</button>
+                  </td>
+                </tr>
+                {errors[index] && (
+                  <tr>
+                    <td colSpan={5} style={{ padding: "0 6px 6px", color: "#e53935", fontSize: 12 }}>
+                      {errors[index]}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+            <tr>
+              <td style={{ padding: 6, opacity: 0.7 }}>{OTHER_TYPE}</td>
+              <td style={{ padding: 6 }}>
+                <span style={{ display: "inline-block", width: 30, height: 20, borderRadius: 4, background: OTHER_TYPE_COLOR }} />
+              </td>
+              <td colSpan={3} style={{ padding: 6, opacity: 0.7 }}>Everything else</td>
+            </tr>
+          </tbody>
+        </table>
+        <div style={{ display: "flex", gap: 10, marginTop: 20, flexWrap: "wrap" }}>
+          <button onClick={addType} style={buttonStyle}>➕ Add Type</button>
+          <button onClick={() => setDraft(DEFAULT_COMMIT_TYPES)} style={buttonStyle}>Restore Defaults</button>
+          <button
+            onClick={save}
+            disabled={hasErrors}
+            style={{
+              ...buttonStyle,
+              marginLeft: "auto",
+              background: darkMode ? "#3949ab" : "#1976d2",
+              color: "#fff",
+              border: "none",
+              cursor: hasErrors ? "not-allowed" : "pointer",
+              opacity: hasErrors ? 0.6 : 1
+            }}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommitTypeSettingsModal;
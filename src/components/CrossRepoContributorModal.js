@@ -0,0 +1,276 @@
+import React, { useEffect, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+  ResponsiveContainer
+} from "recharts";
+import { parseISO, startOfWeek, format } from "date-fns";
+import { RateLimitError, BadTokenError, describeGitHubError } from "../api/githubClient";
+import ExportMenu from "./ExportMenu";
+
+const REPO_BREAKDOWN_COLUMNS = [
+  { key: "repo", label: "Repository" },
+  { key: "commits", label: "Commits" },
+  { key: "filesChanged", label: "Files Changed" },
+  { key: "topCategory", label: "Top Category" },
+  { key: "lastCommit", label: "Last Commit" }
+];
+
+// Aggregates one contributor's commits over every tracked repository.
+// Repositories are loaded one after another so results show up as they arrive;
+// rate limit and token errors stop the remaining loads.
+const CrossRepoContributorModal = ({
+  login,
+  repos,
+  darkMode,
+  loadRepoCommits,
+  filterCommits,
+  getFileCategorizer,
+  onClose
+}) => {
+  const [results, setResults] = useState({});
+  const [loadingRepo, setLoadingRepo] = useState(null);
+  const [fatalError, setFatalError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadAll = async () => {
+      for (const repo of repos) {
+        if (cancelled) return;
+        setLoadingRepo(repo);
+        try {
+          const commits = await loadRepoCommits(repo, login);
+          if (!cancelled) setResults((prev) => ({ ...prev, [repo]: { commits } }));
+        } catch (err) {
+          if (cancelled) return;
+          if (err instanceof RateLimitError || err instanceof BadTokenError) {
+            setFatalError(describeGitHubError(err));
+            break;
+          }
+          setResults((prev) => ({
+            ...prev,
+            [repo]: { error: describeGitHubError(err, "Failed to load commits") }
+          }));
+        }
+      }
+      if (!cancelled) setLoadingRepo(null);
+    };
+    loadAll();
+    return () => {
+      cancelled = true;
+    };
+  }, [login, repos, loadRepoCommits]);
+
+  const themeBg = darkMode ? "rgba(30, 30, 40, 0.95)" : "rgba(255, 255, 255, 0.95)";
+  const themeColor = darkMode ? "#eee" : "#222";
+  const borderColor = darkMode ? "#444" : "#ddd";
+  const accent = darkMode ? "#90caf9" : "#1976d2";
+
+  // Per-repo rows, combined category counts and weekly activity (one series per repo)
+  const repoRows = [];
+  const categoryTotals = {};
+  const weeks = {};
+  const activeRepos = [];
+  repos.forEach((repo) => {
+    const result = results[repo];
+    if (!result || result.error) return;
+    const commits = filterCommits(result.commits);
+    const categorize = getFileCategorizer(repo);
+    const repoCategories = {};
+    let filesChanged = 0;
+    commits.forEach((c) => {
+      const week = format(startOfWeek(parseISO(c.commit.author.date), { weekStartsOn: 1 }), "yyyy-MM-dd");
+      weeks[week] = weeks[week] || { week };
+      weeks[week][repo] = (weeks[week][repo] || 0) + 1;
+      (c.files || []).forEach((file) => {
+        const category = categorize(file.filename);
+        repoCategories[category] = (repoCategories[category] || 0) + 1;
+        categoryTotals[category] = (categoryTotals[category] || 0) + 1;
+        filesChanged += 1;
+      });
+    });
+    if (commits.length === 0) return;
+    activeRepos.push(repo);
+    const topCategory = Object.entries(repoCategories).sort((a, b) => b[1] - a[1])[0];
+    repoRows.push({
+      repo,
+      commits: commits.length,
+      filesChanged,
+      topCategory: topCategory ? topCategory[0] : "-",
+      lastCommit: commits
+        .map((c) => c.commit.author.date)
+        .sort()
+        .pop()
+        .slice(0, 10)
+    });
+  });
+  repoRows.sort((a, b) => b.commits - a.commits);
+  const weeklyData = Object.values(weeks)
+    .sort((a, b) => new Date(a.week) - new Date(b.week))
+    .map((entry) => {
+      activeRepos.forEach((repo) => {
+        entry[repo] = entry[repo] || 0;
+      });
+      return entry;
+    });
+  const totalCommits = repoRows.reduce((sum, row) => sum + row.commits, 0);
+  const failedRepos = repos.filter((repo) => results[repo]?.error);
+  const loadedCount = Object.keys(results).length;
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0,0,0,0.7)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 99999
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: themeBg,
+          color: themeColor,
+          maxWidth: 1000,
+          width: "95%",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          borderRadius: 16,
+          padding: 30,
+          boxShadow: "0 10px 30px rgba(0,0,0,0.3)",
+          backdropFilter: "blur(12px)",
+          border: darkMode ? "1px solid #333" : "1px solid #e0e0e0"
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          style={{
+            float: "right",
+            background: "transparent",
+            border: "none",
+            fontSize: 28,
+            color: themeColor,
+            opacity: 0.7,
+            cursor: "pointer"
+          }}
+        >
+          &times;
+        </button>
+        <h2 style={{ marginBottom: 5, color: darkMode ? "#64b5f6" : "#1976d2" }}>
+          🌐 {login} across repositories
+        </h2>
+        <p style={{ marginTop: 0, fontSize: 14, opacity: 0.8 }}>
+          {loadingRepo
+            ? `Loading ${loadingRepo}... (${loadedCount}/${repos.length}) ⏳`
+            : `${totalCommits} commits in ${repoRows.length} of ${repos.length} tracked repositories. Current date and commit type filters apply.`}
+        </p>
+        {fatalError && <p style={{ color: "#e53935" }}>⚠️ {fatalError}</p>}
+        {failedRepos.length > 0 && (
+          <p style={{ color: "#e53935", fontSize: 14 }}>
+            ⚠️ Not loaded: {failedRepos.map((repo) => `${repo} (${results[repo].error})`).join(", ")}
+          </p>
+        )}
+
+        <h3 style={{ display: "flex", alignItems: "center", gap: 10, color: accent }}>
+          Per-Repository Breakdown
+          <span style={{ marginLeft: "auto", fontSize: 14 }}>
+            <ExportMenu
+              rows={repoRows}
+              columns={REPO_BREAKDOWN_COLUMNS}
+              filename={`${login}-repositories`}
+              darkMode={darkMode}
+            />
+          </span>
+        </h3>
+        {repoRows.length === 0 ? (
+          <p>{loadingRepo ? "Waiting for data..." : "No matching commits in any tracked repository."}</p>
+        ) : (
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <thead>
+              <tr style={{ textAlign: "left", borderBottom: `1px solid ${borderColor}` }}>
+                {REPO_BREAKDOWN_COLUMNS.map((col) => (
+                  <th key={col.key} style={{ padding: 8 }}>{col.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {repoRows.map((row) => (
+                <tr key={row.repo} style={{ borderBottom: `1px solid ${borderColor}` }}>
+                  <td style={{ padding: 8, fontWeight: 500 }}>{row.repo}</td>
+                  <td style={{ padding: 8 }}>{row.commits}</td>
+                  <td style={{ padding: 8 }}>{row.filesChanged}</td>
+                  <td style={{ padding: 8 }}>{row.topCategory}</td>
+                  <td style={{ padding: 8 }}>{row.lastCommit}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {Object.keys(categoryTotals).length > 0 && (
+          <>
+            <h3 style={{ marginTop: 25, color: accent }}>Categories (all repositories)</h3>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 10 }}>
+              {Object.entries(categoryTotals)
+                .sort((a, b) => b[1] - a[1])
+                .map(([category, count]) => (
+                  <span
+                    key={category}
+                    style={{
+                      padding: "6px 12px",
+                      borderRadius: 16,
+                      border: `1px solid ${borderColor}`,
+                      fontSize: 14
+                    }}
+                  >
+                    {category}: <strong>{count}</strong>
+                  </span>
+                ))}
+            </div>
+          </>
+        )}
+
+        {weeklyData.length > 0 && (
+          <>
+            <h3 style={{ marginTop: 25, color: accent }}>Combined Weekly Activity</h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={weeklyData}>
+                <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#444" : "#ccc"} />
+                <XAxis dataKey="week" stroke={themeColor} tick={{ fontSize: 12 }} />
+                <YAxis allowDecimals={false} stroke={themeColor} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: darkMode ? "#333" : "#fff",
+                    borderColor: borderColor
+                  }}
+                />
+                <Legend />
+                {activeRepos.map((repo, idx) => (
+                  <Bar
+                    key={repo}
+                    dataKey={repo}
+                    stackId="repos"
+                    fill={`hsl(${(idx * 47) % 360}, 65%, 50%)`}
+                  />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CrossRepoContributorModal;
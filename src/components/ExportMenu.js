@@ -0,0 +1,37 @@
+import React from "react";
+import { EXPORT_FORMATS, downloadTable } from "../utils/tableExport";
+
+// Small CSV / JSON / Markdown button group for a panel's data table.
+const ExportMenu = ({ rows, columns, filename, darkMode }) => {
+  const disabled = !rows || rows.length === 0;
+
+  const buttonStyle = {
+    padding: "4px 10px",
+    fontSize: 12,
+    background: "transparent",
+    color: darkMode ? "#90caf9" : "#1976d2",
+    border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+    borderRadius: 6,
+    cursor: disabled ? "not-allowed" : "pointer",
+    opacity: disabled ? 0.5 : 1,
+  };
+
+  return (
+    <span style={{ display: "inline-flex", gap: 6, alignItems: "center", fontWeight: 400 }}>
+      <span style={{ fontSize: 12, color: darkMode ? "#aaa" : "#666" }}>Export:</span>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          disabled={disabled}
+          onClick={() => downloadTable(format, rows, columns, filename)}
+          style={buttonStyle}
+          title={`Download as ${label}`}
+        >
+          {label === "Markdown" ? "MD" : label}
+        </button>
+      ))}
+    </span>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import ExportMenu from "./ExportMenu";
+import { HOTSPOT_RANKINGS, summarizeFileHotspots, rankHotspots } from "../utils/hotspots";
+
+const TOP_COUNT = 20;
+
+const EXPORT_COLUMNS = [
+  { key: "filename", label: "File" },
+  { key: "category", label: "Category" },
+  { key: "changes", label: "Changes" },
+  { key: "authors", label: "Authors" },
+  { key: "additions", label: "Lines Added" },
+  { key: "deletions", label: "Lines Deleted" },
+  { key: "churn", label: "Lines Churned" },
+  { key: (row) => row.lastTouched.substring(0, 10), label: "Last Touched" }
+];
+
+// Ranked list of the most changed files in the date range, where
+// DateRangeSummary stops at top-level directories.
+const FileHotspots = ({ commits, repo, categorizeFile, personKey, darkMode, theme }) => {
+  const [rankBy, setRankBy] = useState("changes");
+  const [category, setCategory] = useState("all");
+  const [showAll, setShowAll] = useState(false);
+
+  const rows = summarizeFileHotspots(commits, { personKey }).map((row) => ({
+    ...row,
+    category: categorizeFile(row.filename)
+  }));
+  // Keep the chosen category listed even when the new range has none of it
+  const categories = [
+    ...new Set([...rows.map((row) => row.category), ...(category === "all" ? [] : [category])])
+  ].sort();
+  const ranked = rankHotspots(
+    rows.filter((row) => category === "all" || row.category === category),
+    rankBy
+  );
+  const visibleRows = showAll ? ranked : ranked.slice(0, TOP_COUNT);
+  const topValue = ranked[0]?.[rankBy] || 1;
+
+  const bgColor = darkMode ? "rgba(30, 30, 40, 0.5)" : "rgba(245, 245, 250, 0.8)";
+  const borderColor = darkMode ? "#444" : "#ddd";
+  const accent = darkMode ? "#90caf9" : "#1976d2";
+  const muted = darkMode ? "#aaa" : "#666";
+  const cellStyle = { padding: 6, textAlign: "right", whiteSpace: "nowrap" };
+  const selectStyle = {
+    padding: "4px 8px",
+    borderRadius: 6,
+    border: `1px solid ${theme.borderColor}`,
+    background: theme.inputBg,
+    color: theme.color,
+    fontSize: 13,
+    fontWeight: 400
+  };
+
+  if (rows.length === 0) return null;
+
+  return (
+    <div
+      style={{
+        background: bgColor,
+        padding: 15,
+        borderRadius: 12,
+        border: `1px solid ${borderColor}`,
+        marginBottom: 20
+      }}
+    >
+      <h4
+        style={{
+          margin: "0 0 15px 0",
+          color: darkMode ? "#ddd" : "#444",
+          display: "flex",
+          alignItems: "center",
+          flexWrap: "wrap",
+          gap: 10
+        }}
+      >
+        📄 File Hotspots
+        <label style={{ fontSize: 13, fontWeight: 400 }}>
+          Rank by:{" "}
+          <select value={rankBy} onChange={(e) => setRankBy(e.target.value)} style={selectStyle}>
+            {Object.entries(HOTSPOT_RANKINGS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ fontSize: 13, fontWeight: 400 }}>
+          Category:{" "}
+          <select value={category} onChange={(e) => setCategory(e.target.value)} style={selectStyle}>
+            <option value="all">All</option>
+            {categories.map((name) => (
+              <option key={name} value={name}>{name.charAt(0).toUpperCase() + name.slice(1)}</option>
+            ))}
+          </select>
+        </label>
+        <span style={{ marginLeft: "auto" }}>
+          <ExportMenu
+            rows={ranked}
+            columns={EXPORT_COLUMNS}
+            filename={`${repo || "repo"}-file-hotspots`}
+            darkMode={darkMode}
+          />
+        </span>
+      </h4>
+      {ranked.length === 0 ? (
+        <p style={{ fontSize: 13, color: muted, margin: 0 }}>No files in this category were changed.</p>
+      ) : (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ borderBottom: `1px solid ${borderColor}`, color: accent }}>
+                <th style={cellStyle}>#</th>
+                <th style={{ ...cellStyle, textAlign: "left" }}>File</th>
+                <th style={{ ...cellStyle, textAlign: "left" }}>Category</th>
+                <th style={cellStyle}>Changes</th>
+                <th style={cellStyle}>Authors</th>
+                <th style={cellStyle}>Lines Churned</th>
+                <th style={cellStyle}>Last Touched</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map((row, index) => (
+                <tr key={row.filename} style={{ borderBottom: `1px solid ${borderColor}` }}>
+                  <td style={{ ...cellStyle, color: muted }}>{index + 1}</td>
+                  <td style={{ ...cellStyle, textAlign: "left", whiteSpace: "normal", wordBreak: "break-all" }}>
+                    <div style={{ fontFamily: "monospace" }}>
+                      {row.filename}
+                      {row.deleted && <span style={{ color: muted }}> (deleted)</span>}
+                    </div>
+                    {/* Bar relative to the top file on the ranking metric */}
+                    <div
+                      style={{
+                        height: 3,
+                        marginTop: 3,
+                        width: `${(row[rankBy] / topValue) * 100}%`,
+                        background: darkMode ? "#ef6c00" : "#fb8c00",
+                        borderRadius: 2
+                      }}
+                    />
+                  </td>
+                  <td style={{ ...cellStyle, textAlign: "left", color: muted }}>{row.category}</td>
+                  <td style={cellStyle}>{row.changes}</td>
+                  <td style={cellStyle}>{row.authors}</td>
+                  <td style={cellStyle}>
+                    {row.churn.toLocaleString("en-US")}{" "}
+                    <span style={{ color: muted, fontSize: 11 }}>
+                      (<span style={{ color: "#43a047" }}>+{row.additions.toLocaleString("en-US")}</span>{" "}
+                      <span style={{ color: "#e53935" }}>−{row.deletions.toLocaleString("en-US")}</span>)
+                    </span>
+                  </td>
+                  <td style={cellStyle}>{new Date(row.lastTouched).toLocaleDateString("en-US")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {ranked.length > TOP_COUNT && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          style={{
+            marginTop: 10,
+            padding: "4px 10px",
+            fontSize: 12,
+            background: "transparent",
+            color: accent,
+            border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+            borderRadius: 6,
+            cursor: "pointer"
+          }}
+        >
+          {showAll ? `Show top ${TOP_COUNT}` : `Show all ${ranked.length} files`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FileHotspots;
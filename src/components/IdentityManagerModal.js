@@ -0,0 +1,272 @@
+import React, { useState } from "react";
+import {
+  aliasOfKey,
+  parseAlias,
+  createIdentityResolver,
+  suggestIdentityMerges,
+  mergeIdentities,
+  splitAlias,
+  renameIdentity,
+  removeIdentity
+} from "../utils/identities";
+
+const ALIAS_ICONS = { login: "👤", email: "✉️", name: "🏷️" };
+
+// Merge / split editor for contributor identities.
+// `sources` are the contributors known in this repo: { key, aliases, contributions }.
+const IdentityManagerModal = ({ identities, sources, darkMode, onSave, onClose }) => {
+  const [draft, setDraft] = useState(identities);
+  const [checkedKeys, setCheckedKeys] = useState([]);
+  const [mergeName, setMergeName] = useState("");
+
+  const themeBg = darkMode ? "rgba(30, 30, 40, 0.95)" : "rgba(255, 255, 255, 0.95)";
+  const themeColor = darkMode ? "#eee" : "#222";
+  const borderColor = darkMode ? "#444" : "#ddd";
+  const accent = darkMode ? "#90caf9" : "#1976d2";
+  const inputStyle = {
+    padding: "6px 8px",
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: darkMode ? "rgba(50,50,60,0.5)" : "#fff",
+    color: themeColor,
+    fontSize: 14
+  };
+  const buttonStyle = {
+    padding: "6px 12px",
+    borderRadius: 8,
+    border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+    background: "transparent",
+    color: accent,
+    cursor: "pointer"
+  };
+  const chipStyle = {
+    display: "inline-flex",
+    alignItems: "center",
+    gap: 4,
+    padding: "3px 8px",
+    margin: "2px 4px 2px 0",
+    borderRadius: 12,
+    border: `1px solid ${borderColor}`,
+    fontSize: 13
+  };
+
+  const resolver = createIdentityResolver(draft);
+  const suggestions = suggestIdentityMerges(sources, draft);
+  // One checkbox per person/contributor as currently merged
+  const candidates = [];
+  sources.forEach((source) => {
+    const key = resolver.primaryKey(source.key);
+    const existing = candidates.find((c) => c.key === key);
+    if (existing) existing.contributions += source.contributions || 0;
+    else candidates.push({ key, label: resolver.displayName(key), contributions: source.contributions || 0 });
+  });
+  candidates.sort((a, b) => b.contributions - a.contributions);
+
+  const aliasesForKeys = (keys) =>
+    keys.flatMap((key) => resolver.personOf(key)?.aliases || [aliasOfKey(key)]);
+  const mergeKeys = (keys, name) => {
+    setDraft((prev) => mergeIdentities(prev, aliasesForKeys(keys), name));
+  };
+  const mergeChecked = () => {
+    mergeKeys(checkedKeys, mergeName.trim());
+    setCheckedKeys([]);
+    setMergeName("");
+  };
+  const toggleChecked = (key) => {
+    setCheckedKeys((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+  // Name aliases are kept too: they attribute commits made with unknown emails
+  const mergeSuggestion = (suggestion) => {
+    const names = suggestion.aliases.filter((alias) => parseAlias(alias).type === "name");
+    const name = names.length > 0 ? parseAlias(names[0]).value : undefined;
+    setDraft((prev) => mergeIdentities(prev, [...aliasesForKeys(suggestion.keys), ...names], name));
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0,0,0,0.7)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 99999
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: themeBg,
+          color: themeColor,
+          maxWidth: 900,
+          width: "95%",
+          maxHeight: "85vh",
+          overflowY: "auto",
+          borderRadius: 16,
+          padding: 30,
+          boxShadow: "0 10px 30px rgba(0,0,0,0.3)",
+          backdropFilter: "blur(12px)",
+          border: darkMode ? "1px solid #333" : "1px solid #e0e0e0"
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          style={{
+            float: "right",
+            background: "transparent",
+            border: "none",
+            fontSize: 28,
+            color: themeColor,
+            opacity: 0.7,
+            cursor: "pointer"
+          }}
+        >
+          &times;
+        </button>
+        <h2 style={{ marginBottom: 10, color: darkMode ? "#64b5f6" : "#1976d2" }}>
+          🧑‍🤝‍🧑 Contributor Identities
+        </h2>
+        <p style={{ marginTop: 0, fontSize: 14, opacity: 0.8 }}>
+          Merged logins, commit emails and author names are reported as one person in the
+          contributors table, commit lists and charts of every repository.
+        </p>
+
+        <h3 style={{ color: accent }}>Suggested Merges</h3>
+        {suggestions.length === 0 ? (
+          <p style={{ fontSize: 14, opacity: 0.8 }}>
+            No suggestions. Select contributors to load their commits; emails and names seen in
+            those commits are compared.
+          </p>
+        ) : (
+          suggestions.map((suggestion) => (
+            <div
+              key={suggestion.keys.join("|")}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 10,
+                padding: 10,
+                marginBottom: 8,
+                border: `1px solid ${borderColor}`,
+                borderRadius: 8
+              }}
+            >
+              <div style={{ flex: 1 }}>
+                <strong>{suggestion.keys.map(resolver.displayName).join(" + ")}</strong>
+                <span style={{ fontSize: 12, opacity: 0.7 }}> ({suggestion.reason})</span>
+              </div>
+              <button onClick={() => mergeSuggestion(suggestion)} style={buttonStyle}>
+                Merge
+              </button>
+            </div>
+          ))
+        )}
+
+        <h3 style={{ color: accent, marginTop: 25 }}>Merge Manually</h3>
+        <div
+          style={{
+            maxHeight: 200,
+            overflowY: "auto",
+            border: `1px solid ${borderColor}`,
+            borderRadius: 8,
+            padding: 10
+          }}
+        >
+          {candidates.map((candidate) => (
+            <label key={candidate.key} style={{ display: "flex", alignItems: "center", gap: 8, padding: "3px 0", cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={checkedKeys.includes(candidate.key)}
+                onChange={() => toggleChecked(candidate.key)}
+                style={{ accentColor: darkMode ? "#3949ab" : "#1976d2" }}
+              />
+              {candidate.label}
+              {candidate.label !== candidate.key && (
+                <span style={{ fontSize: 12, opacity: 0.7 }}>({candidate.key})</span>
+              )}
+              <span style={{ marginLeft: "auto", fontSize: 12, opacity: 0.7 }}>
+                {candidate.contributions} commits
+              </span>
+            </label>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: 10, marginTop: 10 }}>
+          <input
+            value={mergeName}
+            onChange={(e) => setMergeName(e.target.value)}
+            placeholder="Display name (optional)"
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button
+            onClick={mergeChecked}
+            disabled={checkedKeys.length < 2}
+            style={{ ...buttonStyle, opacity: checkedKeys.length < 2 ? 0.5 : 1 }}
+          >
+            Merge {checkedKeys.length > 1 ? checkedKeys.length : ""} Selected
+          </button>
+        </div>
+
+        <h3 style={{ color: accent, marginTop: 25 }}>People</h3>
+        {draft.length === 0 ? (
+          <p style={{ fontSize: 14, opacity: 0.8 }}>No merged identities yet.</p>
+        ) : (
+          draft.map((person) => (
+            <div
+              key={person.id}
+              style={{ padding: 10, marginBottom: 8, border: `1px solid ${borderColor}`, borderRadius: 8 }}
+            >
+              <div style={{ display: "flex", gap: 10, marginBottom: 6 }}>
+                <input
+                  value={person.name}
+                  onChange={(e) => setDraft((prev) => renameIdentity(prev, person.id, e.target.value))}
+                  style={{ ...inputStyle, flex: 1 }}
+                />
+                <button
+                  onClick={() => setDraft((prev) => removeIdentity(prev, person.id))}
+                  style={{ ...buttonStyle, color: "#e53935", borderColor: "#e57373" }}
+                >
+                  Split All
+                </button>
+              </div>
+              {person.aliases.map((alias) => {
+                const { type, value } = parseAlias(alias);
+                return (
+                  <span key={alias} style={chipStyle}>
+                    {ALIAS_ICONS[type]} {value}
+                    <button
+                      onClick={() => setDraft((prev) => splitAlias(prev, person.id, alias))}
+                      style={{ background: "transparent", border: "none", color: "#e53935", cursor: "pointer", padding: 0 }}
+                      title="Split this alias off"
+                    >
+                      ✕
+                    </button>
+                  </span>
+                );
+              })}
+            </div>
+          ))
+        )}
+
+        <div style={{ display: "flex", gap: 10, marginTop: 20 }}>
+          <button onClick={onClose} style={{ ...buttonStyle, marginLeft: "auto" }}>Cancel</button>
+          <button
+            onClick={() =>
+              onSave(draft.map((person) =>
+                person.name.trim() ? person : { ...person, name: parseAlias(person.aliases[0]).value }
+              ))
+            }
+            style={{ ...buttonStyle, background: darkMode ? "#3949ab" : "#1976d2", color: "#fff", border: "none" }}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IdentityManagerModal;
@@ -0,0 +1,210 @@
+import React from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+  ResponsiveContainer
+} from "recharts";
+import ExportMenu from "./ExportMenu";
+import { summarizeIssues } from "../utils/issueMetrics";
+import { formatHours } from "../utils/prMetrics";
+
+const WEEKLY_COLUMNS = [
+  { key: "week", label: "Week" },
+  { key: "opened", label: "Opened" },
+  { key: "closed", label: "Closed" }
+];
+
+const TOP_PEOPLE = 10;
+
+// Issue tracker analytics for the selected repo and date range.
+// `isBot` is only passed while bots are excluded; `truncated` means older
+// issues in the range were not loaded.
+const IssuesPanel = ({
+  repo,
+  issues,
+  truncated,
+  isLoading,
+  error,
+  inRange,
+  isBot,
+  personKey,
+  displayName,
+  darkMode,
+  theme
+}) => {
+  const summary = summarizeIssues(issues, { inRange, isBot, personKey });
+  const accent = darkMode ? "#90caf9" : "#1976d2";
+  const muted = darkMode ? "#aaa" : "#777";
+  const tileStyle = {
+    flex: "1 0 130px",
+    padding: 15,
+    borderRadius: 12,
+    border: `1px solid ${theme.borderColor}`,
+    background: darkMode ? "rgba(100, 181, 246, 0.05)" : "rgba(122, 208, 255, 0.05)"
+  };
+  // First responses come from comments, which the REST fallback doesn't load
+  const formatResponse = (hours) => (summary.hasDetails ? formatHours(hours) : "n/a");
+  const tiles = [
+    ["Opened", summary.opened],
+    ["Closed", summary.closed],
+    ["Opened, still open", summary.stillOpen],
+    ["Median first response", formatResponse(summary.timeToFirstResponse.p50)],
+    ["Median time to close", formatHours(summary.timeToClose.p50)]
+  ];
+
+  const renderPeople = (title, people, needsDetails) => (
+    <div style={{ flex: 1, minWidth: 200 }}>
+      <h4 style={{ marginBottom: 10 }}>{title}</h4>
+      {needsDetails && !summary.hasDetails ? (
+        <p style={{ fontSize: 13, color: muted }}>Needs a token.</p>
+      ) : people.length === 0 ? (
+        <p style={{ fontSize: 13, color: muted }}>None in this range.</p>
+      ) : (
+        <ol style={{ margin: 0, paddingLeft: 20, fontSize: 14 }}>
+          {people.slice(0, TOP_PEOPLE).map(({ key, count }) => (
+            <li key={key} style={{ marginBottom: 4 }}>
+              {displayName(key)} <span style={{ color: muted }}>({count})</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+
+  return (
+    <div
+      id="issues"
+      style={{
+        background: theme.cardBg,
+        padding: 25,
+        borderRadius: 16,
+        marginBottom: 30,
+        boxShadow: theme.cardShadow,
+        border: `1px solid ${theme.borderColor}`
+      }}
+    >
+      <h3
+        style={{
+          marginBottom: 20,
+          display: "flex",
+          alignItems: "center",
+          gap: 10,
+          color: darkMode ? "#64b5f6" : "#1976d2"
+        }}
+      >
+        🐞 Issues
+        <span style={{ marginLeft: "auto", fontSize: 14 }}>
+          <ExportMenu
+            rows={summary.weekly}
+            columns={WEEKLY_COLUMNS}
+            filename={`${repo}-issues-weekly`}
+            darkMode={darkMode}
+          />
+        </span>
+      </h3>
+      {isLoading ? (
+        <div>Loading issues... ⏳</div>
+      ) : error ? (
+        <div style={{ color: "#e53935" }}>⚠️ {error}</div>
+      ) : (
+        <>
+          {!summary.hasDetails && (
+            <p style={{ fontSize: 13, color: muted, marginTop: 0 }}>
+              ℹ️ Time to first response and top closers are unavailable without a GitHub token (REACT_APP_GITHUB_TOKEN),
+              which the GraphQL API needs.
+            </p>
+          )}
+          {truncated && (
+            <p style={{ fontSize: 12, color: muted, marginTop: 0 }}>
+              Only the most recently updated issues were loaded, so older activity in the date range is not counted.
+              Narrow the date range for complete figures.
+            </p>
+          )}
+          {summary.unknownResponses > 0 && (
+            <p style={{ fontSize: 12, color: muted, marginTop: 0 }}>
+              {summary.unknownResponses} {summary.unknownResponses === 1 ? "issue has" : "issues have"} more comments
+              than were loaded and no response among them; {summary.unknownResponses === 1 ? "it is" : "they are"} left
+              out of the first response times.
+            </p>
+          )}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 15, marginBottom: 25 }}>
+            {tiles.map(([label, value]) => (
+              <div key={label} style={tileStyle}>
+                <div style={{ fontSize: 12, color: accent }}>{label}</div>
+                <div style={{ fontSize: 26, fontWeight: 700 }}>{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <h4 style={{ marginBottom: 10 }}>📅 Opened vs Closed per Week</h4>
+          {summary.weekly.length === 0 ? (
+            <p>No issues were opened or closed in this range.</p>
+          ) : (
+            <div style={{ height: 260, marginBottom: 25 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={summary.weekly}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#444" : "#eee"} />
+                  <XAxis dataKey="week" stroke={theme.color} />
+                  <YAxis allowDecimals={false} stroke={theme.color} />
+                  <Tooltip
+                    contentStyle={{
+                      background: darkMode ? "#333" : "#fff",
+                      border: `1px solid ${theme.borderColor}`,
+                      borderRadius: 10
+                    }}
+                    itemStyle={{ color: theme.color }}
+                  />
+                  <Legend />
+                  <Bar dataKey="opened" name="Opened" fill="#ef6c00" radius={[5, 5, 0, 0]} />
+                  <Bar dataKey="closed" name="Closed" fill="#43a047" radius={[5, 5, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          <div style={{ fontSize: 13, color: muted, marginBottom: 25 }}>
+            ⏱️ First response p50 / p75 / p90:{" "}
+            {["p50", "p75", "p90"].map((p) => formatResponse(summary.timeToFirstResponse[p])).join(" / ")} ·
+            Time to close p50 / p75 / p90:{" "}
+            {["p50", "p75", "p90"].map((p) => formatHours(summary.timeToClose[p])).join(" / ")}
+          </div>
+
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 30 }}>
+            <div style={{ flex: 1, minWidth: 200 }}>
+              <h4 style={{ marginBottom: 10 }}>🏷️ Labels</h4>
+              {summary.labels.length === 0 ? (
+                <p style={{ fontSize: 13, color: muted }}>None in this range.</p>
+              ) : (
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                  {summary.labels.map(({ label, count }) => (
+                    <span
+                      key={label}
+                      style={{
+                        padding: "3px 10px",
+                        borderRadius: 12,
+                        fontSize: 12,
+                        border: `1px solid ${theme.borderColor}`,
+                        background: darkMode ? "rgba(100, 181, 246, 0.1)" : "rgba(25, 118, 210, 0.08)"
+                      }}
+                    >
+                      {label} <strong>{count}</strong>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+            {renderPeople("📣 Top Reporters", summary.topReporters, false)}
+            {renderPeople("✅ Top Closers", summary.topClosers, true)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default IssuesPanel;
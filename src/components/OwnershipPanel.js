@@ -0,0 +1,321 @@
+import React, { useEffect, useState } from "react";
+import { ResponsiveContainer, Treemap } from "recharts";
+import ExportMenu from "./ExportMenu";
+import { mapWithConcurrency } from "../api/githubClient";
+import { directoryArea, summarizeOwnership, isKnowledgeAtRisk } from "../utils/ownership";
+
+const GROUPINGS = {
+  directory: "Top-level directory",
+  subdirectory: "Directory (2 levels)",
+  category: "File category"
+};
+
+const DEFAULT_INACTIVE_MONTHS = 6;
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString("en-US") : "—");
+
+// Columns of the table and its export; `sortValue` is what the column sorts by
+const COLUMNS = [
+  { key: "area", label: "Area", sortValue: (row) => row.area },
+  { key: "changes", label: "Lines Changed", sortValue: (row) => row.changes },
+  { key: "commits", label: "Commits", sortValue: (row) => row.commits },
+  { key: (row) => row.authors.length, label: "Authors", sortValue: (row) => row.authors.length },
+  { key: "busFactor", label: "Bus Factor", sortValue: (row) => row.busFactor },
+  { key: "owner", label: "Top Owner", sortValue: (row) => row.owner },
+  { key: (row) => formatShare(row.topShare), label: "Top Owner Share", sortValue: (row) => row.topShare },
+  {
+    key: (row) => (row.activityUnknown ? "unknown" : formatDate(row.ownerLastActive)),
+    label: "Owner Last Active",
+    sortValue: (row) => row.ownerLastActive || ""
+  },
+  { key: (row) => (row.atRisk ? "yes" : ""), label: "At Risk", sortValue: (row) => (row.atRisk ? 1 : 0) }
+];
+
+// Bus factor and top-owner share per directory or file category.
+// `commits` are the detailed commits of the date range, of every type.
+// `loadLastActive(key)` resolves a person's newest commit date on the ref,
+// so inactivity doesn't depend on the date range.
+const OwnershipPanel = ({
+  repo,
+  commits,
+  isLoading,
+  categorizeFile,
+  personKey,
+  displayName,
+  loadLastActive,
+  darkMode,
+  theme
+}) => {
+  const [grouping, setGrouping] = useState("directory");
+  const [inactiveMonths, setInactiveMonths] = useState(DEFAULT_INACTIVE_MONTHS);
+  const [sort, setSort] = useState({ label: "Lines Changed", descending: true });
+  // Newest commit date per top owner, with the loader they came from so a new
+  // repo, ref or identity mapping starts over; a missing key is still loading.
+  // Owners whose lookup failed stay out of `dates` until retried.
+  const [loaded, setLoaded] = useState({ loader: null, dates: {}, failed: [] });
+  const current = loaded.loader === loadLastActive;
+  const lastActive = current ? loaded.dates : {};
+  const failedOwners = current ? loaded.failed : [];
+
+  const areaOf =
+    grouping === "category"
+      ? categorizeFile
+      : (path) => directoryArea(path, grouping === "subdirectory" ? 2 : 1);
+  const summary = summarizeOwnership(commits, { areaOf, personKey });
+  const rows = summary.map((row) => {
+    const withActivity = {
+      ...row,
+      ownerLastActive: lastActive[row.topOwner],
+      activityUnknown: failedOwners.includes(row.topOwner)
+    };
+    return {
+      ...withActivity,
+      owner: displayName(row.topOwner),
+      atRisk: isKnowledgeAtRisk(withActivity, { inactiveMonths })
+    };
+  });
+
+  const missingOwners = [...new Set(summary.map((row) => row.topOwner))]
+    .filter((key) => !(key in lastActive) && !failedOwners.includes(key))
+    .sort()
+    .join("\n");
+  useEffect(() => {
+    if (!missingOwners) return;
+    let cancelled = false;
+    const keys = missingOwners.split("\n");
+    const lookUp = (key) =>
+      loadLastActive(key).then(
+        (date) => ({ date }),
+        (err) => {
+          console.warn(`Failed to load the last activity of ${key}:`, err);
+          return { failed: true };
+        }
+      );
+    mapWithConcurrency(keys, lookUp).then((results) => {
+      if (cancelled) return;
+      setLoaded((previous) => {
+        const same = previous.loader === loadLastActive;
+        const dates = same ? { ...previous.dates } : {};
+        const failed = same ? [...previous.failed] : [];
+        keys.forEach((key, index) => {
+          if (results[index].failed) failed.push(key);
+          else dates[key] = results[index].date;
+        });
+        return { loader: loadLastActive, dates, failed };
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [missingOwners, loadLastActive]);
+  const sortColumn = COLUMNS.find((col) => col.label === sort.label);
+  const sortedRows = [...rows].sort((a, b) => {
+    const x = sortColumn.sortValue(a);
+    const y = sortColumn.sortValue(b);
+    const order = typeof x === "string" ? x.localeCompare(y) : x - y;
+    return sort.descending ? -order : order;
+  });
+  const atRiskCount = rows.filter((row) => row.atRisk).length;
+  const unknownCount = rows.filter((row) => row.activityUnknown).length;
+  const retryFailed = () => setLoaded((previous) => ({ ...previous, failed: [] }));
+
+  const accent = darkMode ? "#90caf9" : "#1976d2";
+  const muted = darkMode ? "#aaa" : "#777";
+  const cellStyle = { padding: 8, textAlign: "right" };
+  const selectStyle = {
+    padding: "4px 8px",
+    borderRadius: 6,
+    border: `1px solid ${theme.borderColor}`,
+    background: theme.inputBg,
+    color: theme.color,
+    fontSize: 13
+  };
+  // Red for a single owner, amber for two, green beyond
+  const busFactorColor = (row) =>
+    row.atRisk ? "#b71c1c" : row.busFactor === 1 ? "#e53935" : row.busFactor === 2 ? "#fb8c00" : "#43a047";
+
+  const toggleSort = (label) =>
+    setSort((current) =>
+      current.label === label ? { label, descending: !current.descending } : { label, descending: label !== "Area" }
+    );
+
+  const renderTreemapCell = ({ x, y, width, height, depth, area, changes, busFactor: factor, owner, topShare, atRisk }) => {
+    if (depth !== 1) return <g />;
+    return (
+      <g>
+        <rect
+          x={x}
+          y={y}
+          width={width}
+          height={height}
+          fill={busFactorColor({ busFactor: factor, atRisk })}
+          fillOpacity={0.8}
+          stroke={darkMode ? "#1e1e1e" : "#fff"}
+          strokeWidth={2}
+        >
+          <title>
+            {`${area}: ${changes.toLocaleString("en-US")} lines changed, bus factor ${factor}, ${owner} ${formatShare(topShare)}${atRisk ? " (owner inactive)" : ""}`}
+          </title>
+        </rect>
+        {width > 60 && height > 30 && (
+          <text x={x + 6} y={y + 18} fill="#fff" fontSize={12} style={{ pointerEvents: "none" }}>
+            {area.length * 7 > width - 12 ? `${area.slice(0, Math.max(1, Math.floor((width - 12) / 7) - 1))}…` : area}
+          </text>
+        )}
+      </g>
+    );
+  };
+
+  return (
+    <div
+      id="ownership"
+      style={{
+        background: theme.cardBg,
+        padding: 25,
+        borderRadius: 16,
+        marginBottom: 30,
+        boxShadow: theme.cardShadow,
+        border: `1px solid ${theme.borderColor}`
+      }}
+    >
+      <h3
+        style={{
+          marginBottom: 20,
+          display: "flex",
+          alignItems: "center",
+          gap: 10,
+          flexWrap: "wrap",
+          color: darkMode ? "#64b5f6" : "#1976d2"
+        }}
+      >
+        🧠 Knowledge Concentration
+        <label style={{ fontSize: 14, fontWeight: 400, color: theme.color }}>
+          Areas:{" "}
+          <select value={grouping} onChange={(e) => setGrouping(e.target.value)} style={selectStyle}>
+            {Object.entries(GROUPINGS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ fontSize: 14, fontWeight: 400, color: theme.color }}>
+          Inactive after{" "}
+          <input
+            type="number"
+            min={1}
+            value={inactiveMonths}
+            onChange={(e) => setInactiveMonths(Math.max(1, Number(e.target.value) || 1))}
+            style={{ ...selectStyle, width: 60 }}
+          />{" "}
+          months
+        </label>
+        <span style={{ marginLeft: "auto", fontSize: 14 }}>
+          <ExportMenu rows={sortedRows} columns={COLUMNS} filename={`${repo}-ownership`} darkMode={darkMode} />
+        </span>
+      </h3>
+      {isLoading ? (
+        <div>Loading commits... ⏳</div>
+      ) : rows.length === 0 ? (
+        <p>No file changes match the current filters.</p>
+      ) : (
+        <>
+          <p style={{ fontSize: 12, color: muted, marginTop: 0 }}>
+            From the {commits.length.toLocaleString("en-US")} commits of every type in the date range. The bus factor is
+            the fewest authors covering at least half of an area's changed lines. An area is at risk when one author
+            holds at least half of it and their latest commit on this branch is over {inactiveMonths}{" "}
+            {inactiveMonths === 1 ? "month" : "months"} old.
+          </p>
+          {unknownCount > 0 && (
+            <div style={{ color: "#fb8c00", fontSize: 14, marginBottom: 15 }}>
+              ⚠️ The last commit of {unknownCount === 1 ? "one area's owner" : `${unknownCount} areas' owners`} could
+              not be loaded, so {unknownCount === 1 ? "that area is" : "those areas are"} not checked for risk.{" "}
+              <button
+                onClick={retryFailed}
+                style={{
+                  padding: "2px 8px",
+                  fontSize: 12,
+                  background: "transparent",
+                  color: accent,
+                  border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+                  borderRadius: 6,
+                  cursor: "pointer"
+                }}
+              >
+                Retry
+              </button>
+            </div>
+          )}
+          {atRiskCount > 0 && (
+            <div style={{ color: "#e53935", fontSize: 14, marginBottom: 15 }}>
+              ⚠️ {atRiskCount} {atRiskCount === 1 ? "area depends" : "areas depend"} on an inactive contributor.
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 25, flexWrap: "wrap", alignItems: "flex-start" }}>
+            <div style={{ flex: "2 1 500px", overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr style={{ borderBottom: `1px solid ${theme.borderColor}` }}>
+                    {COLUMNS.map((col) => (
+                      <th
+                        key={col.label}
+                        onClick={() => toggleSort(col.label)}
+                        style={{
+                          ...cellStyle,
+                          textAlign: col.label === "Area" || col.label === "Top Owner" ? "left" : "right",
+                          color: accent,
+                          cursor: "pointer",
+                          userSelect: "none",
+                          whiteSpace: "nowrap"
+                        }}
+                      >
+                        {col.label}
+                        {sort.label === col.label ? (sort.descending ? " ▼" : " ▲") : ""}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sortedRows.map((row) => (
+                    <tr key={row.area} style={{ borderBottom: `1px solid ${theme.borderColor}` }}>
+                      <td style={{ ...cellStyle, textAlign: "left", fontWeight: 500 }}>{row.area}</td>
+                      <td style={cellStyle}>{row.changes.toLocaleString("en-US")}</td>
+                      <td style={cellStyle}>{row.commits}</td>
+                      <td style={cellStyle}>{row.authors.length}</td>
+                      <td style={{ ...cellStyle, color: busFactorColor(row), fontWeight: 600 }}>{row.busFactor}</td>
+                      <td style={{ ...cellStyle, textAlign: "left" }}>{row.owner}</td>
+                      <td style={cellStyle}>{formatShare(row.topShare)}</td>
+                      <td style={cellStyle}>
+                        {row.activityUnknown
+                          ? "unknown"
+                          : row.ownerLastActive === undefined
+                            ? "…"
+                            : formatDate(row.ownerLastActive)}
+                      </td>
+                      <td style={{ ...cellStyle, color: "#e53935" }}>{row.atRisk ? "⚠️" : ""}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div style={{ flex: "1 1 320px", height: 360 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <Treemap
+                  data={rows}
+                  dataKey="changes"
+                  nameKey="area"
+                  isAnimationActive={false}
+                  content={renderTreemapCell}
+                />
+              </ResponsiveContainer>
+              <div style={{ fontSize: 12, color: muted, marginTop: 6 }}>
+                Size: lines changed · color: bus factor (red 1, amber 2, green 3+, dark red at risk)
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OwnershipPanel;
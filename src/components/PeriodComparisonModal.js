@@ -0,0 +1,261 @@
+import React, { useState } from "react";
+import { format, subDays } from "date-fns";
+import ExportMenu from "./ExportMenu";
+import { describeGitHubError } from "../api/githubClient";
+import { previousPeriod, summarizePeriod, compareCounts } from "../utils/periodComparison";
+
+const EXPORT_COLUMNS = [
+  { key: "section", label: "Section" },
+  { key: "label", label: "Name" },
+  { key: "a", label: "Period A" },
+  { key: "b", label: "Period B" },
+  { key: "delta", label: "Change" },
+  { key: (row) => (row.percent === null ? "" : row.percent.toFixed(1)), label: "Change %" }
+];
+
+const DEFAULT_DAYS = 14;
+
+// Two date ranges side by side: commits per contributor, commit types,
+// file categories, directories and lines changed, with deltas.
+// `loadCommits([periodA, periodB])` returns { commits, truncated } for the commits in either period;
+// `inRange(date, from, to)` is the page's date filter.
+const PeriodComparisonModal = ({
+  repo,
+  defaultFrom,
+  defaultTo,
+  darkMode,
+  loadCommits,
+  inRange,
+  classifyCommit,
+  categorizeFile,
+  personKey,
+  displayName,
+  summarizeDirectories,
+  onClose
+}) => {
+  const initialA = {
+    from: defaultFrom || format(subDays(new Date(), DEFAULT_DAYS), "yyyy-MM-dd"),
+    to: defaultTo || format(new Date(), "yyyy-MM-dd")
+  };
+  const [periodA, setPeriodA] = useState(initialA);
+  const [periodB, setPeriodB] = useState(() => previousPeriod(initialA.from, initialA.to));
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const themeBg = darkMode ? "rgba(30, 30, 40, 0.95)" : "rgba(255, 255, 255, 0.95)";
+  const themeColor = darkMode ? "#eee" : "#222";
+  const borderColor = darkMode ? "#444" : "#ddd";
+  const muted = darkMode ? "#aaa" : "#777";
+  const inputStyle = {
+    padding: "6px 8px",
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: darkMode ? "rgba(50,50,60,0.5)" : "#fff",
+    color: themeColor,
+    fontSize: 14
+  };
+  const buttonStyle = {
+    padding: "8px 14px",
+    borderRadius: 8,
+    border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+    background: "transparent",
+    color: darkMode ? "#90caf9" : "#1976d2",
+    cursor: "pointer"
+  };
+  const isValid = (period) => period.from && period.to && period.from < period.to;
+
+  const compare = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { commits, truncated } = await loadCommits([periodA, periodB]);
+      const options = { classify: classifyCommit, categorizeFile, personKey, summarizeDirectories };
+      const summaryOf = (period) =>
+        summarizePeriod(
+          commits.filter((c) => inRange(c.commit.author.date, period.from, period.to)),
+          options
+        );
+      const a = summaryOf(periodA);
+      const b = summaryOf(periodB);
+      setResult({
+        truncated,
+        sections: [
+          { title: "📊 Overview", rows: compareCounts(a.overview, b.overview, { keepOrder: true }) },
+          { title: "👤 Commits per Contributor", rows: compareCounts(a.byContributor, b.byContributor), people: true },
+          { title: "🏷️ Commit Types", rows: compareCounts(a.byType, b.byType) },
+          { title: "📁 Files Changed per Category", rows: compareCounts(a.byCategory, b.byCategory) },
+          { title: "📂 Commits per Directory", rows: compareCounts(a.byDirectory, b.byDirectory) }
+        ]
+      });
+    } catch (err) {
+      console.error("Error comparing periods:", err);
+      setError(describeGitHubError(err, "Failed to load commits for the comparison."));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const labelOf = (section, key) => (section.people ? displayName(key) : key);
+  const exportRows = result
+    ? result.sections.flatMap((section) =>
+        section.rows.map((row) => ({ ...row, section: section.title.replace(/^\S+\s/, ""), label: labelOf(section, row.key) }))
+      )
+    : [];
+  const deltaColor = (delta) => (delta > 0 ? "#43a047" : delta < 0 ? "#e53935" : muted);
+  const formatPercent = (percent) =>
+    percent === null ? "new" : `${percent > 0 ? "+" : ""}${percent.toFixed(0)}%`;
+
+  const renderPeriodInputs = (label, period, setPeriod) => (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+      <strong style={{ minWidth: 70 }}>{label}</strong>
+      <input
+        type="date"
+        value={period.from}
+        onChange={(e) => setPeriod({ ...period, from: e.target.value })}
+        style={inputStyle}
+      />
+      →
+      <input
+        type="date"
+        value={period.to}
+        onChange={(e) => setPeriod({ ...period, to: e.target.value })}
+        style={inputStyle}
+      />
+    </div>
+  );
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0,0,0,0.7)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 99999
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: themeBg,
+          color: themeColor,
+          maxWidth: 900,
+          width: "95%",
+          maxHeight: "85vh",
+          overflowY: "auto",
+          borderRadius: 16,
+          padding: 30,
+          boxShadow: "0 10px 30px rgba(0,0,0,0.3)",
+          backdropFilter: "blur(12px)",
+          border: darkMode ? "1px solid #333" : "1px solid #e0e0e0"
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          style={{
+            float: "right",
+            background: "transparent",
+            border: "none",
+            fontSize: 28,
+            color: themeColor,
+            opacity: 0.7,
+            cursor: "pointer"
+          }}
+        >
+          &times;
+        </button>
+        <h2 style={{ marginBottom: 10, color: darkMode ? "#64b5f6" : "#1976d2" }}>⚖️ Compare Periods</h2>
+        <p style={{ marginTop: 0, fontSize: 14, opacity: 0.8 }}>
+          All commits in {repo} in each window (bots follow the "Exclude bots" switch; commit type and
+          scope filters are not applied). Changes are Period A − Period B.
+        </p>
+        <div style={{ display: "flex", flexDirection: "column", gap: 10, marginBottom: 15 }}>
+          {renderPeriodInputs("Period A", periodA, setPeriodA)}
+          {renderPeriodInputs("Period B", periodB, setPeriodB)}
+        </div>
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 20 }}>
+          <button
+            onClick={() => isValid(periodA) && setPeriodB(previousPeriod(periodA.from, periodA.to))}
+            disabled={!isValid(periodA)}
+            style={buttonStyle}
+            title="Set Period B to the window of the same length right before Period A"
+          >
+            ⏮️ B = previous period
+          </button>
+          <button
+            onClick={compare}
+            disabled={loading || !isValid(periodA) || !isValid(periodB)}
+            style={{
+              ...buttonStyle,
+              background: darkMode ? "#3949ab" : "#1976d2",
+              color: "#fff",
+              border: "none",
+              opacity: isValid(periodA) && isValid(periodB) ? 1 : 0.5
+            }}
+          >
+            {loading ? "Loading commits... ⏳" : "Compare"}
+          </button>
+          <span style={{ marginLeft: "auto" }}>
+            <ExportMenu
+              rows={exportRows}
+              columns={EXPORT_COLUMNS}
+              filename={`${repo}-period-comparison`}
+              darkMode={darkMode}
+            />
+          </span>
+        </div>
+        {error && <div style={{ color: "#e53935", marginBottom: 15 }}>⚠️ {error}</div>}
+        {result?.truncated && (
+          <div style={{ fontSize: 13, color: muted, marginBottom: 15 }}>
+            ⚠️ Only the most recent commits could be loaded; the older window may be incomplete.
+          </div>
+        )}
+        {result &&
+          result.sections.map((section) => (
+            <div key={section.title} style={{ marginBottom: 25 }}>
+              <h4 style={{ marginBottom: 8 }}>{section.title}</h4>
+              {section.rows.length === 0 ? (
+                <p style={{ fontSize: 13, color: muted }}>Nothing in either period.</p>
+              ) : (
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                  <thead>
+                    <tr style={{ borderBottom: `1px solid ${borderColor}`, textAlign: "right" }}>
+                      <th style={{ padding: 6, textAlign: "left" }} />
+                      <th style={{ padding: 6 }}>A</th>
+                      <th style={{ padding: 6 }}>B</th>
+                      <th style={{ padding: 6 }}>Change</th>
+                      <th style={{ padding: 6 }}>%</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {section.rows.map((row) => (
+                      <tr key={row.key} style={{ borderBottom: `1px solid ${borderColor}`, textAlign: "right" }}>
+                        <td style={{ padding: 6, textAlign: "left" }}>{labelOf(section, row.key)}</td>
+                        <td style={{ padding: 6 }}>{row.a.toLocaleString("en-US")}</td>
+                        <td style={{ padding: 6 }}>{row.b.toLocaleString("en-US")}</td>
+                        <td style={{ padding: 6, color: deltaColor(row.delta) }}>
+                          {row.delta > 0 ? "+" : ""}
+                          {row.delta.toLocaleString("en-US")}
+                        </td>
+                        <td style={{ padding: 6, color: deltaColor(row.delta) }}>
+                          {row.delta === 0 ? "—" : formatPercent(row.percent)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+      </div>
+    </div>
+  );
+};
+
+export default PeriodComparisonModal;
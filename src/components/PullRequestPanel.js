@@ -0,0 +1,223 @@
+import React from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  ResponsiveContainer
+} from "recharts";
+import ExportMenu from "./ExportMenu";
+import {
+  summarizePullRequests,
+  summarizePullRequestsByAuthor,
+  formatHours,
+  formatRate
+} from "../utils/prMetrics";
+
+const PR_AUTHOR_COLUMNS = [
+  { key: "author", label: "Author" },
+  { key: "opened", label: "Opened" },
+  { key: "merged", label: "Merged" },
+  { key: "closed", label: "Closed" },
+  { key: "open", label: "Open" },
+  { key: (row) => formatRate(row.mergeRate), label: "Merge Rate" },
+  { key: (row) => formatHours(row.medianHoursToMerge), label: "Median Time to Merge" }
+];
+
+// Pull request analytics for the selected repo. `pullRequests` arrive
+// already narrowed to the contributor selection and bot switch;
+// `inRange(date)` is the page's date filter (see summarizePullRequests).
+// `truncated` means older PRs in the range were not loaded.
+const PullRequestPanel = ({
+  repo,
+  pullRequests,
+  inRange,
+  truncated,
+  isLoading,
+  error,
+  darkMode,
+  theme,
+  authorKey,
+  displayName
+}) => {
+  const summary = summarizePullRequests(pullRequests, inRange);
+  const authorRows = summarizePullRequestsByAuthor(pullRequests, authorKey, inRange).map((row) => ({
+    ...row,
+    author: displayName(row.author)
+  }));
+  const accent = darkMode ? "#90caf9" : "#1976d2";
+  const tileStyle = {
+    flex: "1 0 130px",
+    padding: 15,
+    borderRadius: 12,
+    border: `1px solid ${theme.borderColor}`,
+    background: darkMode ? "rgba(100, 181, 246, 0.05)" : "rgba(122, 208, 255, 0.05)"
+  };
+  const tiles = [
+    ["Opened", summary.opened],
+    ["Merged", summary.merged],
+    ["Closed (unmerged)", summary.closed],
+    ["Still Open", summary.open],
+    ["Merge Rate", formatRate(summary.mergeRate)]
+  ];
+  const latencyRows = [
+    ["Time to first review", summary.timeToFirstReview],
+    ["Time to merge", summary.timeToMerge]
+  ];
+
+  return (
+    <div
+      id="pull-requests"
+      style={{
+        background: theme.cardBg,
+        padding: 25,
+        borderRadius: 16,
+        marginBottom: 30,
+        boxShadow: theme.cardShadow,
+        border: `1px solid ${theme.borderColor}`
+      }}
+    >
+      <h3
+        style={{
+          marginBottom: 20,
+          display: "flex",
+          alignItems: "center",
+          gap: 10,
+          color: darkMode ? "#64b5f6" : "#1976d2"
+        }}
+      >
+        🔀 Pull Requests
+        <span style={{ marginLeft: "auto", fontSize: 14 }}>
+          <ExportMenu
+            rows={authorRows}
+            columns={PR_AUTHOR_COLUMNS}
+            filename={`${repo}-pull-requests`}
+            darkMode={darkMode}
+          />
+        </span>
+      </h3>
+      {isLoading ? (
+        <div>Loading pull requests... ⏳</div>
+      ) : error ? (
+        <div style={{ color: "#e53935" }}>⚠️ {error}</div>
+      ) : (
+        <>
+          {!summary.hasDetails && (
+            <p style={{ fontSize: 13, color: darkMode ? "#aaa" : "#777", marginTop: 0 }}>
+              ℹ️ PR sizes and review times need a GitHub token (REACT_APP_GITHUB_TOKEN) for the GraphQL API.
+            </p>
+          )}
+          {truncated && (
+            <p style={{ fontSize: 12, color: darkMode ? "#aaa" : "#777", marginTop: 0 }}>
+              Only the most recently updated pull requests were loaded, so older activity in the date range is not
+              counted. Narrow the date range for complete figures.
+            </p>
+          )}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 15, marginBottom: 25 }}>
+            {tiles.map(([label, value]) => (
+              <div key={label} style={tileStyle}>
+                <div style={{ fontSize: 12, color: accent }}>{label}</div>
+                <div style={{ fontSize: 26, fontWeight: 700 }}>{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 30, marginBottom: 25 }}>
+            <div style={{ flex: 1, minWidth: 280 }}>
+              <h4 style={{ marginBottom: 10 }}>⏱️ Latency</h4>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr style={{ borderBottom: `1px solid ${theme.borderColor}`, textAlign: "right" }}>
+                    <th style={{ padding: 8, textAlign: "left" }} />
+                    <th style={{ padding: 8 }}>p50</th>
+                    <th style={{ padding: 8 }}>p75</th>
+                    <th style={{ padding: 8 }}>p90</th>
+                    <th style={{ padding: 8 }}>PRs</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {latencyRows.map(([label, stats]) => (
+                    <tr key={label} style={{ borderBottom: `1px solid ${theme.borderColor}`, textAlign: "right" }}>
+                      <td style={{ padding: 8, textAlign: "left", fontWeight: 500 }}>{label}</td>
+                      <td style={{ padding: 8 }}>{formatHours(stats.p50)}</td>
+                      <td style={{ padding: 8 }}>{formatHours(stats.p75)}</td>
+                      <td style={{ padding: 8 }}>{formatHours(stats.p90)}</td>
+                      <td style={{ padding: 8 }}>{stats.count}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div style={{ flex: 1, minWidth: 280 }}>
+              <h4 style={{ marginBottom: 10 }}>📏 Size Distribution (lines changed)</h4>
+              {summary.hasDetails ? (
+                <div style={{ height: 200 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={summary.sizes}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#444" : "#eee"} />
+                      <XAxis dataKey="size" stroke={theme.color} />
+                      <YAxis allowDecimals={false} stroke={theme.color} />
+                      <Tooltip
+                        contentStyle={{
+                          background: darkMode ? "#333" : "#fff",
+                          border: `1px solid ${theme.borderColor}`,
+                          borderRadius: 10
+                        }}
+                        itemStyle={{ color: theme.color }}
+                      />
+                      <Bar dataKey="count" name="PRs" fill={darkMode ? "#64b5f6" : "#1976d2"} radius={[5, 5, 0, 0]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              ) : (
+                <p style={{ fontSize: 13, color: darkMode ? "#aaa" : "#777" }}>Not available without a token.</p>
+              )}
+              <div style={{ fontSize: 12, color: darkMode ? "#aaa" : "#777" }}>
+                XS ≤ 10 · S ≤ 50 · M ≤ 250 · L ≤ 1000 · XL &gt; 1000
+              </div>
+            </div>
+          </div>
+
+          <h4 style={{ marginBottom: 10 }}>👤 By Author</h4>
+          {authorRows.length === 0 ? (
+            <p>No pull requests match the current filters.</p>
+          ) : (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr style={{ borderBottom: `1px solid ${theme.borderColor}` }}>
+                    {PR_AUTHOR_COLUMNS.map((col) => (
+                      <th
+                        key={col.label}
+                        style={{ padding: 8, textAlign: col.label === "Author" ? "left" : "right", color: accent }}
+                      >
+                        {col.label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {authorRows.map((row) => (
+                    <tr key={row.author} style={{ borderBottom: `1px solid ${theme.borderColor}`, textAlign: "right" }}>
+                      <td style={{ padding: 8, textAlign: "left", fontWeight: 500 }}>{row.author}</td>
+                      <td style={{ padding: 8 }}>{row.opened}</td>
+                      <td style={{ padding: 8 }}>{row.merged}</td>
+                      <td style={{ padding: 8 }}>{row.closed}</td>
+                      <td style={{ padding: 8 }}>{row.open}</td>
+                      <td style={{ padding: 8 }}>{formatRate(row.mergeRate)}</td>
+                      <td style={{ padding: 8 }}>{formatHours(row.medianHoursToMerge)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PullRequestPanel;
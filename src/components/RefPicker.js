@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from "react";
+import { listRefs } from "../api/repoData";
+import { describeGitHubError } from "../api/githubClient";
+
+const MAX_LISTED = 100;
+
+// Branch / tag dropdown with search. `value` null means the default branch.
+// Refs are listed when the dropdown is first opened.
+const RefPicker = ({ repo, value, darkMode, theme, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [refs, setRefs] = useState(null);
+  const [query, setQuery] = useState("");
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setRefs(null);
+    setError(null);
+    setOpen(false);
+  }, [repo]);
+
+  useEffect(() => {
+    if (!open || refs) return;
+    let cancelled = false;
+    // A failed earlier load must not hide the result of this retry
+    setError(null);
+    listRefs(repo)
+      .then((loaded) => {
+        if (!cancelled) setRefs(loaded);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(describeGitHubError(err, "Failed to load branches and tags."));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, refs, repo]);
+
+  const choose = (ref) => {
+    onChange(ref);
+    setOpen(false);
+    setQuery("");
+  };
+
+  const needle = query.trim().toLowerCase();
+  const matches = (refs || []).filter((ref) => ref.name.toLowerCase().includes(needle));
+  const accent = darkMode ? "#90caf9" : "#1976d2";
+  const itemStyle = (selected) => ({
+    display: "flex",
+    width: "100%",
+    gap: 8,
+    padding: "6px 10px",
+    background: selected ? (darkMode ? "rgba(57, 73, 171, 0.4)" : "rgba(25, 118, 210, 0.1)") : "transparent",
+    color: theme.color,
+    border: "none",
+    textAlign: "left",
+    cursor: "pointer",
+    fontSize: 13
+  });
+
+  return (
+    <span style={{ position: "relative", display: "inline-block", fontWeight: 400 }}>
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        style={{
+          padding: "4px 10px",
+          fontSize: 14,
+          background: "transparent",
+          color: accent,
+          border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+          borderRadius: 8,
+          cursor: "pointer"
+        }}
+        title="Branch or tag the file tree, contributor commits and date range summary are read from"
+      >
+        🌿 {value || "default branch"} ▾
+      </button>
+      {open && (
+        <div
+          style={{
+            position: "absolute",
+            top: "110%",
+            left: 0,
+            zIndex: 1000,
+            width: 300,
+            maxHeight: 360,
+            overflowY: "auto",
+            background: darkMode ? "#2a2a35" : "#fff",
+            border: `1px solid ${theme.borderColor}`,
+            borderRadius: 10,
+            boxShadow: "0 6px 20px rgba(0,0,0,0.25)",
+            padding: 8
+          }}
+        >
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Escape") setOpen(false);
+              // Enter on a name that isn't listed (e.g. a SHA) uses it as typed
+              if (e.key === "Enter" && query.trim()) choose(matches[0]?.name || query.trim());
+            }}
+            placeholder="Search branches and tags, or enter a SHA"
+            style={{
+              width: "100%",
+              boxSizing: "border-box",
+              padding: "6px 8px",
+              marginBottom: 6,
+              borderRadius: 6,
+              border: `1px solid ${theme.borderColor}`,
+              background: theme.inputBg,
+              color: theme.color
+            }}
+          />
+          <button onClick={() => choose(null)} style={itemStyle(!value)}>
+            ⭐ Default branch
+          </button>
+          {error ? (
+            <div style={{ color: "#e53935", fontSize: 13, padding: 6 }}>⚠️ {error}</div>
+          ) : !refs ? (
+            <div style={{ fontSize: 13, padding: 6 }}>Loading... ⏳</div>
+          ) : matches.length === 0 ? (
+            <div style={{ fontSize: 13, padding: 6, opacity: 0.7 }}>No matching branch or tag.</div>
+          ) : (
+            matches.slice(0, MAX_LISTED).map((ref) => (
+              <button
+                key={`${ref.kind}:${ref.name}`}
+                onClick={() => choose(ref.name)}
+                style={itemStyle(ref.name === value)}
+              >
+                <span>{ref.kind === "branch" ? "🌿" : "🏷️"}</span>
+                <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{ref.name}</span>
+              </button>
+            ))
+          )}
+          {matches.length > MAX_LISTED && (
+            <div style={{ fontSize: 12, padding: 6, opacity: 0.7 }}>
+              {matches.length - MAX_LISTED} more, refine the search.
+            </div>
+          )}
+        </div>
+      )}
+    </span>
+  );
+};
+
+export default RefPicker;
@@ -0,0 +1,329 @@
+import React, { useEffect, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  ResponsiveContainer
+} from "recharts";
+import ExportMenu from "./ExportMenu";
+import { compareRefs } from "../api/releases";
+import { describeGitHubError } from "../api/githubClient";
+import { releaseCadence, summarizeCompare } from "../utils/releases";
+
+const COMMIT_COLUMNS = [
+  { key: (c) => c.sha.substring(0, 7), label: "SHA" },
+  { key: "type", label: "Type" },
+  { key: "author", label: "Author" },
+  { key: (c) => c.commit.author.date, label: "Date" },
+  { key: (c) => c.commit.message.split("\n")[0], label: "Message" }
+];
+
+// Release cadence of the selected repo and the commits between two tags.
+const ReleasesPanel = ({
+  repo,
+  tags,
+  isLoading,
+  error,
+  darkMode,
+  theme,
+  classifyCommit,
+  commitTypeColors,
+  personKey,
+  displayName,
+  excludeBotCommits,
+  onUseAsDateRange
+}) => {
+  const [base, setBase] = useState("");
+  const [head, setHead] = useState("");
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [compareError, setCompareError] = useState(null);
+  const [expandedGroup, setExpandedGroup] = useState(null);
+
+  // Default to the latest release against the one before it
+  useEffect(() => {
+    setHead(tags[0]?.name || "");
+    setBase(tags[1]?.name || "");
+    setComparison(null);
+    setCompareError(null);
+  }, [tags]);
+
+  const cadence = releaseCadence(tags);
+  const accent = darkMode ? "#90caf9" : "#1976d2";
+  const muted = darkMode ? "#aaa" : "#777";
+  const selectStyle = {
+    padding: "6px 10px",
+    borderRadius: 6,
+    border: `1px solid ${theme.borderColor}`,
+    background: theme.inputBg,
+    color: theme.color
+  };
+  const buttonStyle = {
+    padding: "6px 14px",
+    background: darkMode ? "#3949ab" : "#1976d2",
+    color: "#fff",
+    border: "none",
+    borderRadius: 8,
+    cursor: "pointer"
+  };
+  const tagByName = (name) => tags.find((tag) => tag.name === name);
+
+  const runCompare = async () => {
+    setIsComparing(true);
+    setCompareError(null);
+    setExpandedGroup(null);
+    try {
+      const result = await compareRefs(repo, base, head);
+      setComparison({ ...result, base, head });
+    } catch (err) {
+      console.error("Error comparing tags:", err);
+      setComparison(null);
+      setCompareError(describeGitHubError(err, "Failed to compare tags."));
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const commits = comparison ? excludeBotCommits(comparison.commits) : [];
+  const summary = comparison
+    ? summarizeCompare({ commits, files: comparison.files }, { classify: classifyCommit, personKey })
+    : null;
+  const commitRows = commits.map((c) => ({
+    ...c,
+    type: classifyCommit(c.commit.message),
+    author: displayName(personKey(c))
+  }));
+
+  const renderGroups = (title, groups, prefix, labelOf, colorOf) => (
+    <div style={{ flex: 1, minWidth: 240 }}>
+      <h4 style={{ marginBottom: 10 }}>{title}</h4>
+      {groups.map(({ key, commits: grouped }) => {
+        const id = `${prefix}:${key}`;
+        return (
+          <div key={id} style={{ marginBottom: 6 }}>
+            <button
+              onClick={() => setExpandedGroup(expandedGroup === id ? null : id)}
+              style={{
+                display: "flex",
+                width: "100%",
+                alignItems: "center",
+                gap: 8,
+                padding: "6px 10px",
+                background: "transparent",
+                color: theme.color,
+                border: `1px solid ${theme.borderColor}`,
+                borderLeft: `4px solid ${colorOf(key)}`,
+                borderRadius: 6,
+                cursor: "pointer",
+                textAlign: "left"
+              }}
+            >
+              <span style={{ fontWeight: 500 }}>{labelOf(key)}</span>
+              <span style={{ marginLeft: "auto", color: muted }}>
+                {grouped.length} {expandedGroup === id ? "▲" : "▼"}
+              </span>
+            </button>
+            {expandedGroup === id && (
+              <ul style={{ margin: "6px 0 0", paddingLeft: 20, fontSize: 13 }}>
+                {grouped.map((c) => (
+                  <li key={c.sha} style={{ marginBottom: 3 }}>
+                    <a href={c.html_url} target="_blank" rel="noreferrer" style={{ color: accent }}>
+                      {c.sha.substring(0, 7)}
+                    </a>{" "}
+                    {c.commit.message.split("\n")[0]}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  return (
+    <div
+      id="releases"
+      style={{
+        background: theme.cardBg,
+        padding: 25,
+        borderRadius: 16,
+        marginBottom: 30,
+        boxShadow: theme.cardShadow,
+        border: `1px solid ${theme.borderColor}`
+      }}
+    >
+      <h3
+        style={{
+          marginBottom: 20,
+          display: "flex",
+          alignItems: "center",
+          gap: 10,
+          color: darkMode ? "#64b5f6" : "#1976d2"
+        }}
+      >
+        🚀 Releases
+        <span style={{ marginLeft: "auto", fontSize: 14 }}>
+          <ExportMenu
+            rows={commitRows}
+            columns={COMMIT_COLUMNS}
+            filename={`${repo}-${comparison?.base}...${comparison?.head}`}
+            darkMode={darkMode}
+          />
+        </span>
+      </h3>
+      {isLoading ? (
+        <div>Loading tags and releases... ⏳</div>
+      ) : error ? (
+        <div style={{ color: "#e53935" }}>⚠️ {error}</div>
+      ) : tags.length === 0 ? (
+        <p>No tags or releases in this repository.</p>
+      ) : (
+        <>
+          <h4 style={{ marginBottom: 10 }}>📆 Release Timeline</h4>
+          {cadence.tags.length === 0 ? (
+            <p style={{ fontSize: 13, color: muted }}>
+              Tag dates need a GitHub token (REACT_APP_GITHUB_TOKEN) unless the tags have published releases.
+            </p>
+          ) : (
+            <>
+              <div style={{ fontSize: 14, marginBottom: 10 }}>
+                {cadence.tags.length} dated {cadence.tags.length === 1 ? "tag" : "tags"}, from{" "}
+                <strong>{cadence.tags[0].date.substring(0, 10)}</strong> to{" "}
+                <strong>{cadence.tags[cadence.tags.length - 1].date.substring(0, 10)}</strong>
+                {cadence.medianDays !== null && (
+                  <>
+                    {" "}· a release every <strong>{Math.round(cadence.medianDays)}</strong> days (median)
+                  </>
+                )}
+              </div>
+              <div style={{ height: 200, marginBottom: 25 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={cadence.tags.slice(-30)}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#444" : "#eee"} />
+                    <XAxis dataKey="name" stroke={theme.color} />
+                    <YAxis allowDecimals={false} stroke={theme.color} />
+                    <Tooltip
+                      contentStyle={{
+                        background: darkMode ? "#333" : "#fff",
+                        border: `1px solid ${theme.borderColor}`,
+                        borderRadius: 10
+                      }}
+                      itemStyle={{ color: theme.color }}
+                      labelFormatter={(name) => `${name} (${tagByName(name)?.date?.substring(0, 10)})`}
+                    />
+                    <Bar
+                      dataKey="daysSincePrevious"
+                      name="Days since previous tag"
+                      fill={darkMode ? "#64b5f6" : "#1976d2"}
+                      radius={[5, 5, 0, 0]}
+                    />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </>
+          )}
+
+          <h4 style={{ marginBottom: 10 }}>🔀 Commits Between Releases</h4>
+          <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 10, marginBottom: 15 }}>
+            <label>
+              From:{" "}
+              <select value={base} onChange={(e) => setBase(e.target.value)} style={selectStyle}>
+                {tags.map((tag) => (
+                  <option key={tag.name} value={tag.name}>
+                    {tag.name}
+                    {tag.date ? ` (${tag.date.substring(0, 10)})` : ""}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              To:{" "}
+              <select value={head} onChange={(e) => setHead(e.target.value)} style={selectStyle}>
+                {tags.map((tag) => (
+                  <option key={tag.name} value={tag.name}>
+                    {tag.name}
+                    {tag.date ? ` (${tag.date.substring(0, 10)})` : ""}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={runCompare}
+              disabled={!base || !head || base === head || isComparing}
+              style={{ ...buttonStyle, opacity: !base || !head || base === head ? 0.5 : 1 }}
+            >
+              {isComparing ? "Comparing... ⏳" : "Compare"}
+            </button>
+            <button
+              onClick={() => onUseAsDateRange(tagByName(base).date, tagByName(head).date)}
+              disabled={!tagByName(base)?.date || !tagByName(head)?.date}
+              style={{
+                ...buttonStyle,
+                background: "transparent",
+                color: accent,
+                border: `1px solid ${darkMode ? "#3949ab" : "#90caf9"}`,
+                opacity: tagByName(base)?.date && tagByName(head)?.date ? 1 : 0.5
+              }}
+              title="Set the page's date range to the dates of the two tags"
+            >
+              📅 Use as date range
+            </button>
+          </div>
+          {compareError && <div style={{ color: "#e53935", marginBottom: 10 }}>⚠️ {compareError}</div>}
+          {summary && (
+            <>
+              <div style={{ fontSize: 14, marginBottom: 15 }}>
+                <strong>{commits.length}</strong> commits from{" "}
+                <strong>{summary.byContributor.length}</strong> contributors ·{" "}
+                <strong>{summary.diffStat.files}</strong> files changed,{" "}
+                <span style={{ color: "#43a047" }}>+{summary.diffStat.additions}</span>{" "}
+                <span style={{ color: "#e53935" }}>−{summary.diffStat.deletions}</span> ·{" "}
+                <a href={comparison.url} target="_blank" rel="noreferrer" style={{ color: accent }}>
+                  view on GitHub
+                </a>
+                {comparison.totalCommits > comparison.commits.length && (
+                  <div style={{ fontSize: 12, color: muted }}>
+                    GitHub returned the first {comparison.commits.length} of {comparison.totalCommits} commits.
+                  </div>
+                )}
+                {comparison.filesTruncated && (
+                  <div style={{ fontSize: 12, color: muted }}>
+                    GitHub lists at most {comparison.files.length} changed files, so the file and line counts cover only
+                    those.
+                  </div>
+                )}
+                {commits.length < comparison.commits.length && (
+                  <div style={{ fontSize: 12, color: muted }}>
+                    🤖 {comparison.commits.length - commits.length} bot commits hidden
+                  </div>
+                )}
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 30 }}>
+                {renderGroups(
+                  "🏷️ By Commit Type",
+                  summary.byType,
+                  "type",
+                  (key) => key,
+                  (key) => commitTypeColors[key] || theme.borderColor
+                )}
+                {renderGroups(
+                  "👤 By Contributor",
+                  summary.byContributor,
+                  "person",
+                  displayName,
+                  () => accent
+                )}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReleasesPanel;
@@ -0,0 +1,181 @@
+import React from "react";
+import ExportMenu from "./ExportMenu";
+import { summarizeReviewsByReviewer, buildReviewMatrix } from "../utils/reviewMetrics";
+import { formatHours } from "../utils/prMetrics";
+
+const REVIEWER_COLUMNS = [
+  { key: "reviewer", label: "Reviewer" },
+  { key: "reviews", label: "Reviews" },
+  { key: "approvals", label: "Approvals" },
+  { key: "changesRequested", label: "Changes Requested" },
+  { key: "commented", label: "Commented" },
+  { key: "comments", label: "Review Comments" },
+  { key: "prsReviewed", label: "PRs Reviewed" },
+  { key: (row) => formatHours(row.medianTurnaroundHours), label: "Median Turnaround" }
+];
+
+// Review participation per reviewer and a reviewer × author matrix.
+// `reviews` come from collectReviews, already narrowed by the page filters.
+const ReviewPanel = ({
+  repo,
+  reviews,
+  truncatedPullRequests = 0,
+  pullRequestsTruncated,
+  hasReviewData,
+  isLoading,
+  error,
+  darkMode,
+  theme,
+  reviewerKey,
+  authorKey,
+  displayName
+}) => {
+  const rows = summarizeReviewsByReviewer(reviews, reviewerKey).map((row) => ({
+    ...row,
+    reviewer: displayName(row.reviewer)
+  }));
+  const matrix = buildReviewMatrix(reviews, reviewerKey, authorKey);
+  const accent = darkMode ? "#90caf9" : "#1976d2";
+  const muted = darkMode ? "#aaa" : "#777";
+  const cellStyle = { padding: 8, textAlign: "right" };
+  // Cell shading scales with the busiest reviewer/author pair
+  const heat = (count) =>
+    count
+      ? darkMode
+        ? `rgba(100, 181, 246, ${0.15 + (0.65 * count) / matrix.max})`
+        : `rgba(25, 118, 210, ${0.1 + (0.6 * count) / matrix.max})`
+      : "transparent";
+
+  return (
+    <div
+      id="reviews"
+      style={{
+        background: theme.cardBg,
+        padding: 25,
+        borderRadius: 16,
+        marginBottom: 30,
+        boxShadow: theme.cardShadow,
+        border: `1px solid ${theme.borderColor}`
+      }}
+    >
+      <h3
+        style={{
+          marginBottom: 20,
+          display: "flex",
+          alignItems: "center",
+          gap: 10,
+          color: darkMode ? "#64b5f6" : "#1976d2"
+        }}
+      >
+        👀 Code Reviews
+        <span style={{ marginLeft: "auto", fontSize: 14 }}>
+          <ExportMenu rows={rows} columns={REVIEWER_COLUMNS} filename={`${repo}-reviews`} darkMode={darkMode} />
+        </span>
+      </h3>
+      {isLoading ? (
+        <div>Loading reviews... ⏳</div>
+      ) : error ? (
+        <div style={{ color: "#e53935" }}>⚠️ {error}</div>
+      ) : !hasReviewData ? (
+        <p style={{ fontSize: 13, color: muted }}>
+          ℹ️ Reviews are loaded through the GraphQL API and need a GitHub token (REACT_APP_GITHUB_TOKEN).
+        </p>
+      ) : rows.length === 0 ? (
+        <p>No reviews match the current filters.</p>
+      ) : (
+        <>
+          <p style={{ fontSize: 12, color: muted, marginTop: 0 }}>
+            Reviews submitted in the date range, on pull requests opened at any time. Turnaround is the time from a
+            PR being opened to the reviewer's first review on it.
+          </p>
+          {pullRequestsTruncated && (
+            <p style={{ fontSize: 12, color: "#fb8c00", marginTop: 0 }}>
+              ⚠️ Only the most recently updated pull requests were loaded, so reviews on older ones are missing.
+            </p>
+          )}
+          {truncatedPullRequests > 0 && (
+            <p style={{ fontSize: 12, color: "#fb8c00", marginTop: 0 }}>
+              ⚠️ {truncatedPullRequests} {truncatedPullRequests === 1 ? "pull request has" : "pull requests have"} more
+              reviews than could be loaded; only the earliest are counted.
+            </p>
+          )}
+          <div style={{ overflowX: "auto", marginBottom: 25 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${theme.borderColor}` }}>
+                  {REVIEWER_COLUMNS.map((col) => (
+                    <th
+                      key={col.label}
+                      style={{ ...cellStyle, textAlign: col.label === "Reviewer" ? "left" : "right", color: accent }}
+                    >
+                      {col.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.reviewer} style={{ borderBottom: `1px solid ${theme.borderColor}` }}>
+                    <td style={{ ...cellStyle, textAlign: "left", fontWeight: 500 }}>{row.reviewer}</td>
+                    <td style={cellStyle}>{row.reviews}</td>
+                    <td style={{ ...cellStyle, color: "#43a047" }}>{row.approvals}</td>
+                    <td style={{ ...cellStyle, color: "#e53935" }}>{row.changesRequested}</td>
+                    <td style={cellStyle}>{row.commented}</td>
+                    <td style={cellStyle}>{row.comments}</td>
+                    <td style={cellStyle}>{row.prsReviewed}</td>
+                    <td style={cellStyle}>{formatHours(row.medianTurnaroundHours)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h4 style={{ marginBottom: 10 }}>🔁 Who Reviews Whom</h4>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th style={{ ...cellStyle, textAlign: "left", color: muted, fontWeight: 400 }}>
+                    reviewer ↓ / author →
+                  </th>
+                  {matrix.authors.map((author) => (
+                    <th key={author} style={{ ...cellStyle, textAlign: "center", color: accent }}>
+                      {displayName(author)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.reviewers.map((reviewer) => (
+                  <tr key={reviewer}>
+                    <td style={{ ...cellStyle, textAlign: "left", fontWeight: 500 }}>{displayName(reviewer)}</td>
+                    {matrix.authors.map((author) => {
+                      const count = matrix.counts[reviewer][author] || 0;
+                      return (
+                        <td
+                          key={author}
+                          title={`${displayName(reviewer)} reviewed ${displayName(author)} ${count} times`}
+                          style={{
+                            ...cellStyle,
+                            textAlign: "center",
+                            minWidth: 40,
+                            border: `1px solid ${theme.borderColor}`,
+                            background: heat(count)
+                          }}
+                        >
+                          {count || ""}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReviewPanel;
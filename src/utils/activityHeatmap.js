@@ -0,0 +1,106 @@
+// Calendar (day by day) and punch-card (weekday × hour) commit aggregations.
+// Days, weekdays and hours are taken in `timeZone` (an IANA name such as
+// "Europe/Berlin"); an empty time zone means the browser's own.
+import { addDays, parseISO, format, startOfWeek, endOfWeek } from "date-fns";
+
+export const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+// A handful of zones for the picker; any valid IANA name can be typed in
+export const COMMON_TIME_ZONES = [
+  "UTC",
+  "America/Los_Angeles",
+  "America/New_York",
+  "America/Sao_Paulo",
+  "Europe/London",
+  "Europe/Berlin",
+  "Europe/Istanbul",
+  "Asia/Kolkata",
+  "Asia/Shanghai",
+  "Asia/Tokyo",
+  "Australia/Sydney"
+];
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return true;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone || undefined,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        weekday: "short",
+        hour: "2-digit",
+        hourCycle: "h23"
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+// { day: "yyyy-MM-dd", weekday: 0 (Mon) .. 6 (Sun), hour: 0..23 } of a date in a time zone
+export function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(new Date(date))
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    hour: Number(parts.hour)
+  };
+}
+
+const commitDate = (commit) => commit.commit.author.date;
+
+// Whole Monday-to-Sunday weeks covering the commits (or `from` / `to` when set):
+// { weeks: [[{ day, commits }] × 7], max }
+export function buildCalendar(commits, timeZone, { from, to } = {}) {
+  const byDay = new Map();
+  commits.forEach((commit) => {
+    const { day } = zonedParts(commitDate(commit), timeZone);
+    byDay.set(day, [...(byDay.get(day) || []), commit]);
+  });
+  const days = [...byDay.keys()].sort();
+  const first = from || days[0];
+  const last = to || days[days.length - 1];
+  if (!first || !last) return { weeks: [], max: 0 };
+
+  const weeks = [];
+  let cursor = startOfWeek(parseISO(first), { weekStartsOn: 1 });
+  const end = endOfWeek(parseISO(last), { weekStartsOn: 1 });
+  while (cursor <= end) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      const day = format(cursor, "yyyy-MM-dd");
+      week.push({ day, commits: byDay.get(day) || [] });
+      cursor = addDays(cursor, 1);
+    }
+    weeks.push(week);
+  }
+  return { weeks, max: Math.max(0, ...[...byDay.values()].map((list) => list.length)) };
+}
+
+// grid[weekday][hour] = commits, and the largest cell size
+export function buildPunchCard(commits, timeZone) {
+  const grid = WEEKDAYS.map(() => Array.from({ length: 24 }, () => []));
+  commits.forEach((commit) => {
+    const { weekday, hour } = zonedParts(commitDate(commit), timeZone);
+    grid[weekday][hour].push(commit);
+  });
+  return { grid, max: Math.max(0, ...grid.flat().map((cell) => cell.length)) };
+}
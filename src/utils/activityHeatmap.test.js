@@ -0,0 +1,77 @@
+import { buildCalendar, buildPunchCard, isValidTimeZone, zonedParts } from './activityHeatmap';
+
+const commitAt = (date) => ({ commit: { author: { date } } });
+
+test('validates IANA time zone names', () => {
+  expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+  expect(isValidTimeZone('')).toBe(true);
+  expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+});
+
+describe('zonedParts', () => {
+  test('moves the day, weekday and hour into the time zone', () => {
+    // Monday 23:30 UTC
+    expect(zonedParts('2024-01-01T23:30:00Z', 'UTC')).toEqual({ day: '2024-01-01', weekday: 0, hour: 23 });
+    expect(zonedParts('2024-01-01T23:30:00Z', 'Asia/Tokyo')).toEqual({ day: '2024-01-02', weekday: 1, hour: 8 });
+    expect(zonedParts('2024-01-01T03:00:00Z', 'America/Los_Angeles')).toEqual({
+      day: '2023-12-31',
+      weekday: 6,
+      hour: 19
+    });
+  });
+
+  test('follows daylight saving time', () => {
+    // Berlin is UTC+1 in winter and UTC+2 after 31 March 2024, 01:00 UTC
+    expect(zonedParts('2024-03-31T00:30:00Z', 'Europe/Berlin').hour).toBe(1);
+    expect(zonedParts('2024-03-31T01:30:00Z', 'Europe/Berlin').hour).toBe(3);
+    expect(zonedParts('2024-10-27T00:30:00Z', 'Europe/Berlin').hour).toBe(2);
+    expect(zonedParts('2024-10-27T01:30:00Z', 'Europe/Berlin').hour).toBe(2);
+  });
+
+  test('reports midnight as hour 0', () => {
+    expect(zonedParts('2024-01-01T00:00:00Z', 'UTC').hour).toBe(0);
+  });
+});
+
+describe('buildCalendar', () => {
+  test('covers whole Monday-to-Sunday weeks around the commits', () => {
+    const calendar = buildCalendar(
+      [commitAt('2024-01-03T10:00:00Z'), commitAt('2024-01-03T12:00:00Z'), commitAt('2024-01-09T10:00:00Z')],
+      'UTC'
+    );
+    expect(calendar.weeks).toHaveLength(2);
+    expect(calendar.weeks[0][0].day).toBe('2024-01-01');
+    expect(calendar.weeks[1][6].day).toBe('2024-01-14');
+    expect(calendar.weeks[0][2].commits).toHaveLength(2);
+    expect(calendar.weeks[1][1].commits).toHaveLength(1);
+    expect(calendar.max).toBe(2);
+  });
+
+  test('uses the date range when given, and the time zone for the day', () => {
+    const calendar = buildCalendar([commitAt('2024-01-07T23:30:00Z')], 'Asia/Tokyo', {
+      from: '2024-01-01',
+      to: '2024-01-31'
+    });
+    expect(calendar.weeks).toHaveLength(5);
+    // Sunday evening in UTC is Monday morning in Tokyo
+    expect(calendar.weeks[1][0]).toMatchObject({ day: '2024-01-08' });
+    expect(calendar.weeks[1][0].commits).toHaveLength(1);
+  });
+
+  test('is empty without commits or range', () => {
+    expect(buildCalendar([], 'UTC')).toEqual({ weeks: [], max: 0 });
+  });
+});
+
+test('buildPunchCard buckets commits by weekday and hour in the time zone', () => {
+  const card = buildPunchCard(
+    [commitAt('2024-01-01T09:15:00Z'), commitAt('2024-01-01T09:45:00Z'), commitAt('2024-01-06T18:00:00Z')],
+    'Europe/London'
+  );
+  expect(card.grid).toHaveLength(7);
+  expect(card.grid[0]).toHaveLength(24);
+  expect(card.grid[0][9]).toHaveLength(2);
+  expect(card.grid[5][18]).toHaveLength(1);
+  expect(card.max).toBe(2);
+  expect(buildPunchCard([], 'UTC').max).toBe(0);
+});
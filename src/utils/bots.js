@@ -0,0 +1,47 @@
+// Bot account detection.
+// An account or commit author is a bot when GitHub says so (`type: "Bot"`),
+// when its login or name ends in "[bot]" (GitHub Apps), or when its login,
+// name or email matches one of the user's wildcard patterns.
+// Patterns are case-insensitive and `*` matches any run of characters.
+
+export const DEFAULT_BOT_PATTERNS = [
+  "dependabot*",
+  "renovate*",
+  "github-actions*",
+  "greenkeeper*",
+  "snyk-bot",
+  "*-bot",
+  "*release-bot*",
+  "semantic-release*"
+];
+
+const BOT_SUFFIX = /\[bot\]$/i;
+
+const wildcardToRegExp = (pattern) =>
+  new RegExp(
+    `^${pattern.trim().replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`,
+    "i"
+  );
+
+// Email local part, minus GitHub's "12345+" noreply prefix
+const emailUser = (email) => (email || "").split("@")[0].replace(/^\d+\+/, "");
+
+export function createBotDetector(patterns) {
+  const regexes = patterns.filter((p) => p.trim()).map(wildcardToRegExp);
+  const matchesName = (value) =>
+    Boolean(value) && (BOT_SUFFIX.test(value) || regexes.some((regex) => regex.test(value)));
+
+  const isBotAccount = ({ login, type, name, email } = {}) =>
+    type === "Bot" || matchesName(login) || matchesName(name) || matchesName(emailUser(email));
+
+  return {
+    // Contributor entries: accounts and anonymous { email, name } records
+    isBotAccount,
+    isBotCommit: (commit) =>
+      isBotAccount(commit.author || {}) ||
+      isBotAccount({
+        name: commit.commit?.author?.name,
+        email: commit.commit?.author?.email
+      })
+  };
+}
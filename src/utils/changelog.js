@@ -0,0 +1,107 @@
+// Markdown release notes from a list of commits.
+// Commits are grouped by their commit type (see commitTaxonomy.js); breaking
+// changes get their own section first. Each entry keeps the Conventional
+// Commit scope, links referenced PRs/issues and the commit, and credits the
+// author. Merge commits are left out, their changes are in the merged commits.
+import { parseConventionalCommit } from "./conventionalCommits";
+import { OTHER_TYPE } from "./commitTaxonomy";
+
+export const BREAKING_SECTION = "⚠️ Breaking Changes";
+
+// Headings for the default types, in the order they are listed
+const SECTION_TITLES = {
+  feat: "✨ Features",
+  fix: "🐛 Bug Fixes",
+  perf: "⚡ Performance",
+  docs: "📚 Documentation",
+  refactor: "♻️ Refactoring",
+  revert: "⏪ Reverts",
+  test: "🧪 Tests",
+  build: "📦 Build",
+  ci: "🤖 CI",
+  style: "🎨 Style",
+  chore: "🧹 Chores",
+  [OTHER_TYPE]: "Other Changes"
+};
+const SECTION_ORDER = Object.keys(SECTION_TITLES);
+
+const MERGE_PATTERN = /^Merge (pull request|branch|remote-tracking branch)\b/;
+const REFERENCE_PATTERN = /(?:^|[\s(])#(\d+)\b/g;
+// "Subject (#123)" as written by squash merges
+const TRAILING_REFERENCE = /\s*\(#\d+\)\s*$/;
+
+const sectionTitle = (type) => SECTION_TITLES[type] || type.charAt(0).toUpperCase() + type.slice(1);
+const sectionRank = (type) => {
+  const index = SECTION_ORDER.indexOf(type);
+  // Custom types go after the defaults, "other" last
+  if (type === OTHER_TYPE) return SECTION_ORDER.length + 1;
+  return index === -1 ? SECTION_ORDER.length : index;
+};
+
+// PR / issue numbers mentioned anywhere in the message
+export function commitReferences(message) {
+  return [...new Set([...(message || "").matchAll(REFERENCE_PATTERN)].map((match) => Number(match[1])))];
+}
+
+// `options`:
+//   repo         "owner/name", for links
+//   title        top heading
+//   from, to     date range shown under the title
+//   classify     message -> commit type id
+//   personKey    commit -> contributor key (login, or email for unlinked authors)
+//   displayName  contributor key -> name
+export function generateChangelog(commits, { repo, title, from, to, classify, personKey, displayName }) {
+  const baseUrl = `https://github.com/${repo}`;
+  const creditFor = (commit) => {
+    const key = personKey(commit);
+    if (!key.includes("@")) return `@${key}`;
+    const name = displayName(key);
+    return name !== key ? name : commit.commit.author.name || key;
+  };
+
+  const sections = new Map();
+  const credits = new Map();
+  const add = (section, rank, line) => {
+    const entry = sections.get(section) || { rank, lines: [] };
+    entry.lines.push(line);
+    sections.set(section, entry);
+  };
+
+  commits
+    .filter((commit) => !MERGE_PATTERN.test(commit.commit.message))
+    .forEach((commit) => {
+      const message = commit.commit.message;
+      const parsed = parseConventionalCommit(message);
+      const credit = creditFor(commit);
+      credits.set(credit, (credits.get(credit) || 0) + 1);
+
+      const links = [
+        ...commitReferences(message).map((number) => `[#${number}](${baseUrl}/issues/${number})`),
+        `[${commit.sha.substring(0, 7)}](${baseUrl}/commit/${commit.sha})`
+      ];
+      const subject = parsed.subject.replace(TRAILING_REFERENCE, "");
+      const scope = parsed.scope ? `**${parsed.scope}:** ` : "";
+      const line = `- ${scope}${subject} (${links.join(", ")}) — ${credit}`;
+
+      if (parsed.breaking) {
+        const note = parsed.footers.find((f) => /^BREAKING[ -]CHANGE$/.test(f.token));
+        add(BREAKING_SECTION, -1, note ? `${line}\n  ${note.value.replace(/\n/g, "\n  ")}` : line);
+      } else {
+        const type = classify(message);
+        add(sectionTitle(type), sectionRank(type), line);
+      }
+    });
+
+  const range = from || to ? `_${from || "…"} – ${to || "today"}_\n\n` : "";
+  const body = [...sections.entries()]
+    .sort(([, a], [, b]) => a.rank - b.rank)
+    .map(([section, { lines }]) => `## ${section}\n\n${lines.join("\n")}`)
+    .join("\n\n");
+  const contributors = [...credits.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([credit, count]) => `- ${credit} (${count} ${count === 1 ? "commit" : "commits"})`)
+    .join("\n");
+
+  if (!body) return `# ${title}\n\n${range}No changes in this range.\n`;
+  return `# ${title}\n\n${range}${body}\n\n## 🙌 Contributors\n\n${contributors}\n`;
+}
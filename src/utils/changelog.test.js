@@ -0,0 +1,95 @@
+import { BREAKING_SECTION, commitReferences, generateChangelog } from './changelog';
+import { createCommitClassifier, DEFAULT_COMMIT_TYPES } from './commitTaxonomy';
+
+let nextSha = 0;
+const commit = (message, { login = 'ann', email = 'ann@example.com', name = 'Ann' } = {}) => {
+  nextSha += 1;
+  return {
+    sha: String(nextSha).padStart(40, 'a'),
+    author: login ? { login } : null,
+    commit: { message, author: { email, name } }
+  };
+};
+
+const options = {
+  repo: 'octo/app',
+  title: 'Release notes',
+  classify: createCommitClassifier(DEFAULT_COMMIT_TYPES),
+  personKey: (c) => c.author?.login || c.commit.author.email,
+  displayName: (key) => (key === 'sam@example.com' ? 'Sam Lee' : key)
+};
+
+test('finds PR and issue references once each', () => {
+  expect(commitReferences('fix: crash (#12)\n\nCloses #7, refs #12')).toEqual([12, 7]);
+  expect(commitReferences('feat: colour #fff')).toEqual([]);
+  expect(commitReferences(undefined)).toEqual([]);
+});
+
+test('groups by type in the default order with scope, links and credit', () => {
+  const markdown = generateChangelog(
+    [commit('fix(api): handle 404 (#12)'), commit('feat: dark mode', { login: 'bob' })],
+    options
+  );
+  const features = markdown.indexOf('## ✨ Features');
+  const fixes = markdown.indexOf('## 🐛 Bug Fixes');
+  expect(features).toBeGreaterThan(-1);
+  expect(fixes).toBeGreaterThan(features);
+  // The squash-merge "(#12)" moves into the links
+  expect(markdown).toContain(
+    '- **api:** handle 404 ([#12](https://github.com/octo/app/issues/12), ' +
+      '[aaaaaaa](https://github.com/octo/app/commit/'
+  );
+  expect(markdown).toContain(') — @ann');
+});
+
+test('lists breaking changes first with their footer note', () => {
+  const markdown = generateChangelog(
+    [
+      commit('feat: add export'),
+      commit('refactor!: rename options\n\nBREAKING CHANGE: `size` is now `limit`\nand must be a number')
+    ],
+    options
+  );
+  expect(markdown.indexOf(`## ${BREAKING_SECTION}`)).toBeLessThan(markdown.indexOf('## ✨ Features'));
+  expect(markdown).toContain('rename options');
+  expect(markdown).toContain('\n  `size` is now `limit`\n  and must be a number');
+  expect(markdown).not.toContain('## ♻️ Refactoring');
+});
+
+test('leaves merge commits out', () => {
+  const markdown = generateChangelog(
+    [commit('Merge pull request #3 from ann/x'), commit("Merge branch 'main' into x"), commit('fix: typo')],
+    options
+  );
+  expect(markdown).not.toContain('Merge');
+  expect(markdown).toContain('- @ann (1 commit)');
+});
+
+test('puts custom types after the defaults and other changes last', () => {
+  const classify = (message) => (message.startsWith('i18n') ? 'i18n' : options.classify(message));
+  const markdown = generateChangelog(
+    [commit('Update README'), commit('i18n: add German'), commit('chore: bump deps')],
+    { ...options, classify }
+  );
+  const order = ['## 🧹 Chores', '## I18n', '## Other Changes'].map((heading) => markdown.indexOf(heading));
+  expect(order.every((index) => index > -1)).toBe(true);
+  expect([...order].sort((a, b) => a - b)).toEqual(order);
+});
+
+test('credits unlinked authors by name and counts contributions', () => {
+  const markdown = generateChangelog(
+    [
+      commit('fix: a', { login: null, email: 'sam@example.com' }),
+      commit('fix: b', { login: null, email: 'kim@example.com', name: 'Kim' }),
+      commit('fix: c', { login: null, email: 'kim@example.com', name: 'Kim' })
+    ],
+    options
+  );
+  expect(markdown).toContain('## 🙌 Contributors\n\n- Kim (2 commits)\n- Sam Lee (1 commit)\n');
+});
+
+test('shows the range and an empty message without changes', () => {
+  expect(generateChangelog([], { ...options, from: '2024-03-01' })).toBe(
+    '# Release notes\n\n_2024-03-01 – today_\n\nNo changes in this range.\n'
+  );
+});
@@ -0,0 +1,110 @@
+// User-editable commit type taxonomy.
+// A taxonomy is an ordered list of commit types; the first type whose
+// matcher accepts a message wins, anything unmatched is OTHER_TYPE.
+//
+//   { id: "feat", color: "#43a047", match: "prefix", pattern: "feat, feature" }
+//
+// Matchers:
+//   prefix   - the Conventional Commits type is one of the comma-separated prefixes
+//   regex    - the regular expression (case-insensitive) matches the header line
+//   keywords - any of the comma-separated words appears in the header line
+// Taxonomies are saved in the workspace as { global, repos: { "owner/name": [...] } };
+// a null global means DEFAULT_COMMIT_TYPES.
+import { parseConventionalCommit } from "./conventionalCommits";
+
+export const OTHER_TYPE = "other";
+export const OTHER_TYPE_COLOR = "#9e9e9e";
+
+export const MATCH_KINDS = {
+  prefix: "Prefix",
+  regex: "Regex",
+  keywords: "Keywords"
+};
+
+export const DEFAULT_COMMIT_TYPES = [
+  { id: "feat", color: "#43a047", match: "prefix", pattern: "feat, feature" },
+  { id: "fix", color: "#e53935", match: "prefix", pattern: "fix, bugfix" },
+  { id: "docs", color: "#1e88e5", match: "prefix", pattern: "docs, doc" },
+  { id: "style", color: "#8e24aa", match: "prefix", pattern: "style" },
+  { id: "refactor", color: "#fb8c00", match: "prefix", pattern: "refactor" },
+  { id: "perf", color: "#00acc1", match: "prefix", pattern: "perf" },
+  { id: "test", color: "#7cb342", match: "prefix", pattern: "test, tests" },
+  { id: "build", color: "#6d4c41", match: "prefix", pattern: "build" },
+  { id: "ci", color: "#3949ab", match: "prefix", pattern: "ci" },
+  { id: "chore", color: "#757575", match: "prefix", pattern: "chore" },
+  { id: "revert", color: "#d81b60", match: "prefix", pattern: "revert" }
+];
+
+export const EMPTY_TAXONOMY_SETTINGS = { global: null, repos: {} };
+
+const splitList = (pattern) =>
+  (pattern || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Returns an error message for a commit type that can't be used, or null
+export function validateCommitType(type, allTypes = []) {
+  const id = (type.id || "").trim();
+  if (!id) return "Type name is required";
+  if (id === OTHER_TYPE) return `"${OTHER_TYPE}" is reserved for unmatched commits`;
+  if (allTypes.filter((t) => t.id.trim() === id).length > 1) return `Duplicate type "${id}"`;
+  if (!type.pattern || !type.pattern.trim()) return "Pattern is required";
+  if (type.match === "regex") {
+    try {
+      new RegExp(type.pattern, "i");
+    } catch (err) {
+      return `Invalid regex: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+// Turns a type definition into a (parsedCommit, header) => boolean test
+function compileMatcher(type) {
+  if (type.match === "regex") {
+    try {
+      const regex = new RegExp(type.pattern, "i");
+      return (parsed, header) => regex.test(header);
+    } catch (err) {
+      return () => false;
+    }
+  }
+  if (type.match === "keywords") {
+    const keywords = splitList(type.pattern).map(
+      (word) => new RegExp(`\\b${escapeRegExp(word)}\\b`, "i")
+    );
+    return (parsed, header) => keywords.some((regex) => regex.test(header));
+  }
+  const prefixes = splitList(type.pattern);
+  return (parsed) => parsed.type !== null && prefixes.includes(parsed.type);
+}
+
+// Precompiles a taxonomy into a classifier: message => type id
+export function createCommitClassifier(commitTypes) {
+  const matchers = commitTypes.map((type) => ({ id: type.id, test: compileMatcher(type) }));
+  return (message) => {
+    if (!message) return OTHER_TYPE;
+    const parsed = parseConventionalCommit(message);
+    const header = message.split("\n")[0];
+    const found = matchers.find(({ test }) => test(parsed, header));
+    return found ? found.id : OTHER_TYPE;
+  };
+}
+
+// Commit types in effect for a repo: its own override, else the global list
+export function resolveCommitTypes(settings, repo) {
+  const repoTypes = repo && settings?.repos?.[repo];
+  return repoTypes || settings?.global || DEFAULT_COMMIT_TYPES;
+}
+
+// id -> chart colour, including OTHER_TYPE
+export function getCommitTypeColors(commitTypes) {
+  const colors = { [OTHER_TYPE]: OTHER_TYPE_COLOR };
+  commitTypes.forEach((type) => {
+    colors[type.id] = type.color;
+  });
+  return colors;
+}
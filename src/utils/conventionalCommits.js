@@ -0,0 +1,69 @@
+// Conventional Commits (https://www.conventionalcommits.org) message parser.
+//
+//   <type>[(scope)][!]: <subject>
+//
+//   [body]
+//
+//   [footers, e.g. "BREAKING CHANGE: ...", "Refs: #123", "Closes #45"]
+
+const HEADER_PATTERN = /^\s*([a-z][\w-]*)(?:\(([^)]*)\))?(!)?:\s*(.*)$/i;
+// Subject line git writes for `git revert`
+const GIT_REVERT_PATTERN = /^Revert\s+"(.*)"\s*$/;
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[\w-]+)(?::\s|\s#)(.*)$/;
+const BREAKING_TOKENS = ["BREAKING CHANGE", "BREAKING-CHANGE"];
+
+// Splits the lines after the header into body and footers.
+// Footers are the last paragraph, when its first line looks like a footer.
+function splitBodyAndFooters(lines) {
+  let end = lines.length;
+  while (end > 0 && lines[end - 1].trim() === "") end--;
+  let start = end;
+  while (start > 0 && lines[start - 1].trim() !== "") start--;
+  const footers = [];
+  const hasFooters = start < end && FOOTER_PATTERN.test(lines[start]);
+  if (hasFooters) {
+    lines.slice(start, end).forEach((line) => {
+      const match = line.match(FOOTER_PATTERN);
+      if (match) {
+        footers.push({ token: match[1], value: match[2].trim() });
+      } else {
+        // Continuation of a multi-line footer value
+        footers[footers.length - 1].value += `\n${line.trim()}`;
+      }
+    });
+  }
+  const body = lines.slice(0, hasFooters ? start : end).join("\n").trim();
+  return { body, footers };
+}
+
+// Returns { type, scope, breaking, subject, body, footers, conventional }.
+// `type` is lower-cased; it is null when the header is not conventional.
+export function parseConventionalCommit(message) {
+  const lines = (message || "").replace(/\r\n/g, "\n").split("\n");
+  const header = lines[0] || "";
+  const { body, footers } = splitBodyAndFooters(lines.slice(1));
+  const breakingFooter = footers.some((f) => BREAKING_TOKENS.includes(f.token));
+
+  const match = header.match(HEADER_PATTERN);
+  if (match) {
+    return {
+      type: match[1].toLowerCase(),
+      scope: match[2] ? match[2].trim() || null : null,
+      breaking: Boolean(match[3]) || breakingFooter,
+      subject: match[4].trim(),
+      body,
+      footers,
+      conventional: true
+    };
+  }
+  const revert = header.match(GIT_REVERT_PATTERN);
+  return {
+    type: revert ? "revert" : null,
+    scope: null,
+    breaking: breakingFooter,
+    subject: revert ? revert[1] : header.trim(),
+    body,
+    footers,
+    conventional: false
+  };
+}
@@ -0,0 +1,92 @@
+import { parseConventionalCommit } from './conventionalCommits';
+import { createCommitClassifier, DEFAULT_COMMIT_TYPES } from './commitTaxonomy';
+
+test('parses type, scope and subject', () => {
+  const parsed = parseConventionalCommit('feat(api): add pagination');
+  expect(parsed).toMatchObject({
+    type: 'feat',
+    scope: 'api',
+    breaking: false,
+    subject: 'add pagination',
+    conventional: true
+  });
+});
+
+test('lower-cases the type', () => {
+  expect(parseConventionalCommit('Feat: add login').type).toBe('feat');
+});
+
+test('marks `!` headers as breaking', () => {
+  const parsed = parseConventionalCommit('fix!: drop node 14');
+  expect(parsed.type).toBe('fix');
+  expect(parsed.scope).toBeNull();
+  expect(parsed.breaking).toBe(true);
+  expect(parseConventionalCommit('refactor(core)!: rename options').breaking).toBe(true);
+});
+
+test('splits body and footers, and reads BREAKING CHANGE footers', () => {
+  const message = [
+    'feat(parser): support arrays',
+    '',
+    'Arrays can now be nested.',
+    'Second body line.',
+    '',
+    'BREAKING CHANGE: the old array syntax is gone',
+    'and has no replacement',
+    'Refs: #123',
+    'Closes #45'
+  ].join('\n');
+  const parsed = parseConventionalCommit(message);
+  expect(parsed.breaking).toBe(true);
+  expect(parsed.body).toBe('Arrays can now be nested.\nSecond body line.');
+  expect(parsed.footers).toEqual([
+    { token: 'BREAKING CHANGE', value: 'the old array syntax is gone\nand has no replacement' },
+    { token: 'Refs', value: '#123' },
+    { token: 'Closes', value: '45' }
+  ]);
+});
+
+test('accepts BREAKING-CHANGE as a footer token', () => {
+  expect(parseConventionalCommit('chore: bump deps\n\nBREAKING-CHANGE: needs node 20').breaking).toBe(true);
+});
+
+test('keeps a last paragraph that is not a footer in the body', () => {
+  const parsed = parseConventionalCommit('docs: typo\n\nJust some text.');
+  expect(parsed.body).toBe('Just some text.');
+  expect(parsed.footers).toEqual([]);
+});
+
+test('recognizes git revert subjects', () => {
+  const parsed = parseConventionalCommit('Revert "feat: add login"\n\nThis reverts commit abc123.');
+  expect(parsed).toMatchObject({ type: 'revert', subject: 'feat: add login', conventional: false });
+});
+
+test('returns a null type for non-conventional messages', () => {
+  expect(parseConventionalCommit('Update README.md')).toMatchObject({
+    type: null,
+    scope: null,
+    breaking: false,
+    subject: 'Update README.md',
+    conventional: false
+  });
+  expect(parseConventionalCommit('').type).toBeNull();
+  expect(parseConventionalCommit(undefined).subject).toBe('');
+});
+
+test('handles CRLF line endings', () => {
+  const parsed = parseConventionalCommit('fix: crash\r\n\r\nBREAKING CHANGE: yes\r\n');
+  expect(parsed.breaking).toBe(true);
+  expect(parsed.footers).toEqual([{ token: 'BREAKING CHANGE', value: 'yes' }]);
+});
+
+test('default taxonomy classifies the headers getCommitType used to miss', () => {
+  const classify = createCommitClassifier(DEFAULT_COMMIT_TYPES);
+  expect(classify('feat(api): x')).toBe('feat');
+  expect(classify('fix!: x')).toBe('fix');
+  expect(classify('Feat: x')).toBe('feat');
+  expect(classify('build: x')).toBe('build');
+  expect(classify('ci: x')).toBe('ci');
+  expect(classify('revert: x')).toBe('revert');
+  expect(classify('Revert "feat: x"')).toBe('revert');
+  expect(classify('Update README.md')).toBe('other');
+});
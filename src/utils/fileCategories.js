@@ -0,0 +1,113 @@
+// Path-based file categorisation rules.
+// Rules are tried in order and the first match decides the category;
+// files no rule matches are OTHER_CATEGORY.
+//
+//   { category: "test", match: "glob", pattern: "**/__tests__/**, tests/**" }
+//
+// Matchers (patterns are comma-separated):
+//   glob      - glob against the full path: `*` and `?` stay inside one
+//               directory, `**` spans directories ("**/" may match nothing)
+//   extension - the path ends with the extension (".d.ts", "tsx")
+//   filename  - glob against the file name only ("*.test.*", "Dockerfile")
+// Rule sets are saved in the workspace as { global, repos: { "owner/name": [...] } };
+// a null global means DEFAULT_CATEGORY_RULES.
+
+export const OTHER_CATEGORY = "other";
+
+export const RULE_MATCH_KINDS = {
+  glob: "Path glob",
+  extension: "Extension",
+  filename: "File name"
+};
+
+export const DEFAULT_CATEGORY_RULES = [
+  { category: "test", match: "glob", pattern: "**/__tests__/**, **/test/**, **/tests/**, **/spec/**, **/e2e/**" },
+  { category: "test", match: "filename", pattern: "*.test.*, *.spec.*, *_test.go, test_*.py, *Test.java" },
+  { category: "ci", match: "glob", pattern: ".github/workflows/**, .circleci/**, .gitlab-ci.yml, .travis.yml, azure-pipelines.yml, Jenkinsfile" },
+  { category: "dependencies", match: "filename", pattern: "package-lock.json, yarn.lock, pnpm-lock.yaml, Gemfile.lock, Cargo.lock, poetry.lock, composer.lock, go.sum" },
+  { category: "database", match: "glob", pattern: "**/migrations/**, **/migrate/**, **/db/schema.*" },
+  { category: "database", match: "extension", pattern: ".sql, .prisma" },
+  { category: "infra", match: "glob", pattern: "terraform/**, infra/**, k8s/**, helm/**, deploy/**, .docker/**" },
+  { category: "infra", match: "filename", pattern: "Dockerfile, Dockerfile.*, *.dockerfile, docker-compose*.yml, docker-compose*.yaml, Procfile, *.tf" },
+  { category: "assets", match: "extension", pattern: ".png, .jpg, .jpeg, .gif, .svg, .ico, .webp, .bmp, .woff, .woff2, .ttf, .eot, .mp3, .mp4" },
+  { category: "docs", match: "glob", pattern: "docs/**, doc/**" },
+  { category: "docs", match: "extension", pattern: ".md, .mdx, .txt, .rst, .adoc" },
+  { category: "config", match: "filename", pattern: ".*rc, .*rc.js, .*rc.json, *.config.js, *.config.ts, .editorconfig, .gitignore, .env*" },
+  { category: "config", match: "extension", pattern: ".json, .yml, .yaml, .toml, .ini, .env" },
+  { category: "frontend", match: "glob", pattern: "**/components/**, **/pages/**, **/views/**, public/**" },
+  { category: "frontend", match: "extension", pattern: ".jsx, .tsx, .vue, .svelte, .css, .scss, .sass, .less, .html" },
+  { category: "backend", match: "extension", pattern: ".js, .mjs, .cjs, .ts, .py, .go, .java, .kt, .rb, .php, .cs, .rs, .c, .cpp, .h" }
+];
+
+const splitPatterns = (pattern) =>
+  (pattern || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Converts a glob into an anchored, case-insensitive regular expression
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
+function compileRule(rule) {
+  const patterns = splitPatterns(rule.pattern);
+  if (rule.match === "extension") {
+    const extensions = patterns.map((ext) => (ext.startsWith(".") ? ext : `.${ext}`).toLowerCase());
+    return (path) => extensions.some((ext) => path.toLowerCase().endsWith(ext));
+  }
+  const regexes = patterns.map(globToRegExp);
+  if (rule.match === "filename") {
+    return (path) => {
+      const name = path.slice(path.lastIndexOf("/") + 1);
+      return regexes.some((regex) => regex.test(name));
+    };
+  }
+  return (path) => regexes.some((regex) => regex.test(path));
+}
+
+// Precompiles a rule list into a categorizer: path => category
+export function createFileCategorizer(rules) {
+  const compiled = rules.map((rule) => ({ category: rule.category, test: compileRule(rule) }));
+  return (path) => {
+    const found = compiled.find(({ test }) => test(path));
+    return found ? found.category : OTHER_CATEGORY;
+  };
+}
+
+// Categories in rule order, followed by OTHER_CATEGORY
+export function getCategoryNames(rules) {
+  return [...new Set([...rules.map((rule) => rule.category), OTHER_CATEGORY])];
+}
+
+// Returns an error message for a rule that can't be used, or null
+export function validateCategoryRule(rule) {
+  if (!rule.category || !rule.category.trim()) return "Category is required";
+  if (!splitPatterns(rule.pattern).length) return "At least one pattern is required";
+  return null;
+}
+
+// Rules in effect for a repo: its own override, else the global list
+export function resolveCategoryRules(settings, repo) {
+  const repoRules = repo && settings?.repos?.[repo];
+  return repoRules || settings?.global || DEFAULT_CATEGORY_RULES;
+}
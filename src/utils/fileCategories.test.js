@@ -0,0 +1,115 @@
+import {
+  DEFAULT_CATEGORY_RULES,
+  OTHER_CATEGORY,
+  createFileCategorizer,
+  getCategoryNames,
+  globToRegExp,
+  resolveCategoryRules,
+  validateCategoryRule
+} from './fileCategories';
+
+describe('globToRegExp', () => {
+  test('`*` and `?` stay inside one directory', () => {
+    expect(globToRegExp('src/*.js').test('src/App.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/utils/a.js')).toBe(false);
+    expect(globToRegExp('?.md').test('a.md')).toBe(true);
+    expect(globToRegExp('?.md').test('ab.md')).toBe(false);
+  });
+
+  test('`**` spans directories and `**/` may match nothing', () => {
+    expect(globToRegExp('docs/**').test('docs/img/logo.png')).toBe(true);
+    expect(globToRegExp('**/tests/**').test('tests/a.js')).toBe(true);
+    expect(globToRegExp('**/tests/**').test('pkg/core/tests/a.js')).toBe(true);
+    expect(globToRegExp('**/tests/**').test('src/testsuite.js')).toBe(false);
+  });
+
+  test('escapes regex characters and ignores case', () => {
+    expect(globToRegExp('a+b.(x)').test('a+b.(x)')).toBe(true);
+    expect(globToRegExp('a+b.(x)').test('aab.(x)')).toBe(false);
+    expect(globToRegExp('Dockerfile').test('dockerfile')).toBe(true);
+  });
+});
+
+describe('default rules', () => {
+  const categorize = createFileCategorizer(DEFAULT_CATEGORY_RULES);
+
+  test.each([
+    ['src/components/Button.js', 'frontend'],
+    ['src/App.jsx', 'frontend'],
+    ['server/index.js', 'backend'],
+    ['tests/api.test.js', 'test'],
+    ['src/utils/__tests__/x.js', 'test'],
+    ['src/utils/bots.test.js', 'test'],
+    ['.github/workflows/ci.yml', 'ci'],
+    ['docs/images/diagram.png', 'assets'],
+    ['docs/guide.html', 'docs'],
+    ['README.md', 'docs'],
+    ['package-lock.json', 'dependencies'],
+    ['web/yarn.lock', 'dependencies'],
+    ['db/migrations/001_init.rb', 'database'],
+    ['schema.sql', 'database'],
+    ['Dockerfile', 'infra'],
+    ['terraform/main.tf', 'infra'],
+    ['package.json', 'config'],
+    ['.eslintrc', 'config'],
+    ['LICENSE', OTHER_CATEGORY]
+  ])('%s is %s', (path, category) => {
+    expect(categorize(path)).toBe(category);
+  });
+});
+
+test('the first matching rule wins', () => {
+  const categorize = createFileCategorizer([
+    { category: 'generated', match: 'glob', pattern: 'src/gen/**' },
+    { category: 'backend', match: 'extension', pattern: 'js' }
+  ]);
+  expect(categorize('src/gen/api.js')).toBe('generated');
+  expect(categorize('src/api.js')).toBe('backend');
+  expect(categorize('src/api.py')).toBe(OTHER_CATEGORY);
+});
+
+test('extension rules accept extensions with or without a dot, in any case', () => {
+  const categorize = createFileCategorizer([{ category: 'types', match: 'extension', pattern: '.d.ts, TSX' }]);
+  expect(categorize('src/index.d.ts')).toBe('types');
+  expect(categorize('src/App.tsx')).toBe('types');
+  expect(categorize('src/index.ts')).toBe(OTHER_CATEGORY);
+});
+
+test('filename rules only look at the file name', () => {
+  const categorize = createFileCategorizer([{ category: 'test', match: 'filename', pattern: 'test_*.py' }]);
+  expect(categorize('pkg/test_models.py')).toBe('test');
+  expect(categorize('test_dir/models.py')).toBe(OTHER_CATEGORY);
+});
+
+test('category names keep rule order and end with other', () => {
+  expect(
+    getCategoryNames([
+      { category: 'b', match: 'glob', pattern: 'x' },
+      { category: 'a', match: 'glob', pattern: 'y' },
+      { category: 'b', match: 'glob', pattern: 'z' }
+    ])
+  ).toEqual(['b', 'a', OTHER_CATEGORY]);
+});
+
+test('validateCategoryRule requires a category and a pattern', () => {
+  expect(validateCategoryRule({ category: ' ', match: 'glob', pattern: 'a' })).toMatch(/Category/);
+  expect(validateCategoryRule({ category: 'a', match: 'glob', pattern: ' , ' })).toMatch(/pattern/);
+  expect(validateCategoryRule({ category: 'a', match: 'glob', pattern: 'src/**' })).toBeNull();
+});
+
+describe('resolveCategoryRules', () => {
+  const repoRules = [{ category: 'mine', match: 'glob', pattern: '**' }];
+  const globalRules = [{ category: 'shared', match: 'glob', pattern: '**' }];
+
+  test('uses the defaults when nothing is customised', () => {
+    expect(resolveCategoryRules({ global: null, repos: {} }, 'a/b')).toBe(DEFAULT_CATEGORY_RULES);
+    expect(resolveCategoryRules(undefined, null)).toBe(DEFAULT_CATEGORY_RULES);
+  });
+
+  test('a repo override wins over the global rules', () => {
+    const settings = { global: globalRules, repos: { 'a/b': repoRules } };
+    expect(resolveCategoryRules(settings, 'a/b')).toBe(repoRules);
+    expect(resolveCategoryRules(settings, 'c/d')).toBe(globalRules);
+    expect(resolveCategoryRules(settings, null)).toBe(globalRules);
+  });
+});
@@ -0,0 +1,55 @@
+// Per-file hotspots from detailed commits: how often each file changed, by
+// how many people and how many lines. Renamed files are followed, so changes
+// made under an older path count towards the file's latest name.
+
+export const HOTSPOT_RANKINGS = {
+  changes: "Change count",
+  churn: "Lines churned"
+};
+
+// One row per file:
+// { filename, changes, authors, additions, deletions, churn, lastTouched, deleted }
+// `personKey(commit)` names the author; `deleted` is set when the file's
+// latest change removed it.
+export function summarizeFileHotspots(commits, { personKey }) {
+  const files = new Map();
+  // Old path -> latest path, filled while walking from newest to oldest
+  const renamedTo = new Map();
+  const newestFirst = [...commits].sort((a, b) => (a.commit.author.date < b.commit.author.date ? 1 : -1));
+  newestFirst.forEach((commit) => {
+    (commit.files || []).forEach((file) => {
+      const filename = renamedTo.get(file.filename) || file.filename;
+      if (file.previous_filename) renamedTo.set(file.previous_filename, filename);
+      if (!files.has(filename)) {
+        files.set(filename, {
+          filename,
+          commits: new Set(),
+          authors: new Set(),
+          additions: 0,
+          deletions: 0,
+          lastTouched: commit.commit.author.date,
+          deleted: file.status === "removed"
+        });
+      }
+      const row = files.get(filename);
+      row.commits.add(commit.sha);
+      row.authors.add(personKey(commit));
+      row.additions += file.additions || 0;
+      row.deletions += file.deletions || 0;
+    });
+  });
+  return [...files.values()].map(({ commits: fileCommits, authors, ...row }) => ({
+    ...row,
+    changes: fileCommits.size,
+    authors: authors.size,
+    churn: row.additions + row.deletions
+  }));
+}
+
+// Highest first by `by` (a HOTSPOT_RANKINGS key), ties broken by the other metric
+export function rankHotspots(rows, by = "changes") {
+  const other = by === "changes" ? "churn" : "changes";
+  return [...rows].sort(
+    (a, b) => b[by] - a[by] || b[other] - a[other] || a.filename.localeCompare(b.filename)
+  );
+}
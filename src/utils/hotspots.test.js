@@ -0,0 +1,83 @@
+import { rankHotspots, summarizeFileHotspots } from './hotspots';
+
+const commit = (sha, date, author, files) => ({ sha, author, commit: { author: { date } }, files });
+const personKey = (c) => c.author;
+const byName = (rows) => Object.fromEntries(rows.map((row) => [row.filename, row]));
+
+describe('summarizeFileHotspots', () => {
+  test('counts changes, authors and lines per file', () => {
+    const rows = byName(
+      summarizeFileHotspots(
+        [
+          commit('1', '2024-03-01T00:00:00Z', 'ann', [{ filename: 'a.js', additions: 5, deletions: 1 }]),
+          commit('2', '2024-03-02T00:00:00Z', 'bob', [
+            { filename: 'a.js', additions: 2, deletions: 2 },
+            { filename: 'b.js', additions: 1 }
+          ]),
+          commit('3', '2024-03-03T00:00:00Z', 'ann', [{ filename: 'a.js', additions: 1 }])
+        ],
+        { personKey }
+      )
+    );
+    expect(rows['a.js']).toEqual({
+      filename: 'a.js',
+      changes: 3,
+      authors: 2,
+      additions: 8,
+      deletions: 3,
+      churn: 11,
+      lastTouched: '2024-03-03T00:00:00Z',
+      deleted: false
+    });
+    expect(rows['b.js']).toMatchObject({ changes: 1, authors: 1, churn: 1, lastTouched: '2024-03-02T00:00:00Z' });
+  });
+
+  test('follows renames to the latest name, whatever order the commits come in', () => {
+    const commits = [
+      commit('3', '2024-03-03T00:00:00Z', 'cy', [
+        { filename: 'src/main.js', previous_filename: 'src/index.js', status: 'renamed', additions: 1 }
+      ]),
+      commit('1', '2024-03-01T00:00:00Z', 'ann', [{ filename: 'index.js', additions: 10 }]),
+      commit('2', '2024-03-02T00:00:00Z', 'bob', [
+        { filename: 'src/index.js', previous_filename: 'index.js', status: 'renamed', additions: 2 }
+      ])
+    ];
+    const rows = summarizeFileHotspots(commits, { personKey });
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ filename: 'src/main.js', changes: 3, authors: 3, additions: 13 });
+  });
+
+  test('marks files whose latest change removed them', () => {
+    const rows = byName(
+      summarizeFileHotspots(
+        [
+          commit('1', '2024-03-01T00:00:00Z', 'ann', [{ filename: 'old.js', additions: 4, status: 'added' }]),
+          commit('2', '2024-03-02T00:00:00Z', 'ann', [{ filename: 'old.js', deletions: 4, status: 'removed' }]),
+          commit('3', '2024-03-02T00:00:00Z', 'ann', [{ filename: 'new.js', additions: 1, status: 'added' }])
+        ],
+        { personKey }
+      )
+    );
+    expect(rows['old.js'].deleted).toBe(true);
+    expect(rows['new.js'].deleted).toBe(false);
+  });
+
+  test('skips commits without file details', () => {
+    expect(summarizeFileHotspots([commit('1', '2024-03-01T00:00:00Z', 'ann', undefined)], { personKey })).toEqual(
+      []
+    );
+  });
+});
+
+test('rankHotspots sorts by the chosen metric and breaks ties with the other', () => {
+  const rows = [
+    { filename: 'b.js', changes: 2, churn: 100 },
+    { filename: 'a.js', changes: 5, churn: 10 },
+    { filename: 'c.js', changes: 2, churn: 300 },
+    { filename: 'd.js', changes: 2, churn: 100 }
+  ];
+  expect(rankHotspots(rows).map((row) => row.filename)).toEqual(['a.js', 'c.js', 'b.js', 'd.js']);
+  expect(rankHotspots(rows, 'churn').map((row) => row.filename)).toEqual(['c.js', 'b.js', 'd.js', 'a.js']);
+  // The input is left as it was
+  expect(rows[0].filename).toBe('b.js');
+});
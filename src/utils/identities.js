@@ -0,0 +1,193 @@
+// Contributor identities: groups GitHub logins, commit author emails and
+// commit author names that belong to the same person.
+//
+//   { id: "p-1700000000000", name: "Jane Doe", aliases: ["login:jdoe", "email:jane@example.com", "name:Jane Doe"] }
+//
+// Everywhere else in the app a person is referred to by a single "user key":
+// the value of their first login alias (else first email alias). Unmerged
+// contributors keep their login, and unlinked commit authors their email, as key.
+// Identities are saved in the workspace and shared by every repository.
+
+const ALIAS_TYPES = ["login", "email", "name"];
+
+export const makeAlias = (type, value) => `${type}:${value}`;
+
+// A bare user key is a login, or an email when it contains "@"
+export const aliasOfKey = (key) => makeAlias(key.includes("@") ? "email" : "login", key);
+
+export function parseAlias(alias) {
+  const separator = alias.indexOf(":");
+  return { type: alias.slice(0, separator), value: alias.slice(separator + 1) };
+}
+
+// Emails and names compare case-insensitively, logins too (GitHub logins are)
+const normalizeAlias = (alias) => alias.toLowerCase().trim();
+
+// GitHub's private commit emails carry the login: 12345+login@users.noreply.github.com
+const NOREPLY_PATTERN = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+export function loginFromNoreplyEmail(email) {
+  const match = (email || "").match(NOREPLY_PATTERN);
+  return match ? match[1] : null;
+}
+
+// The user key of a person: first login, else first email, else first alias
+function primaryKeyOf(person) {
+  const parsed = person.aliases.map(parseAlias);
+  const preferred =
+    parsed.find((a) => a.type === "login") ||
+    parsed.find((a) => a.type === "email") ||
+    parsed[0];
+  return preferred ? preferred.value : person.name;
+}
+
+// Aliases of a raw contributor / commit author, most specific first
+export function aliasesOfCommit(commit) {
+  const aliases = [];
+  if (commit.author?.login) aliases.push(makeAlias("login", commit.author.login));
+  const author = commit.commit?.author || {};
+  if (author.email) aliases.push(makeAlias("email", author.email));
+  if (author.name) aliases.push(makeAlias("name", author.name));
+  return aliases;
+}
+
+export function createIdentityResolver(identities) {
+  const personByAlias = new Map();
+  const personByKey = new Map();
+  identities.forEach((person) => {
+    person.aliases.forEach((alias) => personByAlias.set(normalizeAlias(alias), person));
+    personByKey.set(primaryKeyOf(person), person);
+  });
+  const findPerson = (aliases) => {
+    for (const alias of aliases) {
+      const person = personByAlias.get(normalizeAlias(alias));
+      if (person) return person;
+    }
+    return null;
+  };
+  const personOf = (key) => personByKey.get(key) || findPerson([aliasOfKey(key)]);
+
+  return {
+    personOf,
+    // User key a login or email is reported under
+    primaryKey: (key) => {
+      const person = findPerson([aliasOfKey(key)]);
+      return person ? primaryKeyOf(person) : key;
+    },
+    displayName: (key) => personOf(key)?.name || key,
+    // Values accepted by the commits endpoint's `author` filter (logins and emails)
+    authorsFor: (key) => {
+      const person = personOf(key);
+      if (!person) return [key];
+      const authors = person.aliases
+        .map(parseAlias)
+        .filter((a) => a.type === "login" || a.type === "email")
+        .map((a) => a.value);
+      return authors.length > 0 ? authors : [key];
+    },
+    // User key of a commit's author, when the author belongs to a person
+    keyForCommit: (commit) => {
+      const person = findPerson(aliasesOfCommit(commit));
+      return person ? primaryKeyOf(person) : null;
+    }
+  };
+}
+
+// Suggests groups of aliases that probably belong to one person:
+// the same email, a GitHub noreply email of a login, or the same author name.
+// `sources` are { key, aliases } records, e.g. a contributor with the emails
+// and names seen in their commits. Returns [{ keys, aliases, reason }].
+export function suggestIdentityMerges(sources, identities) {
+  const resolver = createIdentityResolver(identities);
+  const parent = new Map();
+  const reasons = new Map();
+  const find = (key) => {
+    while (parent.get(key) !== key) key = parent.get(key);
+    return key;
+  };
+  const union = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return;
+    parent.set(rootB, rootA);
+    reasons.set(rootA, [...new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason])]);
+  };
+
+  const keys = [...new Set(sources.map((source) => resolver.primaryKey(source.key)))];
+  keys.forEach((key) => parent.set(key, key));
+  const aliasesByKey = new Map(keys.map((key) => [key, new Set()]));
+  const ownerOfAlias = new Map();
+  sources.forEach((source) => {
+    const key = resolver.primaryKey(source.key);
+    source.aliases.forEach((alias) => {
+      aliasesByKey.get(key).add(alias);
+      const { type, value } = parseAlias(alias);
+      // Single-word names ("admin", "root") are too weak to merge on
+      if (type === "name" && !/\s/.test(value.trim())) return;
+      const normalized = normalizeAlias(alias);
+      if (ownerOfAlias.has(normalized)) {
+        union(ownerOfAlias.get(normalized), key, type === "email" ? "same email" : "same name");
+      } else {
+        ownerOfAlias.set(normalized, key);
+      }
+      const noreplyLogin = type === "email" && loginFromNoreplyEmail(value);
+      if (noreplyLogin && parent.has(noreplyLogin) && noreplyLogin !== key) {
+        union(noreplyLogin, key, "GitHub noreply email");
+      }
+    });
+  });
+
+  const groups = new Map();
+  keys.forEach((key) => {
+    const root = find(key);
+    groups.set(root, [...(groups.get(root) || []), key]);
+  });
+  return [...groups.entries()]
+    .filter(([, groupKeys]) => groupKeys.length > 1)
+    .map(([root, groupKeys]) => ({
+      keys: groupKeys,
+      aliases: [...new Set(groupKeys.flatMap((key) => [...aliasesByKey.get(key)]))],
+      reason: reasons.get(root).join(", ")
+    }));
+}
+
+// Merges aliases (and any people they already belong to) into one person
+export function mergeIdentities(identities, aliases, name) {
+  const wanted = new Set(aliases.map(normalizeAlias));
+  const absorbed = identities.filter((person) =>
+    person.aliases.some((alias) => wanted.has(normalizeAlias(alias)))
+  );
+  const merged = [...absorbed.flatMap((person) => person.aliases), ...aliases];
+  const seen = new Set();
+  const uniqueAliases = merged.filter((alias) => {
+    const normalized = normalizeAlias(alias);
+    if (seen.has(normalized)) return false;
+    seen.add(normalized);
+    return ALIAS_TYPES.includes(parseAlias(alias).type);
+  });
+  const person = {
+    id: absorbed[0]?.id || `p-${Date.now()}`,
+    name: name || absorbed[0]?.name || parseAlias(uniqueAliases[0]).value,
+    aliases: uniqueAliases
+  };
+  return [...identities.filter((p) => !absorbed.includes(p)), person];
+}
+
+// Detaches one alias from its person; a person left with one alias is dissolved
+export function splitAlias(identities, personId, alias) {
+  return identities
+    .map((person) =>
+      person.id === personId
+        ? { ...person, aliases: person.aliases.filter((a) => a !== alias) }
+        : person
+    )
+    .filter((person) => person.aliases.length > 1);
+}
+
+export function renameIdentity(identities, personId, name) {
+  return identities.map((person) => (person.id === personId ? { ...person, name } : person));
+}
+
+export function removeIdentity(identities, personId) {
+  return identities.filter((person) => person.id !== personId);
+}
@@ -0,0 +1,156 @@
+import {
+  aliasOfKey,
+  aliasesOfCommit,
+  createIdentityResolver,
+  loginFromNoreplyEmail,
+  mergeIdentities,
+  splitAlias,
+  suggestIdentityMerges
+} from './identities';
+
+const jane = {
+  id: 'p-1',
+  name: 'Jane Doe',
+  aliases: ['login:jdoe', 'login:jane-work', 'email:jane@example.com', 'name:Jane Doe']
+};
+
+const commitBy = ({ login, email, name }) => ({
+  author: login ? { login } : null,
+  commit: { author: { email, name } }
+});
+
+test('bare keys map to login or email aliases', () => {
+  expect(aliasOfKey('jdoe')).toBe('login:jdoe');
+  expect(aliasOfKey('jane@example.com')).toBe('email:jane@example.com');
+});
+
+test('reads the login out of GitHub noreply emails', () => {
+  expect(loginFromNoreplyEmail('12345+jdoe@users.noreply.github.com')).toBe('jdoe');
+  expect(loginFromNoreplyEmail('jdoe@users.noreply.github.com')).toBe('jdoe');
+  expect(loginFromNoreplyEmail('jdoe@example.com')).toBeNull();
+});
+
+test('lists a commit author as login, email and name aliases', () => {
+  expect(aliasesOfCommit(commitBy({ login: 'jdoe', email: 'j@x.io', name: 'J' }))).toEqual([
+    'login:jdoe',
+    'email:j@x.io',
+    'name:J'
+  ]);
+});
+
+describe('createIdentityResolver', () => {
+  const resolver = createIdentityResolver([jane]);
+
+  test('reports every alias under the first login', () => {
+    expect(resolver.primaryKey('jane-work')).toBe('jdoe');
+    expect(resolver.primaryKey('JANE@example.com')).toBe('jdoe');
+    expect(resolver.primaryKey('someone')).toBe('someone');
+  });
+
+  test('uses the person name for display', () => {
+    expect(resolver.displayName('jdoe')).toBe('Jane Doe');
+    expect(resolver.displayName('someone')).toBe('someone');
+  });
+
+  test('lists the logins and emails to query commits by', () => {
+    expect(resolver.authorsFor('jdoe')).toEqual(['jdoe', 'jane-work', 'jane@example.com']);
+    expect(resolver.authorsFor('someone')).toEqual(['someone']);
+  });
+
+  test('finds the person of an unlinked commit by email or name', () => {
+    expect(resolver.keyForCommit(commitBy({ email: 'jane@example.com', name: 'J' }))).toBe('jdoe');
+    expect(resolver.keyForCommit(commitBy({ email: 'other@example.com', name: 'Jane Doe' }))).toBe('jdoe');
+    expect(resolver.keyForCommit(commitBy({ login: 'bob', email: 'bob@example.com', name: 'Bob' }))).toBeNull();
+  });
+
+  test('falls back to an email key for people without a login', () => {
+    const emailOnly = createIdentityResolver([
+      { id: 'p-2', name: 'Sam', aliases: ['email:sam@a.io', 'email:sam@b.io'] }
+    ]);
+    expect(emailOnly.primaryKey('sam@b.io')).toBe('sam@a.io');
+  });
+});
+
+describe('suggestIdentityMerges', () => {
+  test('groups keys that share an email', () => {
+    const suggestions = suggestIdentityMerges(
+      [
+        { key: 'jdoe', aliases: ['login:jdoe', 'email:jane@example.com'] },
+        { key: 'jane@example.com', aliases: ['email:Jane@Example.com'] },
+        { key: 'bob', aliases: ['login:bob', 'email:bob@example.com'] }
+      ],
+      []
+    );
+    expect(suggestions).toHaveLength(1);
+    expect(suggestions[0].keys.sort()).toEqual(['jane@example.com', 'jdoe']);
+    expect(suggestions[0].reason).toBe('same email');
+  });
+
+  test('merges transitively (union-find) and collects every reason', () => {
+    const suggestions = suggestIdentityMerges(
+      [
+        { key: 'a', aliases: ['login:a', 'email:shared@x.io'] },
+        { key: 'b', aliases: ['login:b', 'email:shared@x.io', 'name:Ann Lee'] },
+        { key: 'c@x.io', aliases: ['email:c@x.io', 'name:Ann Lee'] }
+      ],
+      []
+    );
+    expect(suggestions).toHaveLength(1);
+    expect(suggestions[0].keys.sort()).toEqual(['a', 'b', 'c@x.io']);
+    expect(suggestions[0].reason.split(', ').sort()).toEqual(['same email', 'same name']);
+  });
+
+  test('links noreply emails to their login', () => {
+    const suggestions = suggestIdentityMerges(
+      [
+        { key: 'jdoe', aliases: ['login:jdoe'] },
+        { key: '1+jdoe@users.noreply.github.com', aliases: ['email:1+jdoe@users.noreply.github.com'] }
+      ],
+      []
+    );
+    expect(suggestions[0].reason).toBe('GitHub noreply email');
+  });
+
+  test('ignores single-word names and people already merged', () => {
+    expect(
+      suggestIdentityMerges(
+        [
+          { key: 'a', aliases: ['login:a', 'name:admin'] },
+          { key: 'b', aliases: ['login:b', 'name:admin'] }
+        ],
+        []
+      )
+    ).toEqual([]);
+    expect(
+      suggestIdentityMerges(
+        [
+          { key: 'jdoe', aliases: ['login:jdoe', 'email:jane@example.com'] },
+          { key: 'jane-work', aliases: ['login:jane-work', 'email:jane@example.com'] }
+        ],
+        [jane]
+      )
+    ).toEqual([]);
+  });
+});
+
+describe('mergeIdentities and splitAlias', () => {
+  test('merging creates a person, or absorbs the people the aliases belong to', () => {
+    const created = mergeIdentities([], ['login:bob', 'email:bob@example.com'], 'Bob');
+    expect(created).toHaveLength(1);
+    expect(created[0]).toMatchObject({ name: 'Bob', aliases: ['login:bob', 'email:bob@example.com'] });
+
+    const merged = mergeIdentities([jane, created[0]], ['login:JDOE', 'login:bob']);
+    expect(merged).toHaveLength(1);
+    expect(merged[0].id).toBe('p-1');
+    expect(merged[0].name).toBe('Jane Doe');
+    // Aliases are de-duplicated case-insensitively
+    expect(merged[0].aliases).toEqual([...jane.aliases, 'login:bob', 'email:bob@example.com']);
+  });
+
+  test('splitting detaches an alias and dissolves a person left with one', () => {
+    const split = splitAlias([jane], 'p-1', 'login:jane-work');
+    expect(split[0].aliases).not.toContain('login:jane-work');
+    const pair = { id: 'p-3', name: 'X', aliases: ['login:x', 'email:x@x.io'] };
+    expect(splitAlias([pair], 'p-3', 'email:x@x.io')).toEqual([]);
+  });
+});
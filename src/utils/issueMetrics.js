@@ -0,0 +1,72 @@
+// Issue metrics over normalized issues (see api/issues.js).
+// Issues count as opened in the week they were created and as closed in
+// the week they were closed; both are limited by `inRange(date)`.
+import { parseISO, startOfWeek, format } from "date-fns";
+import { hoursBetween, percentiles } from "./prMetrics";
+
+export const NO_LABEL = "(no label)";
+
+const weekOf = (date) => format(startOfWeek(parseISO(date), { weekStartsOn: 1 }), "yyyy-MM-dd");
+
+// First comment by someone other than the reporter (bots excluded), or null
+export function firstResponseAt(issue, isBot = () => false) {
+  if (!issue.comments) return null;
+  const response = issue.comments.find(
+    (comment) => comment.author && comment.author !== issue.author && !isBot(comment.author)
+  );
+  return response ? response.createdAt : null;
+}
+
+// [{ key, count }] sorted by count, then key
+const countBy = (values) => {
+  const counts = {};
+  values.forEach((value) => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+};
+
+// Weekly opened/closed counts, latency percentiles, labels, reporters and closers.
+// `personKey(login)` groups reporters and closers (e.g. merged identities).
+// `hasDetails` is false when closers and comments were not loaded.
+// `unknownResponses` counts issues with no response among the loaded comments
+// that had more comments than were loaded.
+export function summarizeIssues(
+  issues,
+  { inRange = () => true, isBot = () => false, personKey = (login) => login } = {}
+) {
+  const opened = issues.filter((issue) => inRange(issue.createdAt));
+  const closed = issues.filter((issue) => issue.closedAt && inRange(issue.closedAt));
+
+  const weeks = {};
+  const weekRow = (week) => (weeks[week] = weeks[week] || { week, opened: 0, closed: 0 });
+  opened.forEach((issue) => (weekRow(weekOf(issue.createdAt)).opened += 1));
+  closed.forEach((issue) => (weekRow(weekOf(issue.closedAt)).closed += 1));
+
+  const respondedAt = opened.map((issue) => firstResponseAt(issue, isBot));
+  const responseDelays = opened
+    .map((issue, index) => (respondedAt[index] ? hoursBetween(issue.createdAt, respondedAt[index]) : null))
+    .filter((hours) => hours !== null);
+
+  return {
+    opened: opened.length,
+    closed: closed.length,
+    stillOpen: opened.filter((issue) => issue.state === "open").length,
+    weekly: Object.values(weeks).sort((a, b) => a.week.localeCompare(b.week)),
+    timeToFirstResponse: percentiles(responseDelays),
+    unknownResponses: opened.filter((issue, index) => !respondedAt[index] && issue.commentsTruncated).length,
+    timeToClose: percentiles(closed.map((issue) => hoursBetween(issue.createdAt, issue.closedAt))),
+    labels: countBy(opened.flatMap((issue) => (issue.labels.length ? issue.labels : [NO_LABEL]))).map(
+      ({ key, count }) => ({ label: key, count })
+    ),
+    topReporters: countBy(opened.filter((issue) => issue.author).map((issue) => personKey(issue.author))),
+    topClosers: countBy(
+      closed
+        .filter((issue) => issue.closedBy && !isBot(issue.closedBy))
+        .map((issue) => personKey(issue.closedBy))
+    ),
+    hasDetails: issues.length === 0 || issues.some((issue) => issue.comments !== null)
+  };
+}
@@ -0,0 +1,101 @@
+import { NO_LABEL, firstResponseAt, summarizeIssues } from './issueMetrics';
+
+const issue = (overrides) => ({
+  author: 'ann',
+  state: 'open',
+  createdAt: '2024-03-04T12:00:00Z',
+  closedAt: null,
+  closedBy: null,
+  labels: [],
+  comments: [],
+  commentsTruncated: false,
+  ...overrides
+});
+
+const comment = (author, createdAt) => ({ author, createdAt });
+const inMarch = (date) => date >= '2024-03-01' && date < '2024-04-01';
+
+describe('firstResponseAt', () => {
+  test('skips the reporter, deleted accounts and bots', () => {
+    const reported = issue({
+      comments: [
+        comment('ann', '2024-03-04T13:00:00Z'),
+        comment(null, '2024-03-04T14:00:00Z'),
+        comment('ci-bot', '2024-03-04T15:00:00Z'),
+        comment('bob', '2024-03-04T16:00:00Z')
+      ]
+    });
+    expect(firstResponseAt(reported, (login) => login.endsWith('-bot'))).toBe('2024-03-04T16:00:00Z');
+    expect(firstResponseAt(reported)).toBe('2024-03-04T15:00:00Z');
+  });
+
+  test('is null without comments or a response', () => {
+    expect(firstResponseAt(issue({ comments: null }))).toBeNull();
+    expect(firstResponseAt(issue({ comments: [comment('ann', '2024-03-05T12:00:00Z')] }))).toBeNull();
+  });
+});
+
+describe('summarizeIssues', () => {
+  const issues = [
+    issue({ labels: ['bug'], comments: [comment('bob', '2024-03-04T18:00:00Z')] }),
+    issue({
+      author: 'bob',
+      state: 'closed',
+      createdAt: '2024-03-05T12:00:00Z',
+      closedAt: '2024-03-07T12:00:00Z',
+      closedBy: 'ann',
+      labels: ['bug', 'ui']
+    }),
+    // Opened before the range, closed inside it
+    issue({
+      state: 'closed',
+      createdAt: '2024-02-20T12:00:00Z',
+      closedAt: '2024-03-12T12:00:00Z',
+      closedBy: 'release-bot'
+    })
+  ];
+
+  test('counts opened and closed issues by their own dates, per ISO week', () => {
+    const summary = summarizeIssues(issues, { inRange: inMarch });
+    expect(summary).toMatchObject({ opened: 2, closed: 2, stillOpen: 1 });
+    expect(summary.weekly).toEqual([
+      { week: '2024-03-04', opened: 2, closed: 1 },
+      { week: '2024-03-11', opened: 0, closed: 1 }
+    ]);
+    expect(summary.timeToFirstResponse).toMatchObject({ count: 1, p50: 6 });
+    expect(summary.timeToClose).toMatchObject({ count: 2, p50: (48 + 21 * 24) / 2 });
+  });
+
+  test('labels and reporters come from opened issues, closers from closed ones', () => {
+    const summary = summarizeIssues(issues, {
+      inRange: inMarch,
+      isBot: (login) => login.endsWith('-bot'),
+      personKey: (login) => login.toUpperCase()
+    });
+    expect(summary.labels).toEqual([
+      { label: 'bug', count: 2 },
+      { label: 'ui', count: 1 }
+    ]);
+    expect(summary.topReporters).toEqual([
+      { key: 'ANN', count: 1 },
+      { key: 'BOB', count: 1 }
+    ]);
+    expect(summary.topClosers).toEqual([{ key: 'ANN', count: 1 }]);
+    expect(summarizeIssues([issue({})]).labels).toEqual([{ label: NO_LABEL, count: 1 }]);
+  });
+
+  test('counts issues whose response may lie past the loaded comments', () => {
+    const summary = summarizeIssues([
+      issue({ commentsTruncated: true, comments: [comment('ann', '2024-03-04T13:00:00Z')] }),
+      issue({ commentsTruncated: true, comments: [comment('bob', '2024-03-04T13:00:00Z')] }),
+      issue({})
+    ]);
+    expect(summary.unknownResponses).toBe(1);
+    expect(summary.timeToFirstResponse.count).toBe(1);
+  });
+
+  test('has no details when the REST fallback left comments out', () => {
+    expect(summarizeIssues([issue({ comments: null })]).hasDetails).toBe(false);
+    expect(summarizeIssues([]).hasDetails).toBe(true);
+  });
+});
@@ -0,0 +1,85 @@
+// Line-based metrics from detailed commits.
+// REST commit details carry `stats` and per-file `additions` / `deletions`;
+// GraphQL history carries `stats` only. Churn is additions + deletions,
+// net is additions - deletions.
+
+export const LINE_METRICS = {
+  commits: "Commits",
+  additions: "Lines added",
+  deletions: "Lines deleted",
+  net: "Net lines",
+  churn: "Churn (added + deleted)"
+};
+
+export function commitLineStats(commit) {
+  if (commit.stats) {
+    return { additions: commit.stats.additions || 0, deletions: commit.stats.deletions || 0 };
+  }
+  return (commit.files || []).reduce(
+    (totals, file) => ({
+      additions: totals.additions + (file.additions || 0),
+      deletions: totals.deletions + (file.deletions || 0)
+    }),
+    { additions: 0, deletions: 0 }
+  );
+}
+
+const withDerived = ({ additions, deletions, ...rest }) => ({
+  ...rest,
+  additions,
+  deletions,
+  net: additions - deletions,
+  churn: additions + deletions
+});
+
+// Value one commit contributes to a LINE_METRICS metric
+export function commitMetricValue(commit, metric) {
+  if (metric === "commits") return 1;
+  return withDerived(commitLineStats(commit))[metric] || 0;
+}
+
+// { commits, additions, deletions, net, churn } over a list of commits
+export function summarizeLineStats(commits) {
+  const totals = { commits: commits.length, additions: 0, deletions: 0 };
+  commits.forEach((commit) => {
+    const { additions, deletions } = commitLineStats(commit);
+    totals.additions += additions;
+    totals.deletions += deletions;
+  });
+  return withDerived(totals);
+}
+
+// Per-category { additions, deletions, net, churn } from the commits' changed files
+export function summarizeLineStatsByCategory(commits, categorizeFile) {
+  const byCategory = {};
+  commits.forEach((commit) => {
+    (commit.files || []).forEach((file) => {
+      const category = categorizeFile(file.filename);
+      const totals = byCategory[category] || { additions: 0, deletions: 0 };
+      totals.additions += file.additions || 0;
+      totals.deletions += file.deletions || 0;
+      byCategory[category] = totals;
+    });
+  });
+  return Object.fromEntries(
+    Object.entries(byCategory).map(([category, totals]) => [category, withDerived(totals)])
+  );
+}
+
+// { commits, additions, deletions, net, churn } over weekly totals
+// ({ week: "yyyy-MM-dd", additions, deletions, commits }, weeks starting on
+// Sunday) that overlap `from`..`to` (either may be empty). Weeks are counted
+// whole, so a range that starts or ends mid-week includes the full week.
+export function summarizeWeeklyLineStats(weeks, { from, to } = {}) {
+  const totals = { commits: 0, additions: 0, deletions: 0 };
+  weeks.forEach((week) => {
+    const start = new Date(`${week.week}T00:00:00Z`);
+    const end = new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
+    if (from && end <= new Date(from)) return;
+    if (to && start > new Date(to)) return;
+    totals.commits += week.commits;
+    totals.additions += week.additions;
+    totals.deletions += week.deletions;
+  });
+  return withDerived(totals);
+}
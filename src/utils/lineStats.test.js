@@ -0,0 +1,81 @@
+import {
+  commitLineStats,
+  commitMetricValue,
+  summarizeLineStats,
+  summarizeLineStatsByCategory,
+  summarizeWeeklyLineStats
+} from './lineStats';
+
+const withStats = (additions, deletions) => ({ stats: { additions, deletions, total: additions + deletions } });
+const withFiles = (...files) => ({ files });
+
+test('reads stats, or sums the files when there are none', () => {
+  expect(commitLineStats(withStats(5, 2))).toEqual({ additions: 5, deletions: 2 });
+  expect(
+    commitLineStats(withFiles({ filename: 'a.js', additions: 3, deletions: 1 }, { filename: 'b.png' }))
+  ).toEqual({ additions: 3, deletions: 1 });
+  expect(commitLineStats({})).toEqual({ additions: 0, deletions: 0 });
+});
+
+test('commitMetricValue derives net and churn', () => {
+  const commit = withStats(10, 4);
+  expect(commitMetricValue(commit, 'commits')).toBe(1);
+  expect(commitMetricValue(commit, 'net')).toBe(6);
+  expect(commitMetricValue(commit, 'churn')).toBe(14);
+  expect(commitMetricValue(withStats(1, 5), 'net')).toBe(-4);
+});
+
+test('summarizeLineStats totals a list of commits', () => {
+  expect(summarizeLineStats([withStats(10, 4), withStats(0, 6)])).toEqual({
+    commits: 2,
+    additions: 10,
+    deletions: 10,
+    net: 0,
+    churn: 20
+  });
+  expect(summarizeLineStats([])).toEqual({ commits: 0, additions: 0, deletions: 0, net: 0, churn: 0 });
+});
+
+test('summarizeLineStatsByCategory splits by the category of each file', () => {
+  const categorize = (path) => (path.startsWith('docs/') ? 'docs' : 'frontend');
+  const byCategory = summarizeLineStatsByCategory(
+    [
+      withFiles({ filename: 'src/a.js', additions: 5, deletions: 1 }, { filename: 'docs/a.md', additions: 2 }),
+      withFiles({ filename: 'src/b.js', additions: 1, deletions: 3 })
+    ],
+    categorize
+  );
+  expect(byCategory).toEqual({
+    frontend: { additions: 6, deletions: 4, net: 2, churn: 10 },
+    docs: { additions: 2, deletions: 0, net: 2, churn: 2 }
+  });
+});
+
+describe('summarizeWeeklyLineStats', () => {
+  const weeks = [
+    { week: '2024-01-07', additions: 10, deletions: 1, commits: 2 },
+    { week: '2024-01-14', additions: 20, deletions: 2, commits: 3 },
+    { week: '2024-01-21', additions: 30, deletions: 3, commits: 4 }
+  ];
+
+  test('counts every week without a range', () => {
+    expect(summarizeWeeklyLineStats(weeks)).toEqual({
+      commits: 9,
+      additions: 60,
+      deletions: 6,
+      net: 54,
+      churn: 66
+    });
+  });
+
+  test('counts whole weeks that overlap the range', () => {
+    // The 16th is mid-week: the week of the 14th counts in full
+    expect(summarizeWeeklyLineStats(weeks, { from: '2024-01-16', to: '' }).additions).toBe(50);
+    expect(summarizeWeeklyLineStats(weeks, { from: '', to: '2024-01-14' }).additions).toBe(30);
+    expect(summarizeWeeklyLineStats(weeks, { from: '2024-01-14', to: '2024-01-20' }).additions).toBe(20);
+  });
+
+  test('a week ending on the start date is left out', () => {
+    expect(summarizeWeeklyLineStats(weeks, { from: '2024-01-28', to: '' }).commits).toBe(0);
+  });
+});
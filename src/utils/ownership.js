@@ -0,0 +1,73 @@
+// Knowledge concentration per area (a directory or a file category), from the
+// per-file changes of detailed commits. A file's change size is its lines added
+// plus deleted, or 1 when GitHub reports no lines (binary files, pure renames).
+import { subMonths } from "date-fns";
+
+export const ROOT_AREA = "(root)";
+
+const changeSize = (file) => (file.additions || 0) + (file.deletions || 0) || 1;
+
+// Directory of `path` cut to at most `depth` levels: "src/components" for
+// "src/components/App.js" at depth 2, ROOT_AREA for top-level files
+export function directoryArea(path, depth = 1) {
+  const dirs = path.split("/").slice(0, -1);
+  return dirs.length ? dirs.slice(0, depth).join("/") : ROOT_AREA;
+}
+
+// Fewest authors whose changes add up to at least half of all changes
+export function busFactor(changes) {
+  const total = changes.reduce((sum, value) => sum + value, 0);
+  let covered = 0;
+  const sorted = [...changes].sort((a, b) => b - a);
+  for (let i = 0; i < sorted.length; i++) {
+    covered += sorted[i];
+    if (covered * 2 >= total) return i + 1;
+  }
+  return 0;
+}
+
+// One row per area, largest first:
+// { area, changes, commits, authors: [{ key, changes, share }], busFactor, topOwner, topShare }
+// `areaOf(path)` names the area of a file, `personKey(commit)` its author.
+export function summarizeOwnership(commits, { areaOf, personKey }) {
+  const areas = new Map();
+  commits.forEach((commit) => {
+    const key = personKey(commit);
+    (commit.files || []).forEach((file) => {
+      const name = areaOf(file.filename);
+      if (!areas.has(name)) areas.set(name, { byAuthor: new Map(), commits: new Set() });
+      const area = areas.get(name);
+      area.byAuthor.set(key, (area.byAuthor.get(key) || 0) + changeSize(file));
+      area.commits.add(commit.sha);
+    });
+  });
+
+  return [...areas.entries()]
+    .map(([name, area]) => {
+      const changes = [...area.byAuthor.values()].reduce((sum, value) => sum + value, 0);
+      const authors = [...area.byAuthor.entries()]
+        .map(([key, authorChanges]) => ({ key, changes: authorChanges, share: authorChanges / changes }))
+        .sort((a, b) => b.changes - a.changes || a.key.localeCompare(b.key));
+      return {
+        area: name,
+        changes,
+        commits: area.commits.size,
+        authors,
+        busFactor: busFactor(authors.map((author) => author.changes)),
+        topOwner: authors[0].key,
+        topShare: authors[0].share
+      };
+    })
+    .sort((a, b) => b.changes - a.changes || a.area.localeCompare(b.area));
+}
+
+// A single author holds at least half of the area and has not committed
+// for `inactiveMonths` months. `row.ownerLastActive` is the owner's newest
+// commit on the ref; rows without one (not loaded yet) are never at risk.
+export function isKnowledgeAtRisk(row, { inactiveMonths, now = new Date() }) {
+  return (
+    row.busFactor === 1 &&
+    Boolean(row.ownerLastActive) &&
+    new Date(row.ownerLastActive) < subMonths(now, inactiveMonths)
+  );
+}
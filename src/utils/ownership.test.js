@@ -0,0 +1,69 @@
+import { ROOT_AREA, busFactor, directoryArea, isKnowledgeAtRisk, summarizeOwnership } from './ownership';
+
+const commit = (sha, author, files) => ({ sha, author, commit: { author: { date: '2024-03-01T00:00:00Z' } }, files });
+const file = (filename, additions = 0, deletions = 0) => ({ filename, additions, deletions });
+
+test('directoryArea cuts paths to the given depth', () => {
+  expect(directoryArea('src/components/App.js')).toBe('src');
+  expect(directoryArea('src/components/App.js', 2)).toBe('src/components');
+  expect(directoryArea('src/App.js', 2)).toBe('src');
+  expect(directoryArea('README.md')).toBe(ROOT_AREA);
+});
+
+describe('busFactor', () => {
+  test('is the fewest authors covering at least half of the changes', () => {
+    expect(busFactor([50, 30, 20])).toBe(1);
+    expect(busFactor([40, 30, 30])).toBe(2);
+    expect(busFactor([10, 10, 10, 10])).toBe(2);
+    expect(busFactor([1, 1, 1])).toBe(2);
+  });
+
+  test('does not depend on the order and is 0 without changes', () => {
+    expect(busFactor([20, 30, 40, 10])).toBe(2);
+    expect(busFactor([])).toBe(0);
+  });
+});
+
+describe('summarizeOwnership', () => {
+  const commits = [
+    commit('1', 'ann', [file('src/a.js', 30, 10), file('docs/a.md', 1)]),
+    commit('2', 'bob', [file('src/b.js', 15, 5)]),
+    commit('3', 'ann', [file('src/a.js', 10), file('logo.png')])
+  ];
+  const rows = summarizeOwnership(commits, { areaOf: (path) => directoryArea(path), personKey: (c) => c.author });
+
+  test('one row per area, largest first, with author shares', () => {
+    expect(rows.map((row) => row.area)).toEqual(['src', ROOT_AREA, 'docs']);
+    const [src] = rows;
+    expect(src).toMatchObject({ changes: 70, commits: 3, busFactor: 1, topOwner: 'ann' });
+    expect(src.topShare).toBeCloseTo(50 / 70);
+    expect(src.authors.map((author) => [author.key, author.changes])).toEqual([
+      ['ann', 50],
+      ['bob', 20]
+    ]);
+  });
+
+  test('counts a file without line changes as one', () => {
+    expect(rows.find((row) => row.area === ROOT_AREA).changes).toBe(1);
+  });
+
+  test('leaves owner activity to the caller', () => {
+    expect(rows[0]).not.toHaveProperty('ownerLastActive');
+  });
+});
+
+describe('isKnowledgeAtRisk', () => {
+  const now = new Date('2024-09-15T00:00:00Z');
+  const row = { busFactor: 1, ownerLastActive: '2024-01-10T00:00:00Z' };
+
+  test('flags a single owner inactive for the given months', () => {
+    expect(isKnowledgeAtRisk(row, { inactiveMonths: 6, now })).toBe(true);
+    expect(isKnowledgeAtRisk(row, { inactiveMonths: 9, now })).toBe(false);
+  });
+
+  test('needs a bus factor of 1 and a known last activity', () => {
+    expect(isKnowledgeAtRisk({ ...row, busFactor: 2 }, { inactiveMonths: 6, now })).toBe(false);
+    expect(isKnowledgeAtRisk({ ...row, ownerLastActive: undefined }, { inactiveMonths: 6, now })).toBe(false);
+    expect(isKnowledgeAtRisk({ ...row, ownerLastActive: null }, { inactiveMonths: 6, now })).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+// Builds the multi-page PDF analysis report for the current view.
+import { jsPDF } from "jspdf";
+import { autoTable } from "jspdf-autotable";
+
+const MARGIN = 40;
+const HEADING_COLOR = [25, 118, 210];
+const TABLE_STYLES = {
+  styles: { fontSize: 9, cellPadding: 4 },
+  headStyles: { fillColor: HEADING_COLOR }
+};
+
+// Rasterizes a rendered (recharts) SVG so it can be embedded in the PDF.
+export function svgToPngDataUrl(svgElement, { scale = 2, background = "#ffffff" } = {}) {
+  const { width, height } = svgElement.getBoundingClientRect();
+  const clone = svgElement.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  const svgData = new XMLSerializer().serializeToString(clone);
+  const svgUrl = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgData)}`;
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve({ dataUrl: canvas.toDataURL("image/png"), width, height });
+    };
+    image.onerror = () => reject(new Error("Failed to render chart image"));
+    image.src = svgUrl;
+  });
+}
+
+// Tracks the vertical cursor and starts a new page when content won't fit
+function createCursor(doc) {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  let y = MARGIN;
+  return {
+    get y() {
+      return y;
+    },
+    set y(value) {
+      y = value;
+    },
+    ensureSpace(height) {
+      if (y + height > pageHeight - MARGIN) {
+        doc.addPage();
+        y = MARGIN;
+      }
+    },
+    afterTable() {
+      y = doc.lastAutoTable.finalY + 20;
+    }
+  };
+}
+
+function addHeading(doc, cursor, text) {
+  cursor.ensureSpace(40);
+  doc.setFontSize(14);
+  doc.setTextColor(...HEADING_COLOR);
+  doc.text(text, MARGIN, cursor.y);
+  doc.setTextColor(0, 0, 0);
+  cursor.y += 12;
+}
+
+function addNote(doc, cursor, text) {
+  cursor.ensureSpace(20);
+  doc.setFontSize(10);
+  doc.setTextColor(100, 100, 100);
+  doc.text(text, MARGIN, cursor.y + 8);
+  doc.setTextColor(0, 0, 0);
+  cursor.y += 24;
+}
+
+function addTable(doc, cursor, head, body) {
+  autoTable(doc, {
+    ...TABLE_STYLES,
+    head: [head],
+    body,
+    startY: cursor.y,
+    margin: { left: MARGIN, right: MARGIN }
+  });
+  cursor.afterTable();
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// report: {
+//   repo, dateFrom, dateTo, commitFilter,
+//   contributors: [{ login, contributions }],
+//   weeklyChartSvg: SVGElement | null,
+//   fileBreakdown: { [category]: fileCount },
+//   categoryDistribution: { [user]: { [category]: count } },
+//   dateRangeSummary: [{ name, commitCount, newFiles, modifiedFiles, deletedFiles }]
+// }
+export async function buildAnalysisReport(report) {
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const cursor = createCursor(doc);
+
+  // Repo header
+  doc.setFontSize(20);
+  doc.text(`Repository Analysis: ${report.repo}`, MARGIN, cursor.y + 10);
+  cursor.y += 32;
+  doc.setFontSize(10);
+  doc.setTextColor(100, 100, 100);
+  const range = report.dateFrom || report.dateTo
+    ? `${report.dateFrom || "beginning"} to ${report.dateTo || "today"}`
+    : "All time";
+  doc.text(`Date range: ${range}`, MARGIN, cursor.y);
+  doc.text(`Commit type: ${report.commitFilter === "all" ? "All Types" : report.commitFilter}`, MARGIN, cursor.y + 14);
+  doc.text(`Generated: ${new Date().toLocaleString("en-US")}`, MARGIN, cursor.y + 28);
+  doc.setTextColor(0, 0, 0);
+  cursor.y += 50;
+
+  addHeading(doc, cursor, "Contributors");
+  if (report.contributors.length > 0) {
+    addTable(
+      doc,
+      cursor,
+      ["User", "Commits"],
+      report.contributors.map((c) => [c.login, c.contributions])
+    );
+  } else {
+    addNote(doc, cursor, "No contributors loaded.");
+  }
+
+  addHeading(doc, cursor, "Weekly Commit Comparison");
+  if (report.weeklyChartSvg) {
+    const image = await svgToPngDataUrl(report.weeklyChartSvg);
+    const imageWidth = pageWidth - MARGIN * 2;
+    const imageHeight = (image.height / image.width) * imageWidth;
+    cursor.ensureSpace(imageHeight + 10);
+    doc.addImage(image.dataUrl, "PNG", MARGIN, cursor.y, imageWidth, imageHeight);
+    cursor.y += imageHeight + 20;
+  } else {
+    addNote(doc, cursor, "Select contributors to include the weekly comparison chart.");
+  }
+
+  addHeading(doc, cursor, "File Structure Breakdown");
+  addTable(
+    doc,
+    cursor,
+    ["Category", "Files"],
+    Object.entries(report.fileBreakdown).map(([category, count]) => [capitalize(category), count])
+  );
+
+  addHeading(doc, cursor, "Category Distribution per Contributor");
+  const users = Object.keys(report.categoryDistribution);
+  if (users.length > 0) {
+    const categories = Object.keys(report.categoryDistribution[users[0]]);
+    addTable(
+      doc,
+      cursor,
+      ["User", ...categories.map(capitalize)],
+      users.map((user) => [
+        user,
+        ...categories.map((category) => report.categoryDistribution[user][category] || 0)
+      ])
+    );
+  } else {
+    addNote(doc, cursor, "No contributors selected.");
+  }
+
+  addHeading(doc, cursor, "Changes Summary for Selected Date Range");
+  if (report.dateRangeSummary.length > 0) {
+    addTable(
+      doc,
+      cursor,
+      ["Directory", "Commits", "New Files", "Modified Files", "Deleted Files"],
+      report.dateRangeSummary.map((item) => [
+        item.name,
+        item.commitCount,
+        item.newFiles,
+        item.modifiedFiles,
+        item.deletedFiles
+      ])
+    );
+  } else {
+    addNote(doc, cursor, "No changes found for the selected date range.");
+  }
+
+  // Page numbers
+  const pageCount = doc.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(150, 150, 150);
+    doc.text(
+      `Page ${i} of ${pageCount}`,
+      pageWidth - MARGIN,
+      doc.internal.pageSize.getHeight() - 20,
+      { align: "right" }
+    );
+  }
+  return doc;
+}
+
+export async function downloadAnalysisReport(report) {
+  const doc = await buildAnalysisReport(report);
+  const safeRepo = report.repo.replace(/[^a-z0-9-_]+/gi, "_");
+  doc.save(`${safeRepo}-report-${new Date().toISOString().slice(0, 10)}.pdf`);
+}
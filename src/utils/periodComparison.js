@@ -0,0 +1,57 @@
+// Period-over-period comparison of commit metrics.
+// Period A is the one being looked at, period B the baseline; deltas are A − B
+// and percent change is relative to B.
+import { differenceInCalendarDays, parseISO, subDays, format } from "date-fns";
+import { summarizeLineStats } from "./lineStats";
+
+// The window of the same length that ends where this one starts.
+// Like the date filters, a window starts at `from` and stops at the start of `to`.
+export function previousPeriod(from, to) {
+  const days = differenceInCalendarDays(parseISO(to), parseISO(from));
+  return { from: format(subDays(parseISO(from), days), "yyyy-MM-dd"), to: from };
+}
+
+// null when the baseline is zero
+export const percentChange = (a, b) => (b === 0 ? null : ((a - b) / b) * 100);
+
+const countBy = (values) =>
+  values.reduce((counts, value) => ({ ...counts, [value]: (counts[value] || 0) + 1 }), {});
+
+// Everything one period is compared on. `options`:
+//   classify(message), categorizeFile(path), personKey(commit) and
+//   summarizeDirectories(commits) -> { [dir]: { commitCount } }
+export function summarizePeriod(commits, { classify, categorizeFile, personKey, summarizeDirectories }) {
+  const lines = summarizeLineStats(commits);
+  const files = commits.flatMap((commit) => commit.files || []);
+  const byContributor = countBy(commits.map(personKey));
+  return {
+    overview: {
+      Commits: commits.length,
+      Contributors: Object.keys(byContributor).length,
+      "Lines added": lines.additions,
+      "Lines deleted": lines.deletions,
+      "Net lines": lines.net,
+      Churn: lines.churn,
+      "Files changed": files.length
+    },
+    byContributor,
+    byType: countBy(commits.map((commit) => classify(commit.commit.message))),
+    byCategory: countBy(files.map((file) => categorizeFile(file.filename))),
+    byDirectory: Object.fromEntries(
+      Object.values(summarizeDirectories(commits)).map((dir) => [dir.name, dir.commitCount])
+    )
+  };
+}
+
+// Side-by-side rows { key, a, b, delta, percent } over the keys of both periods.
+// `keepOrder` keeps the keys as given (for the overview) instead of sorting by size.
+export function compareCounts(a, b, { keepOrder = false } = {}) {
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  const rows = keys.map((key) => {
+    const valueA = a[key] || 0;
+    const valueB = b[key] || 0;
+    return { key, a: valueA, b: valueB, delta: valueA - valueB, percent: percentChange(valueA, valueB) };
+  });
+  if (keepOrder) return rows;
+  return rows.sort((x, y) => Math.max(y.a, y.b) - Math.max(x.a, x.b) || x.key.localeCompare(y.key));
+}
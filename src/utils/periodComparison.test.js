@@ -0,0 +1,74 @@
+import { compareCounts, percentChange, previousPeriod, summarizePeriod } from './periodComparison';
+
+describe('previousPeriod', () => {
+  test('is the window of the same length ending where this one starts', () => {
+    expect(previousPeriod('2024-03-08', '2024-03-15')).toEqual({ from: '2024-03-01', to: '2024-03-08' });
+  });
+
+  test('crosses month and year boundaries', () => {
+    expect(previousPeriod('2024-03-01', '2024-04-01')).toEqual({ from: '2024-01-30', to: '2024-03-01' });
+    expect(previousPeriod('2024-01-01', '2024-01-15')).toEqual({ from: '2023-12-18', to: '2024-01-01' });
+  });
+
+  test('counts calendar days across a daylight saving change', () => {
+    // Clocks in the EU went forward on 31 March 2024
+    expect(previousPeriod('2024-03-31', '2024-04-07')).toEqual({ from: '2024-03-24', to: '2024-03-31' });
+  });
+});
+
+test('percentChange is relative to the baseline and null from zero', () => {
+  expect(percentChange(15, 10)).toBe(50);
+  expect(percentChange(5, 10)).toBe(-50);
+  expect(percentChange(3, 0)).toBeNull();
+});
+
+test('summarizePeriod counts commits, people, lines, types, categories and directories', () => {
+  const commits = [
+    {
+      author: { login: 'ann' },
+      commit: { message: 'feat: a' },
+      stats: { additions: 10, deletions: 2 },
+      files: [{ filename: 'src/a.js' }, { filename: 'docs/a.md' }]
+    },
+    {
+      author: { login: 'bob' },
+      commit: { message: 'fix: b' },
+      stats: { additions: 1, deletions: 4 },
+      files: [{ filename: 'src/b.js' }]
+    }
+  ];
+  const summary = summarizePeriod(commits, {
+    classify: (message) => message.split(':')[0],
+    categorizeFile: (path) => (path.startsWith('docs/') ? 'docs' : 'frontend'),
+    personKey: (c) => c.author.login,
+    summarizeDirectories: () => ({ src: { name: 'src', commitCount: 2 }, docs: { name: 'docs', commitCount: 1 } })
+  });
+  expect(summary.overview).toEqual({
+    Commits: 2,
+    Contributors: 2,
+    'Lines added': 11,
+    'Lines deleted': 6,
+    'Net lines': 5,
+    Churn: 17,
+    'Files changed': 3
+  });
+  expect(summary.byContributor).toEqual({ ann: 1, bob: 1 });
+  expect(summary.byType).toEqual({ feat: 1, fix: 1 });
+  expect(summary.byCategory).toEqual({ frontend: 2, docs: 1 });
+  expect(summary.byDirectory).toEqual({ src: 2, docs: 1 });
+});
+
+describe('compareCounts', () => {
+  test('covers keys of both periods, largest first', () => {
+    expect(compareCounts({ feat: 4, docs: 1 }, { fix: 6, feat: 2 })).toEqual([
+      { key: 'fix', a: 0, b: 6, delta: -6, percent: -100 },
+      { key: 'feat', a: 4, b: 2, delta: 2, percent: 100 },
+      { key: 'docs', a: 1, b: 0, delta: 1, percent: null }
+    ]);
+  });
+
+  test('keepOrder keeps the overview order', () => {
+    const rows = compareCounts({ Commits: 1, Churn: 100 }, { Commits: 2, Churn: 50 }, { keepOrder: true });
+    expect(rows.map((row) => row.key)).toEqual(['Commits', 'Churn']);
+  });
+});
@@ -0,0 +1,124 @@
+// Pull request metrics over normalized PRs (see api/pullRequests.js).
+// Durations are in hours.
+
+// Lines changed (additions + deletions) upper bounds per size bucket
+export const PR_SIZE_BUCKETS = [
+  { label: "XS", max: 10 },
+  { label: "S", max: 50 },
+  { label: "M", max: 250 },
+  { label: "L", max: 1000 },
+  { label: "XL", max: Infinity }
+];
+
+const HOUR = 60 * 60 * 1000;
+
+export const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / HOUR;
+
+// Linear-interpolated percentile (p in 0..100); null for an empty list
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// { count, p50, p75, p90 } of a list of durations
+export const percentiles = (values) => ({
+  count: values.length,
+  p50: percentile(values, 50),
+  p75: percentile(values, 75),
+  p90: percentile(values, 90)
+});
+
+// First review by someone other than the PR author, or null
+export function firstReviewAt(pr) {
+  if (!pr.reviews) return null;
+  const times = pr.reviews
+    .filter((review) => review.author !== pr.author)
+    .map((review) => review.submittedAt)
+    .sort();
+  return times[0] || null;
+}
+
+export function prSizeBucket(pr) {
+  if (pr.additions === null || pr.additions === undefined) return null;
+  const lines = pr.additions + pr.deletions;
+  return PR_SIZE_BUCKETS.find((bucket) => lines <= bucket.max).label;
+}
+
+// Merged out of all PRs that were resolved (merged or closed); null when none were
+const mergeRate = (merged, closed) => (merged + closed > 0 ? merged / (merged + closed) : null);
+
+// Counts, merge rate, latency percentiles and size distribution of a PR list.
+// Each figure picks PRs by its own date: opened, still open, sizes and review
+// delay by `createdAt`, merged and time to merge by `mergedAt`, closed by
+// `closedAt`, each tested with `inRange(date)`.
+// `hasDetails` is false when the data came without sizes and reviews.
+export function summarizePullRequests(prs, inRange = () => true) {
+  const within = (date) => Boolean(date) && inRange(date);
+  const opened = prs.filter((pr) => within(pr.createdAt));
+  const merged = prs.filter((pr) => pr.state === "merged" && within(pr.mergedAt));
+  const closed = prs.filter((pr) => pr.state === "closed" && within(pr.closedAt)).length;
+  const reviewDelays = opened
+    .map((pr) => {
+      const reviewedAt = firstReviewAt(pr);
+      return reviewedAt ? hoursBetween(pr.createdAt, reviewedAt) : null;
+    })
+    .filter((hours) => hours !== null);
+  const sizes = PR_SIZE_BUCKETS.map(({ label }) => ({
+    size: label,
+    count: opened.filter((pr) => prSizeBucket(pr) === label).length
+  }));
+  return {
+    opened: opened.length,
+    merged: merged.length,
+    closed,
+    open: opened.filter((pr) => pr.state === "open").length,
+    mergeRate: mergeRate(merged.length, closed),
+    timeToMerge: percentiles(merged.map((pr) => hoursBetween(pr.createdAt, pr.mergedAt))),
+    timeToFirstReview: percentiles(reviewDelays),
+    sizes,
+    hasDetails: prs.length === 0 || prs.some((pr) => pr.reviews !== null)
+  };
+}
+
+// One row per author: { author, opened, merged, closed, open, mergeRate, medianHoursToMerge }
+// `inRange` as in summarizePullRequests
+export function summarizePullRequestsByAuthor(
+  prs,
+  authorKey = (pr) => pr.author || "(deleted user)",
+  inRange = () => true
+) {
+  const byAuthor = new Map();
+  prs.forEach((pr) => {
+    const key = authorKey(pr);
+    byAuthor.set(key, [...(byAuthor.get(key) || []), pr]);
+  });
+  return [...byAuthor.entries()]
+    .map(([author, authored]) => {
+      const summary = summarizePullRequests(authored, inRange);
+      return {
+        author,
+        opened: summary.opened,
+        merged: summary.merged,
+        closed: summary.closed,
+        open: summary.open,
+        mergeRate: summary.mergeRate,
+        medianHoursToMerge: summary.timeToMerge.p50
+      };
+    })
+    .filter((row) => row.opened + row.merged + row.closed > 0)
+    .sort((a, b) => b.opened - a.opened || b.merged - a.merged);
+}
+
+// "45 min", "5.2 h", "3.1 d"
+export function formatHours(hours) {
+  if (hours === null || hours === undefined) return "—";
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} h`;
+  return `${(hours / 24).toFixed(1)} d`;
+}
+
+export const formatRate = (rate) => (rate === null ? "—" : `${Math.round(rate * 100)}%`);
@@ -0,0 +1,111 @@
+import {
+  firstReviewAt,
+  formatHours,
+  formatRate,
+  hoursBetween,
+  percentile,
+  percentiles,
+  prSizeBucket,
+  summarizePullRequests,
+  summarizePullRequestsByAuthor
+} from './prMetrics';
+
+const pr = (overrides) => ({
+  author: 'ann',
+  state: 'open',
+  createdAt: '2024-03-01T00:00:00Z',
+  mergedAt: null,
+  closedAt: null,
+  additions: 5,
+  deletions: 5,
+  reviews: [],
+  ...overrides
+});
+
+const inMarch = (date) => date >= '2024-03-01' && date < '2024-04-01';
+
+test('hoursBetween measures in hours', () => {
+  expect(hoursBetween('2024-03-01T00:00:00Z', '2024-03-02T06:00:00Z')).toBe(30);
+});
+
+test('percentile interpolates between ranks', () => {
+  expect(percentile([], 50)).toBeNull();
+  expect(percentile([7], 90)).toBe(7);
+  expect(percentile([4, 1, 3, 2], 50)).toBe(2.5);
+  expect(percentile([0, 10], 90)).toBe(9);
+  expect(percentiles([1, 2, 3])).toEqual({ count: 3, p50: 2, p75: 2.5, p90: 2.8 });
+});
+
+test('the first review ignores the author reviewing their own PR', () => {
+  const reviews = [
+    { author: 'ann', submittedAt: '2024-03-01T01:00:00Z' },
+    { author: 'bob', submittedAt: '2024-03-01T05:00:00Z' },
+    { author: 'cy', submittedAt: '2024-03-01T03:00:00Z' }
+  ];
+  expect(firstReviewAt(pr({ reviews }))).toBe('2024-03-01T03:00:00Z');
+  expect(firstReviewAt(pr({ reviews: null }))).toBeNull();
+});
+
+test('size buckets are inclusive upper bounds, null without sizes', () => {
+  expect(prSizeBucket(pr({ additions: 10, deletions: 0 }))).toBe('XS');
+  expect(prSizeBucket(pr({ additions: 6, deletions: 5 }))).toBe('S');
+  expect(prSizeBucket(pr({ additions: 1000, deletions: 1 }))).toBe('XL');
+  expect(prSizeBucket(pr({ additions: null, deletions: null }))).toBeNull();
+});
+
+describe('summarizePullRequests', () => {
+  const prs = [
+    pr({ state: 'open' }),
+    // Opened before the range, merged inside it
+    pr({ state: 'merged', createdAt: '2024-02-28T00:00:00Z', mergedAt: '2024-03-02T00:00:00Z' }),
+    pr({ state: 'merged', createdAt: '2024-03-05T00:00:00Z', mergedAt: '2024-03-05T12:00:00Z' }),
+    // Opened inside the range, closed after it
+    pr({ state: 'closed', createdAt: '2024-03-10T00:00:00Z', closedAt: '2024-04-02T00:00:00Z' }),
+    pr({ state: 'closed', createdAt: '2024-02-01T00:00:00Z', closedAt: '2024-03-03T00:00:00Z' })
+  ];
+
+  test('counts each event by its own date', () => {
+    const summary = summarizePullRequests(prs, inMarch);
+    expect(summary).toMatchObject({ opened: 3, merged: 2, closed: 1, open: 1 });
+    expect(summary.mergeRate).toBeCloseTo(2 / 3);
+    expect(summary.timeToMerge).toMatchObject({ count: 2, p50: 42 });
+  });
+
+  test('review delays and sizes come from PRs opened in the range', () => {
+    const reviewed = pr({ reviews: [{ author: 'bob', submittedAt: '2024-03-01T02:00:00Z' }] });
+    const summary = summarizePullRequests([reviewed, ...prs], inMarch);
+    expect(summary.timeToFirstReview).toMatchObject({ count: 1, p50: 2 });
+    expect(summary.sizes.find((bucket) => bucket.size === 'XS').count).toBe(4);
+  });
+
+  test('reports missing details and an undefined merge rate', () => {
+    const summary = summarizePullRequests([pr({ reviews: null })]);
+    expect(summary.hasDetails).toBe(false);
+    expect(summary.mergeRate).toBeNull();
+    expect(summarizePullRequests([]).hasDetails).toBe(true);
+  });
+});
+
+test('summarizePullRequestsByAuthor drops authors with no activity in range', () => {
+  const rows = summarizePullRequestsByAuthor(
+    [
+      pr({ author: 'ann' }),
+      pr({ author: 'ann', state: 'merged', mergedAt: '2024-03-01T10:00:00Z' }),
+      pr({ author: 'bob', createdAt: '2023-12-01T00:00:00Z' }),
+      pr({ author: null })
+    ],
+    undefined,
+    inMarch
+  );
+  expect(rows.map((row) => row.author)).toEqual(['ann', '(deleted user)']);
+  expect(rows[0]).toMatchObject({ opened: 2, merged: 1, open: 1, mergeRate: 1, medianHoursToMerge: 10 });
+});
+
+test('formats hours and rates', () => {
+  expect(formatHours(null)).toBe('—');
+  expect(formatHours(0.5)).toBe('30 min');
+  expect(formatHours(5.25)).toBe('5.3 h');
+  expect(formatHours(72)).toBe('3.0 d');
+  expect(formatRate(null)).toBe('—');
+  expect(formatRate(0.666)).toBe('67%');
+});
@@ -0,0 +1,47 @@
+// Release cadence and commits-between-releases summaries.
+import { percentile } from "./prMetrics";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Dated tags oldest first, each with the days since the previous one:
+// { tags: [{ ...tag, daysSincePrevious }], medianDays }
+export function releaseCadence(tags) {
+  const dated = tags
+    .filter((tag) => tag.date)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((tag, index, list) => ({
+      ...tag,
+      daysSincePrevious:
+        index === 0 ? null : Math.round((new Date(tag.date) - new Date(list[index - 1].date)) / DAY)
+    }));
+  const gaps = dated.filter((tag) => tag.daysSincePrevious !== null).map((tag) => tag.daysSincePrevious);
+  return { tags: dated, medianDays: percentile(gaps, 50) };
+}
+
+// Groups compared commits by commit type and by contributor and totals the
+// file changes. `classify(message)` and `personKey(commit)` come from the
+// active taxonomy and identities.
+export function summarizeCompare({ commits, files }, { classify, personKey }) {
+  const group = (keyOf) => {
+    const groups = new Map();
+    commits.forEach((commit) => {
+      const key = keyOf(commit);
+      groups.set(key, [...(groups.get(key) || []), commit]);
+    });
+    return [...groups.entries()]
+      .map(([key, grouped]) => ({ key, commits: grouped }))
+      .sort((a, b) => b.commits.length - a.commits.length || a.key.localeCompare(b.key));
+  };
+  return {
+    byType: group((commit) => classify(commit.commit.message)),
+    byContributor: group(personKey),
+    diffStat: files.reduce(
+      (totals, file) => ({
+        files: totals.files + 1,
+        additions: totals.additions + file.additions,
+        deletions: totals.deletions + file.deletions
+      }),
+      { files: 0, additions: 0, deletions: 0 }
+    )
+  };
+}
@@ -0,0 +1,67 @@
+import { releaseCadence, summarizeCompare } from './releases';
+
+describe('releaseCadence', () => {
+  test('orders dated tags oldest first with the days between them', () => {
+    const cadence = releaseCadence([
+      { name: 'v1.2.0', date: '2024-03-31T10:00:00Z' },
+      { name: 'v1.0.0', date: '2024-03-01T10:00:00Z' },
+      { name: 'nightly', date: null },
+      { name: 'v1.1.0', date: '2024-03-11T10:00:00Z' }
+    ]);
+    expect(cadence.tags.map((tag) => [tag.name, tag.daysSincePrevious])).toEqual([
+      ['v1.0.0', null],
+      ['v1.1.0', 10],
+      ['v1.2.0', 20]
+    ]);
+    expect(cadence.medianDays).toBe(15);
+  });
+
+  test('rounds partial days and has no median for a single release', () => {
+    const cadence = releaseCadence([
+      { name: 'a', date: '2024-03-01T00:00:00Z' },
+      { name: 'b', date: '2024-03-03T13:00:00Z' }
+    ]);
+    expect(cadence.tags[1].daysSincePrevious).toBe(3);
+    expect(releaseCadence([{ name: 'a', date: '2024-03-01T00:00:00Z' }]).medianDays).toBeNull();
+    expect(releaseCadence([])).toEqual({ tags: [], medianDays: null });
+  });
+});
+
+describe('summarizeCompare', () => {
+  const commit = (message, author) => ({ commit: { message }, author: { login: author } });
+  const commits = [
+    commit('feat: a', 'ann'),
+    commit('fix: b', 'bob'),
+    commit('feat: c', 'bob'),
+    commit('docs: d', 'bob')
+  ];
+  const options = {
+    classify: (message) => message.split(':')[0],
+    personKey: (c) => c.author.login
+  };
+
+  test('groups commits by type and contributor, largest group first', () => {
+    const summary = summarizeCompare({ commits, files: [] }, options);
+    expect(summary.byType.map((g) => [g.key, g.commits.length])).toEqual([
+      ['feat', 2],
+      ['docs', 1],
+      ['fix', 1]
+    ]);
+    expect(summary.byContributor.map((g) => [g.key, g.commits.length])).toEqual([
+      ['bob', 3],
+      ['ann', 1]
+    ]);
+  });
+
+  test('totals the changed files', () => {
+    const files = [
+      { filename: 'a.js', additions: 10, deletions: 2 },
+      { filename: 'b.js', additions: 0, deletions: 7 }
+    ];
+    expect(summarizeCompare({ commits: [], files }, options).diffStat).toEqual({
+      files: 2,
+      additions: 10,
+      deletions: 9
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// Code review metrics over normalized PRs (see api/pullRequests.js).
+// Self-reviews (author replying on their own PR) and reviews by deleted
+// accounts are not counted.
+import { hoursBetween, percentile } from "./prMetrics";
+
+// Flat list of { reviewer, reviewerIsBot, author, state, submittedAt, comments, pr }.
+// `inRange(date)` limits the list to reviews submitted in the selected range.
+export function collectReviews(prs, inRange = () => true) {
+  return prs.flatMap((pr) =>
+    (pr.reviews || [])
+      .filter((review) => review.author && review.author !== pr.author && inRange(review.submittedAt))
+      .map((review) => ({
+        reviewer: review.author,
+        reviewerIsBot: review.authorIsBot,
+        author: pr.author,
+        state: review.state,
+        submittedAt: review.submittedAt,
+        comments: review.comments || 0,
+        pr
+      }))
+  );
+}
+
+// One row per reviewer:
+// { reviewer, reviews, approvals, changesRequested, commented, comments, prsReviewed, medianTurnaroundHours }
+// Turnaround is the time from a PR being opened to the reviewer's first review on it.
+export function summarizeReviewsByReviewer(reviews, reviewerKey = (review) => review.reviewer) {
+  const byReviewer = new Map();
+  reviews.forEach((review) => {
+    const key = reviewerKey(review);
+    const row = byReviewer.get(key) || {
+      reviewer: key,
+      reviews: 0,
+      approvals: 0,
+      changesRequested: 0,
+      commented: 0,
+      comments: 0,
+      firstReviews: new Map()
+    };
+    row.reviews += 1;
+    if (review.state === "APPROVED") row.approvals += 1;
+    if (review.state === "CHANGES_REQUESTED") row.changesRequested += 1;
+    if (review.state === "COMMENTED") row.commented += 1;
+    row.comments += review.comments;
+    const first = row.firstReviews.get(review.pr.number);
+    if (!first || review.submittedAt < first.submittedAt) row.firstReviews.set(review.pr.number, review);
+    byReviewer.set(key, row);
+  });
+  return [...byReviewer.values()]
+    .map(({ firstReviews, ...row }) => ({
+      ...row,
+      prsReviewed: firstReviews.size,
+      medianTurnaroundHours: percentile(
+        [...firstReviews.values()].map((review) => hoursBetween(review.pr.createdAt, review.submittedAt)),
+        50
+      )
+    }))
+    .sort((a, b) => b.reviews - a.reviews);
+}
+
+// Who reviews whom: { reviewers, authors, counts: { [reviewer]: { [author]: reviews } }, max }
+// Reviewers and authors are sorted by their totals.
+export function buildReviewMatrix(
+  reviews,
+  reviewerKey = (review) => review.reviewer,
+  authorKey = (review) => review.author
+) {
+  const counts = {};
+  const reviewerTotals = {};
+  const authorTotals = {};
+  reviews.forEach((review) => {
+    const reviewer = reviewerKey(review);
+    const author = authorKey(review);
+    counts[reviewer] = counts[reviewer] || {};
+    counts[reviewer][author] = (counts[reviewer][author] || 0) + 1;
+    reviewerTotals[reviewer] = (reviewerTotals[reviewer] || 0) + 1;
+    authorTotals[author] = (authorTotals[author] || 0) + 1;
+  });
+  const byTotal = (totals) => Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+  const max = Math.max(0, ...Object.values(counts).flatMap((row) => Object.values(row)));
+  return { reviewers: byTotal(reviewerTotals), authors: byTotal(authorTotals), counts, max };
+}
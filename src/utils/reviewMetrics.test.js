@@ -0,0 +1,77 @@
+import { buildReviewMatrix, collectReviews, summarizeReviewsByReviewer } from './reviewMetrics';
+
+const review = (author, state, submittedAt, comments = 0) => ({
+  author,
+  authorIsBot: false,
+  state,
+  submittedAt,
+  comments
+});
+
+const prs = [
+  {
+    number: 1,
+    author: 'ann',
+    createdAt: '2024-03-01T00:00:00Z',
+    reviews: [
+      review('bob', 'COMMENTED', '2024-03-01T04:00:00Z', 3),
+      review('ann', 'COMMENTED', '2024-03-01T05:00:00Z'),
+      review('bob', 'APPROVED', '2024-03-02T00:00:00Z'),
+      review(null, 'APPROVED', '2024-03-02T00:00:00Z')
+    ]
+  },
+  {
+    // Opened long before the range; its reviews still count
+    number: 2,
+    author: 'cy',
+    createdAt: '2023-12-01T00:00:00Z',
+    reviews: [
+      review('bob', 'CHANGES_REQUESTED', '2024-03-05T00:00:00Z', 1),
+      review('ann', 'APPROVED', '2024-02-20T00:00:00Z')
+    ]
+  },
+  { number: 3, author: 'dee', createdAt: '2024-03-01T00:00:00Z', reviews: null }
+];
+
+const inMarch = (date) => date >= '2024-03-01' && date < '2024-04-01';
+
+test('collects reviews by submission date, without self-reviews or deleted accounts', () => {
+  const reviews = collectReviews(prs, inMarch);
+  expect(reviews.map((r) => [r.reviewer, r.author, r.state])).toEqual([
+    ['bob', 'ann', 'COMMENTED'],
+    ['bob', 'ann', 'APPROVED'],
+    ['bob', 'cy', 'CHANGES_REQUESTED']
+  ]);
+  expect(reviews[0]).toMatchObject({ comments: 3, pr: prs[0] });
+  expect(collectReviews(prs)).toHaveLength(4);
+});
+
+test('summarizes per reviewer with turnaround to the first review of each PR', () => {
+  const [bob] = summarizeReviewsByReviewer(collectReviews(prs, inMarch));
+  expect(bob).toMatchObject({
+    reviewer: 'bob',
+    reviews: 3,
+    approvals: 1,
+    changesRequested: 1,
+    commented: 1,
+    comments: 4,
+    prsReviewed: 2
+  });
+  // PR 1 after 4 h, PR 2 after 95 days
+  expect(bob.medianTurnaroundHours).toBe((4 + 95 * 24) / 2);
+});
+
+test('reviewerKey groups aliases of the same person', () => {
+  const rows = summarizeReviewsByReviewer(collectReviews(prs), (r) => (r.reviewer === 'ann' ? 'bob' : r.reviewer));
+  expect(rows).toHaveLength(1);
+  expect(rows[0].reviews).toBe(4);
+});
+
+test('buildReviewMatrix counts who reviews whom, sorted by totals', () => {
+  const matrix = buildReviewMatrix(collectReviews(prs));
+  expect(matrix.reviewers).toEqual(['bob', 'ann']);
+  expect(matrix.authors).toEqual(['ann', 'cy']);
+  expect(matrix.counts).toEqual({ bob: { ann: 2, cy: 1 }, ann: { cy: 1 } });
+  expect(matrix.max).toBe(2);
+  expect(buildReviewMatrix([]).max).toBe(0);
+});
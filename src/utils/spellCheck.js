@@ -0,0 +1,175 @@
+// Commit message spell checking.
+// The default "local" provider runs entirely in the browser with the
+// dictionary-en Hunspell files (copied to public/ by scripts/copy-dictionary.js),
+// so commit messages never leave the machine. LanguageTool is an opt-in
+// remote provider behind the same interface.
+//
+// Every provider resolves with:
+//   { provider, language: { name, code }, matches: [{ word, offset, length, replacements: [{ value }], message }] }
+import Typo from "typo-js";
+
+// 1. TECHNICAL TERMS DICTIONARY
+// Words that are correct in commit messages but missing from an English dictionary
+export const TECHNICAL_TERMS = [
+  "github", "commit", "commits", "merge", "pull", "push", "repo", "repos",
+  "npm", "yarn", "pnpm", "node", "js", "ts", "jsx", "tsx", "react", "vue",
+  "html", "css", "scss", "json", "yaml", "yml", "md", "git", "cli", "api",
+  "apis", "config", "configs", "env", "async", "auth", "backend", "frontend",
+  "changelog", "readme", "lockfile", "linter", "lint", "eslint", "prettier",
+  "webpack", "vite", "jest", "typescript", "javascript", "graphql", "url",
+  "urls", "uri", "ui", "ux", "dev", "deps", "refactor", "refactored",
+  "refactoring", "repo's", "codebase", "dockerfile", "docker", "ci", "cd",
+  "feat", "fix", "docs", "chore", "perf", "hotfix", "bugfix", "typo", "typos",
+  "param", "params", "args", "arg", "util", "utils", "init", "lib", "libs",
+  "namespace", "localhost", "middleware", "runtime", "webhook", "webhooks",
+  "boolean", "enum", "struct", "regex", "tooltip", "dropdown", "navbar",
+  "sidebar", "signup", "login", "logout", "dependabot", "renovate", "wip"
+];
+const technicalTermSet = new Set(TECHNICAL_TERMS);
+
+const DICTIONARY_BASE_URL = `${process.env.PUBLIC_URL || ""}/dictionaries/en`;
+const MAX_SUGGESTIONS = 5;
+
+// Spans that are not prose: the words inside them are never checked
+const SKIPPED_SPAN_PATTERNS = [
+  /```[\s\S]*?```/g, // fenced code blocks
+  /`[^`\n]*`/g, // inline code spans
+  /\bhttps?:\/\/\S+/g, // URLs
+  /\S+@\S+\.\S+/g, // emails
+  /(?:^|\s)(?:\.{0,2}\/)?[\w.-]+(?:\/[\w.-]+)+\/?/g, // paths like src/App.js
+  /\b[\w-]+\.[a-z0-9]{1,5}\b/gi, // file names like App.js
+  /\b[0-9a-f]{7,40}\b/gi, // commit SHAs
+  /#\d+\b/g, // issue / PR references
+  /^\w+(?:\([^)]*\))?!?:/g // conventional commit prefix "feat(scope)!:"
+];
+
+const WORD_PATTERN = /[A-Za-z][A-Za-z']*[A-Za-z]|[A-Za-z]/g;
+
+// camelCase, PascalCase inner capitals, snake_case, ALLCAPS and words with digits
+const isIdentifier = (word, fullToken) =>
+  /[a-z][A-Z]/.test(word) ||
+  /[A-Z]{2}[a-z]/.test(word) ||
+  /^[A-Z]{2,}$/.test(word) ||
+  /[_\d]/.test(fullToken);
+
+// Returns the ranges of the message that must be skipped
+function findSkippedRanges(message) {
+  const ranges = [];
+  SKIPPED_SPAN_PATTERNS.forEach((pattern) => {
+    for (const match of message.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  });
+  return ranges;
+}
+
+// Splits a commit message into checkable words with their offsets,
+// skipping code spans, paths, SHAs and identifiers.
+export function extractWords(message) {
+  const skipped = findSkippedRanges(message);
+  const inSkippedRange = (start, end) =>
+    skipped.some(([from, to]) => start < to && end > from);
+  const words = [];
+  // Identifiers are judged on the whole whitespace-separated token
+  for (const tokenMatch of message.matchAll(/\S+/g)) {
+    const token = tokenMatch[0];
+    for (const wordMatch of token.matchAll(WORD_PATTERN)) {
+      const word = wordMatch[0];
+      const offset = tokenMatch.index + wordMatch.index;
+      if (inSkippedRange(offset, offset + word.length)) continue;
+      if (isIdentifier(word, token.replace(/[^\w]/g, ""))) continue;
+      if (technicalTermSet.has(word.toLowerCase())) continue;
+      words.push({ word, offset, length: word.length });
+    }
+  }
+  return words;
+}
+
+let dictionaryPromise = null;
+
+function loadDictionary() {
+  if (!dictionaryPromise) {
+    dictionaryPromise = Promise.all(
+      ["index.aff", "index.dic"].map((file) =>
+        fetch(`${DICTIONARY_BASE_URL}/${file}`).then((res) => {
+          if (!res.ok) throw new Error(`Failed to load dictionary file ${file}`);
+          return res.text();
+        })
+      )
+    )
+      .then(([aff, dic]) => new Typo("en_US", aff, dic))
+      .catch((err) => {
+        // Allow a retry on the next check
+        dictionaryPromise = null;
+        throw err;
+      });
+  }
+  return dictionaryPromise;
+}
+
+const localProvider = {
+  id: "local",
+  label: "Offline dictionary",
+  async check(message) {
+    const dictionary = await loadDictionary();
+    const matches = extractWords(message)
+      .filter(({ word }) => !dictionary.check(word) && !dictionary.check(word.toLowerCase()))
+      .map((match) => ({
+        ...match,
+        message: "Possible spelling mistake",
+        replacements: dictionary
+          .suggest(match.word, MAX_SUGGESTIONS)
+          .map((value) => ({ value }))
+      }));
+    return {
+      provider: "local",
+      language: { name: "English (offline)", code: "en-US" },
+      matches
+    };
+  }
+};
+
+const languageToolProvider = {
+  id: "languagetool",
+  label: "LanguageTool (sends message to api.languagetool.org)",
+  async check(message) {
+    // POST request to LanguageTool API
+    const response = await fetch("https://api.languagetool.org/v2/check", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        text: message,
+        language: "en-US" // English only
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`Spell check API error: ${response.status}`);
+    }
+    const data = await response.json();
+    return {
+      provider: "languagetool",
+      language: data.language,
+      matches: (data.matches || []).map((match) => ({
+        word: message.substr(match.offset, match.length),
+        offset: match.offset,
+        length: match.length,
+        message: match.message,
+        replacements: match.replacements || []
+      }))
+    };
+  }
+};
+
+export const SPELL_CHECK_PROVIDERS = {
+  [localProvider.id]: localProvider,
+  [languageToolProvider.id]: languageToolProvider
+};
+
+export const DEFAULT_SPELL_CHECK_PROVIDER = localProvider.id;
+
+export function checkSpelling(message, providerId = DEFAULT_SPELL_CHECK_PROVIDER) {
+  const provider = SPELL_CHECK_PROVIDERS[providerId] || localProvider;
+  return provider.check(message);
+}
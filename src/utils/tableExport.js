@@ -0,0 +1,63 @@
+// Serializes panel data to CSV, JSON or a Markdown table and downloads it.
+// `columns` is a list of { key, label }; a key may also be a function of the row.
+const cellValue = (row, column) =>
+  typeof column.key === "function" ? column.key(row) : row[column.key];
+
+const toText = (value) => (value === null || value === undefined ? "" : String(value));
+
+const escapeCsv = (value) => {
+  const text = toText(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeMarkdown = (value) =>
+  toText(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+
+export function toCsv(rows, columns) {
+  const header = columns.map((c) => escapeCsv(c.label)).join(",");
+  const lines = rows.map((row) => columns.map((c) => escapeCsv(cellValue(row, c))).join(","));
+  return [header, ...lines].join("\n");
+}
+
+export function toJson(rows, columns) {
+  return JSON.stringify(
+    rows.map((row) =>
+      Object.fromEntries(columns.map((c) => [c.label, cellValue(row, c) ?? null]))
+    ),
+    null,
+    2
+  );
+}
+
+export function toMarkdownTable(rows, columns) {
+  const header = `| ${columns.map((c) => escapeMarkdown(c.label)).join(" | ")} |`;
+  const divider = `| ${columns.map(() => "---").join(" | ")} |`;
+  const lines = rows.map(
+    (row) => `| ${columns.map((c) => escapeMarkdown(cellValue(row, c))).join(" | ")} |`
+  );
+  return [header, divider, ...lines].join("\n");
+}
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv", serialize: toCsv },
+  json: { label: "JSON", extension: "json", mimeType: "application/json", serialize: toJson },
+  markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown", serialize: toMarkdownTable }
+};
+
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadTable(format, rows, columns, baseName) {
+  const { extension, mimeType, serialize } = EXPORT_FORMATS[format];
+  const safeName = baseName.replace(/[^a-z0-9-_]+/gi, "_");
+  downloadFile(serialize(rows, columns), `${safeName}.${extension}`, mimeType);
+}
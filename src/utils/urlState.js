@@ -0,0 +1,39 @@
+// Encodes the current analysis view in the page URL so it can be shared.
+// Query: ?repo=owner/name&ref=develop&users=a,b&from=yyyy-MM-dd&to=yyyy-MM-dd&type=feat&scope=api&breaking=1
+// Hash:  #section-id of the panel the link should scroll to
+const PARAM_KEYS = ["repo", "ref", "users", "from", "to", "type", "scope", "breaking"];
+
+// Returns null when the URL carries no view state at all
+export function readUrlState(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  if (!PARAM_KEYS.some((key) => params.has(key))) return null;
+  const users = params.get("users");
+  return {
+    repo: params.get("repo") || null,
+    ref: params.get("ref") || null,
+    users: users ? users.split(",").filter(Boolean) : [],
+    from: params.get("from") || "",
+    to: params.get("to") || "",
+    type: params.get("type") || "all",
+    scope: params.get("scope") || "all",
+    breaking: params.get("breaking") === "1",
+    section: decodeURIComponent(location.hash.replace(/^#/, ""))
+  };
+}
+
+export function buildViewUrl({ repo, ref, users = [], from, to, type, scope, breaking, section }, location = window.location) {
+  const params = new URLSearchParams();
+  if (repo) params.set("repo", repo);
+  if (repo && ref) params.set("ref", ref);
+  if (users.length > 0) params.set("users", users.join(","));
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  if (type && type !== "all") params.set("type", type);
+  if (scope && scope !== "all") params.set("scope", scope);
+  if (breaking) params.set("breaking", "1");
+  const query = params.toString();
+  return `${location.pathname}${query ? `?${query}` : ""}${section ? `#${section}` : ""}`;
+}
+
+export const currentUrl = (location = window.location) =>
+  `${location.pathname}${location.search}${location.hash}`;
@@ -0,0 +1,95 @@
+// Persists the App workspace (tracked repos, selection, filters, theme)
+// in localStorage under a versioned schema.
+// To change the saved shape: bump WORKSPACE_VERSION and add a migration
+// from the previous version to MIGRATIONS.
+import { DEFAULT_BOT_PATTERNS } from "./bots";
+
+const STORAGE_KEY = "workspace";
+// Before the workspace existed only favorites were saved, under this key
+const LEGACY_FAVORITES_KEY = "favorites";
+export const WORKSPACE_VERSION = 1;
+
+export const DEFAULT_WORKSPACE = {
+  repos: [],
+  selectedRepo: null,
+  // Branch, tag or SHA analysed per repo; missing means the default branch
+  repoRefs: {},
+  selectedUsers: [],
+  commitFilter: "all",
+  scopeFilter: "all",
+  breakingOnly: false,
+  chartGroupBy: "user",
+  chartMetric: "commits",
+  showReleaseOverlay: false,
+  // IANA time zone of the activity heatmaps; "" is the browser's own
+  heatmapTimeZone: "",
+  dateFrom: "",
+  dateTo: "",
+  commitSource: null,
+  spellCheckProvider: "local",
+  // Commit type taxonomy, see utils/commitTaxonomy.js
+  commitTypes: { global: null, repos: {} },
+  // File categorization rules, see utils/fileCategories.js
+  fileCategories: { global: null, repos: {} },
+  // Merged contributor identities, see utils/identities.js
+  identities: [],
+  excludeBots: true,
+  botPatterns: DEFAULT_BOT_PATTERNS,
+  darkMode: false,
+  favorites: []
+};
+
+// MIGRATIONS[n] turns a version n payload into a version n + 1 payload
+const MIGRATIONS = {
+  // v0: synthesized from the legacy `favorites` key
+  0: (data) => ({ ...DEFAULT_WORKSPACE, favorites: data.favorites || [], version: 1 })
+};
+
+export function migrateWorkspace(data) {
+  let current = data;
+  while (current.version < WORKSPACE_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) return null;
+    current = migrate(current);
+  }
+  // Data saved by a newer build: don't guess at its shape
+  if (current.version > WORKSPACE_VERSION) return null;
+  return current;
+}
+
+function readSaved() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (raw) return JSON.parse(raw);
+  const legacyFavorites = localStorage.getItem(LEGACY_FAVORITES_KEY);
+  if (legacyFavorites) return { version: 0, favorites: JSON.parse(legacyFavorites) };
+  return null;
+}
+
+export function loadWorkspace() {
+  try {
+    const saved = readSaved();
+    const migrated = saved && typeof saved.version === "number" ? migrateWorkspace(saved) : null;
+    if (!migrated) return { ...DEFAULT_WORKSPACE };
+    const { version, ...state } = migrated;
+    return { ...DEFAULT_WORKSPACE, ...state };
+  } catch (err) {
+    console.warn("Ignoring unreadable saved workspace", err);
+    return { ...DEFAULT_WORKSPACE };
+  }
+}
+
+export function saveWorkspace(state) {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ ...state, version: WORKSPACE_VERSION })
+    );
+  } catch (err) {
+    console.warn("Failed to save workspace", err);
+  }
+}
+
+export function clearWorkspace() {
+  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(LEGACY_FAVORITES_KEY);
+}